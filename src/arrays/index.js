@@ -1139,15 +1139,25 @@ export class Matrix {
     * @param {boolean} hasHeader - logical, if first row must be treated as header or not.
     * @param {boolean} hasLabels - logical, if first column must be treated as object labels or not.
     *
+    * @description Empty cells as well as cells with "NA" or "NaN" are treated as missing values
+    * and are replaced by NaN.
     *
     * @returns {Object} JSON containing matrix with parsed values, header, values and decimal separators.
     */
    static parseCSV(strData, sep, hasHeader, hasLabels) {
 
+      // values which are treated as missing
+      const missing = ["", "NA", "NaN"];
 
       // function which returns true if at least one value in array can not be parsed to float
       function hasNaN(vec) {
-         return vec.some(v => Number.isNaN(Number.parseFloat(v.trim())));
+         return vec.some(v => !missing.includes(v.trim()) && Number.isNaN(Number.parseFloat(v.trim())));
+      }
+
+      // function which parses a value and returns NaN for missing values
+      function parse(v) {
+         v = v.trim();
+         return missing.includes(v) ? NaN : Number.parseFloat(v.replace(dec, "."));
       }
 
       // set default separator symbol
@@ -1208,15 +1218,16 @@ export class Matrix {
          // parsing: trim spaces and replace non-numbers with dot (.)
          const rowValuesAll = rows[r].split(sep)
 
-         let rowValues;
+         let rowValuesStr;
          if (hasLabels) {
             labels[r - startRow] = rowValuesAll[0];
-            rowValues = rowValuesAll.slice(1).map(v => Number.parseFloat(v.trim().replace(dec, ".")));
+            rowValuesStr = rowValuesAll.slice(1);
          } else {
-            rowValues = rowValuesAll.map(v => Number.parseFloat(v.trim().replace(dec, ".")));
+            rowValuesStr = rowValuesAll;
          }
 
-         if (rowValues.some(v => Number.isNaN(v))) {
+         const rowValues = rowValuesStr.map(parse);
+         if (rowValues.some((v, i) => Number.isNaN(v) && !missing.includes(rowValuesStr[i].trim()))) {
             throw Error("Some of the values can not be converted to numbers, check your CSV file and try again.");
          }
 
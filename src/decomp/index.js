@@ -3,7 +3,7 @@
 /************************************************************/
 
 import { ssq } from '../stat/index.js';
-import { crossprod, Vector, Matrix, Index } from '../arrays/index.js';
+import { crossprod, ismatrix, Vector, Matrix, Index } from '../arrays/index.js';
 
 
 /**
@@ -72,6 +72,118 @@ export function rsvd(X, ncomp, pa, pb, its) {
    return {s: res.s, V: res.V, U: Q.dot(res.U)};
 }
 
+/**
+ * NIPALS decomposition, which can handle missing values.
+ *
+ * @param {Matrix} X - matrix to decompose (can contain missing values, NaN).
+ * @param {number} ncomp - number of components.
+ * @param {number} [tol=1e-10] - tolerance for relative change of scores between iterations.
+ * @param {number} [maxit=1000] - maximum number of iterations for every component.
+ *
+ * @description Scores and loadings are computed component by component, using only non-missing
+ * values in sums. The data are not centered, so it must be done beforehand.
+ *
+ * @returns {JSON} JSON with two fields, 'T' - matrix with scores, 'P' - matrix with normalized loadings.
+ *
+ */
+export function nipals(X, ncomp, tol, maxit) {
+
+   if (tol === undefined) {
+      tol = Math.pow(10, -10);
+   }
+
+   if (maxit === undefined) {
+      maxit = 1000;
+   }
+
+   const nrows = X.nrows;
+   const ncols = X.ncols;
+
+   if (ncomp === undefined) {
+      ncomp = Math.min(nrows - 1, ncols);
+   }
+
+   const E = X.copy();
+   const T = Matrix.zeros(nrows, ncomp);
+   const P = Matrix.zeros(ncols, ncomp);
+
+   for (let a = 1; a <= ncomp; a++) {
+
+      const t = T.getcolref(a);
+      const p = P.getcolref(a);
+
+      // use column with largest sum of squares as initial scores
+      let cmax = 1;
+      let ssqmax = -1;
+      for (let c = 1; c <= ncols; c++) {
+         const ssqc = E.getcolref(c).reduce((s, v) => v === v ? s + v * v : s, 0);
+         if (ssqc > ssqmax) {
+            ssqmax = ssqc;
+            cmax = c;
+         }
+      }
+      E.getcolref(cmax).forEach((v, i) => t[i] = v === v ? v : 0);
+
+      for (let it = 0; it < maxit; it++) {
+
+         // loadings
+         let pssq = 0;
+         for (let c = 0; c < ncols; c++) {
+            const e = E.getcolref(c + 1);
+            let num = 0;
+            let den = 0;
+            for (let r = 0; r < nrows; r++) {
+               if (e[r] === e[r]) {
+                  num += e[r] * t[r];
+                  den += t[r] * t[r];
+               }
+            }
+            p[c] = den > 0 ? num / den : 0;
+            pssq += p[c] * p[c];
+         }
+
+         const pnorm = Math.sqrt(pssq);
+         for (let c = 0; c < ncols; c++) {
+            p[c] = p[c] / pnorm;
+         }
+
+         // scores
+         const num = new Float64Array(nrows);
+         const den = new Float64Array(nrows);
+         for (let c = 0; c < ncols; c++) {
+            const e = E.getcolref(c + 1);
+            for (let r = 0; r < nrows; r++) {
+               if (e[r] === e[r]) {
+                  num[r] += e[r] * p[c];
+                  den[r] += p[c] * p[c];
+               }
+            }
+         }
+
+         let dssq = 0;
+         let tssq = 0;
+         for (let r = 0; r < nrows; r++) {
+            const tr = den[r] > 0 ? num[r] / den[r] : 0;
+            dssq += (tr - t[r]) * (tr - t[r]);
+            tssq += tr * tr;
+            t[r] = tr;
+         }
+
+         if (dssq <= tol * tol * tssq) break;
+      }
+
+      // deflation
+      for (let c = 0; c < ncols; c++) {
+         const e = E.getcolref(c + 1);
+         for (let r = 0; r < nrows; r++) {
+            e[r] = e[r] - t[r] * p[c];
+         }
+      }
+   }
+
+   return {T: T, P: P};
+}
+
 /**
  * QR decomposition
  *
@@ -370,6 +482,80 @@ export function svd(X, ncomp) {
 }
 
 
+/**
+ * Eigendecomposition of a symmetric matrix using cyclic Jacobi method.
+ *
+ * @param {Matrix} S - symmetric matrix.
+ *
+ * @returns {JSON} JSON with eigenvalues ('values', sorted in decreasing order) and matrix with
+ * corresponding eigenvectors as columns ('vectors').
+ *
+ */
+export function eigsym(S) {
+
+   if (!ismatrix(S) || S.nrows !== S.ncols) {
+      throw new Error('eigsym: parameter "S" must be a square matrix.');
+   }
+
+   const n = S.nrows;
+   const A = S.v.slice();
+   const V = Matrix.eye(n).v;
+
+   for (let sweep = 0; sweep < 100; sweep++) {
+
+      // sum of squared off-diagonal elements
+      let off = 0;
+      let tot = 0;
+      for (let c = 0; c < n; c++) {
+         for (let r = 0; r < n; r++) {
+            const a = A[c * n + r] * A[c * n + r];
+            tot += a;
+            if (r !== c) off += a;
+         }
+      }
+
+      if (off <= Number.EPSILON * Number.EPSILON * tot) break;
+
+      for (let p = 0; p < n - 1; p++) {
+         for (let q = p + 1; q < n; q++) {
+            const apq = A[q * n + p];
+            if (apq === 0) continue;
+
+            // rotation which makes element (p, q) equal to zero
+            const theta = (A[q * n + q] - A[p * n + p]) / (2 * apq);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            for (let k = 0; k < n; k++) {
+               const akp = A[p * n + k];
+               const akq = A[q * n + k];
+               A[p * n + k] = c * akp - s * akq;
+               A[q * n + k] = s * akp + c * akq;
+            }
+
+            for (let k = 0; k < n; k++) {
+               const apk = A[k * n + p];
+               const aqk = A[k * n + q];
+               A[k * n + p] = c * apk - s * aqk;
+               A[k * n + q] = s * apk + c * aqk;
+
+               const vkp = V[p * n + k];
+               const vkq = V[q * n + k];
+               V[p * n + k] = c * vkp - s * vkq;
+               V[q * n + k] = s * vkp + c * vkq;
+            }
+         }
+      }
+   }
+
+   // sort eigenvalues and eigenvectors
+   const values = new Vector(Float64Array.from({length: n}, (v, i) => A[i * n + i]));
+   const ind = values.sortind(true);
+   return {values: values.subset(ind), vectors: new Matrix(V, n, n).subset([], ind)};
+}
+
+
 /**
  * Applies givens rotations to diagonal elements of bidiagonalized matrix.
  *
@@ -1,9 +1,9 @@
-import { rsvd } from '../decomp/index.js';
-import { pf, pt, qt, qchisq } from '../distributions/index.js';
-import { norm2, variance, median, iqr, mean, sd, ssq } from '../stat/index.js';
+import { rsvd, nipals, eigsym } from '../decomp/index.js';
+import { pf, pt, qt, qchisq, pchisq, qnorm, pnorm, dnorm } from '../distributions/index.js';
+import { norm2, variance, median, iqr, mean, sd, ssq, sum, max, minind, maxind } from '../stat/index.js';
 import { scale as prep_scale, unscale as prep_unscale } from '../prep/index.js';
-import { _dot, isfactor, factor, cbind, tcrossprod, crossprod, reshape, ismatrix, Index,
-   Matrix, vector, isvector, Vector } from '../arrays/index.js';
+import { _dot, _shuffle, isfactor, factor, cbind, tcrossprod, crossprod, reshape, ismatrix, Index,
+   Matrix, vector, isvector, Vector, isnumber, isindex, index, Factor } from '../arrays/index.js';
 
 /**
  * Check if an object has a proper class.
@@ -20,6 +20,216 @@ export function isa(obj, className) {
 
 
 
+/**
+ * Version of format used for serialization of models.
+ */
+export const MODEL_FORMAT_VERSION = 1;
+
+
+/**
+ * Convert model (or any other object with results) to JSON string.
+ *
+ * @param {JSON} m - model object (e.g. created by 'pcafit()', 'plsfit()', 'lmfit()', etc.).
+ *
+ * @description Values of Matrix, Vector, Index and Factor objects are saved as binary data encoded
+ * using base64, so they are restored exactly (including NaN and infinite values). The string also
+ * contains version of the format, which is checked when the model is restored.
+ *
+ * @returns {string} JSON string with the model.
+ *
+ */
+export function serializeModel(m) {
+
+   if (!m || typeof(m) !== 'object') {
+      throw new Error('serializeModel: parameter "m" must be an object with model.');
+   }
+
+   return JSON.stringify({
+      format: 'mdatools-model',
+      version: MODEL_FORMAT_VERSION,
+      model: encodevalue(m)
+   });
+}
+
+
+/**
+ * Restore model (or any other object with results) from JSON string created by 'serializeModel()'.
+ *
+ * @param {string|JSON} str - JSON string (or already parsed JSON) with serialized model.
+ *
+ * @returns {JSON} the restored model object.
+ *
+ */
+export function deserializeModel(str) {
+
+   const obj = typeof(str) === 'string' ? JSON.parse(str) : str;
+
+   if (!obj || obj.format !== 'mdatools-model') {
+      throw new Error('deserializeModel: parameter "str" does not contain serialized model.');
+   }
+
+   if (obj.version !== MODEL_FORMAT_VERSION) {
+      throw new Error('deserializeModel: version of the format is not supported.');
+   }
+
+   return decodevalue(obj.model);
+}
+
+
+/**
+ * Encode any value so it can be saved by JSON.stringify() without losing information.
+ *
+ * @param {any} x - value to encode.
+ *
+ * @returns {any} encoded value.
+ *
+ */
+function encodevalue(x) {
+
+   if (x === undefined) {
+      return {__type: 'undefined'};
+   }
+
+   if (typeof(x) === 'number' && !Number.isFinite(x)) {
+      return {__type: 'number', v: x.toString()};
+   }
+
+   if (x === null || typeof(x) !== 'object') {
+      return x;
+   }
+
+   if (ismatrix(x)) {
+      return {__type: 'Matrix', nrows: x.nrows, ncols: x.ncols, v: encodearray(x.v)};
+   }
+
+   if (isvector(x)) {
+      return {__type: 'Vector', v: encodearray(x.v)};
+   }
+
+   if (isindex(x)) {
+      return {__type: 'Index', v: encodearray(x.v)};
+   }
+
+   if (isfactor(x)) {
+      return {__type: 'Factor', labels: x.labels, v: encodearray(x.v)};
+   }
+
+   if (Array.isArray(x)) {
+      return x.map(encodevalue);
+   }
+
+   const out = {};
+   for (let key in x) {
+      out[key] = encodevalue(x[key]);
+   }
+
+   return out;
+}
+
+
+/**
+ * Decode value encoded by 'encodevalue()'.
+ *
+ * @param {any} x - encoded value.
+ *
+ * @returns {any} decoded value.
+ *
+ */
+function decodevalue(x) {
+
+   if (x === null || typeof(x) !== 'object') {
+      return x;
+   }
+
+   if (Array.isArray(x)) {
+      return x.map(decodevalue);
+   }
+
+   switch (x.__type) {
+      case 'undefined':
+         return undefined;
+      case 'number':
+         return Number(x.v);
+      case 'Matrix':
+         return new Matrix(decodearray(x.v, Matrix.valuesConstructor), x.nrows, x.ncols);
+      case 'Vector':
+         return new Vector(decodearray(x.v, Vector.valuesConstructor));
+      case 'Index':
+         return new Index(decodearray(x.v, Index.valuesConstructor));
+      case 'Factor':
+         return new Factor(decodearray(x.v, Factor.valuesConstructor), x.labels);
+   }
+
+   const out = {};
+   for (let key in x) {
+      out[key] = decodevalue(x[key]);
+   }
+
+   return out;
+}
+
+
+const BASE64_SYMBOLS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+
+/**
+ * Encode bytes of a typed array as base64 string.
+ *
+ * @param {TypedArray} v - typed array with values.
+ *
+ * @returns {string} string with encoded values.
+ *
+ */
+function encodearray(v) {
+
+   const bytes = new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+   const n = bytes.length;
+   const out = new Array(Math.ceil(n / 3));
+
+   for (let i = 0, k = 0; i < n; i += 3, k++) {
+      const b1 = bytes[i];
+      const b2 = i + 1 < n ? bytes[i + 1] : 0;
+      const b3 = i + 2 < n ? bytes[i + 2] : 0;
+      out[k] = BASE64_SYMBOLS[b1 >> 2] +
+         BASE64_SYMBOLS[((b1 & 3) << 4) | (b2 >> 4)] +
+         (i + 1 < n ? BASE64_SYMBOLS[((b2 & 15) << 2) | (b3 >> 6)] : '=') +
+         (i + 2 < n ? BASE64_SYMBOLS[b3 & 63] : '=');
+   }
+
+   return out.join('');
+}
+
+
+/**
+ * Decode base64 string created by 'encodearray()' to a typed array.
+ *
+ * @param {string} str - string with encoded values.
+ * @param {function} valuesConstructor - constructor of the typed array (e.g. Float64Array).
+ *
+ * @returns {TypedArray} typed array with decoded values.
+ *
+ */
+function decodearray(str, valuesConstructor) {
+
+   const npad = str.endsWith('==') ? 2 : str.endsWith('=') ? 1 : 0;
+   const n = str.length / 4 * 3 - npad;
+   const bytes = new Uint8Array(n);
+
+   for (let i = 0, k = 0; i < str.length; i += 4) {
+      const s1 = BASE64_SYMBOLS.indexOf(str[i]);
+      const s2 = BASE64_SYMBOLS.indexOf(str[i + 1]);
+      const s3 = BASE64_SYMBOLS.indexOf(str[i + 2]);
+      const s4 = BASE64_SYMBOLS.indexOf(str[i + 3]);
+
+      bytes[k++] = (s1 << 2) | (s2 >> 4);
+      if (k < n) bytes[k++] = ((s2 & 15) << 4) | (s3 >> 2);
+      if (k < n) bytes[k++] = ((s3 & 3) << 6) | s4;
+   }
+
+   return new valuesConstructor(bytes.buffer);
+}
+
+
 export function getclassres(cPred, className, cRef) {
 
    // check inputs
@@ -96,6 +306,63 @@ export function getclassres(cPred, className, cRef) {
 }
 
 
+/**
+ * Compute classification results for every class and confusion matrix for multi-class classifier.
+ *
+ * @param {Matrix} membership - matrix with predicted membership (1 or 0) of every object (rows) in
+ * every class (columns).
+ * @param {Array} classNames - array with names of the classes.
+ * @param {Factor} [cRef] - factor with reference classes.
+ * @param {boolean} [none=false] - logical, add column with objects rejected by all classes to
+ * the confusion matrix or not.
+ *
+ * @description Rows of the confusion matrix correspond to the reference classes and the columns
+ * — to the predicted classes. An object, which is a member of several classes, is counted in
+ * every of them.
+ *
+ * @returns {JSON} object with classification results for every class ('classres') and confusion
+ * matrix ('confusion', only if reference classes are provided).
+ *
+ */
+function getmulticlassres(membership, classNames, cRef, none) {
+
+   const nrows = membership.nrows;
+   const nclasses = classNames.length;
+
+   const classres = {};
+   for (let k = 0; k < nclasses; k++) {
+      const className = classNames[k];
+      const mk = membership.getcolref(k + 1);
+      classres[className] = getclassres([factor(Array.from(mk, v => v === 1 ? className : 'none'))],
+         className, cRef);
+   }
+
+   if (!cRef) return {classres: classres};
+
+   const values = Matrix.zeros(cRef.nlevels, nclasses + (none ? 1 : 0));
+   for (let i = 0; i < nrows; i++) {
+      const r = cRef.v[i];
+      let n = 0;
+      for (let k = 0; k < nclasses; k++) {
+         if (membership.v[k * nrows + i] === 1) {
+            values.v[k * cRef.nlevels + r] += 1;
+            n += 1;
+         }
+      }
+      if (none && n === 0) values.v[nclasses * cRef.nlevels + r] += 1;
+   }
+
+   return {
+      classres: classres,
+      confusion: {
+         values: values,
+         rowNames: cRef.labels,
+         colNames: none ? [...classNames, 'none'] : classNames
+      }
+   };
+}
+
+
 export function getsimcaparams(className, alpha, limType) {
 
    const validLimTypes = ['classic', 'robust'];
@@ -186,30 +453,305 @@ export function simcapredict(m, params, X, cRef) {
    return {
       class: ['simcares'],
       pcares: pcares,
+      ncompSelected: m.ncompSelected,
+      cPred: cPred[m.ncompSelected - 1],
       classres: getclassres(cPred, params.className, cRef)
    }
 }
 
+/**
+ * Categorize objects as regular, extreme or outliers based on PCA model and DD-SIMCA approach.
+ *
+ * @param {JSON} m - PCA model created by 'pcafit()'.
+ * @param {JSON} res - PCA results (e.g. 'm.results.cal' or created by 'pcapredict()').
+ * @param {number} [alpha=0.05] - significance level for extreme objects.
+ * @param {number} [gamma=0.01] - significance level for outliers.
+ * @param {string} [limType='classic'] - how to estimate distance parameters ('classic' or 'robust').
+ * @param {number} [ncomp] - number of components to use (by default the selected number, see 'selectcompnum()').
+ *
+ * @description Object is regular if its full distance, f, is below critical limit for extreme
+ * objects (based on 'alpha'), outlier if f is above critical limit for outliers (based on 'gamma'
+ * and number of objects in the calibration set) and extreme otherwise. Acceptance boundaries for
+ * both limits are returned as vectors with coordinates of the boundary curves in the h/q plane.
+ *
+ * @returns {JSON} object with full distances ('f'), categories (Factor with levels 'regular',
+ * 'extreme' and 'outlier'), critical limits and coordinates of the boundary curves ('limits').
+ *
+ */
+export function pcacategorize(m, res, alpha, gamma, limType, ncomp) {
+
+   if (alpha === undefined) alpha = 0.05;
+   if (gamma === undefined) gamma = 0.01;
+   if (limType === undefined) limType = 'classic';
+   if (ncomp === undefined) ncomp = m.ncompSelected;
+
+   if (!isa(m, 'pcamodel')) {
+      throw new Error('pcacategorize: parameter "m" must be an object with PCA model.');
+   }
+
+   if (!isa(res, 'pcares')) {
+      throw new Error('pcacategorize: parameter "res" must be an object with PCA results.');
+   }
+
+   if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      throw new Error('pcacategorize: wrong value for "alpha" parameter.');
+   }
+
+   if (isNaN(gamma) || gamma <= 0 || gamma >= 1) {
+      throw new Error('pcacategorize: wrong value for "gamma" parameter.');
+   }
+
+   if (limType !== 'classic' && limType !== 'robust') {
+      throw new Error('pcacategorize: wrong value for "limType" parameter (must be either "classic" or "robust").');
+   }
+
+   if (!isnumber(ncomp) || ncomp < 1 || ncomp > m.ncomp) {
+      throw new Error('pcacategorize: wrong value for "ncomp" parameter.');
+   }
+
+   // get parameters for the distances
+   const h0 = m.hParams[limType][0].v[ncomp - 1];
+   const Nh = m.hParams[limType][1].v[ncomp - 1];
+   const q0 = m.qParams[limType][0].v[ncomp - 1];
+   const Nq = m.qParams[limType][1].v[ncomp - 1];
+
+   // compute full distance and critical limits
+   const f = getfulldistance(res.H.getcolumn(ncomp), res.Q.getcolumn(ncomp), h0, q0, Nh, Nq);
+   const fCritE = qchisq(1 - alpha, Nh + Nq);
+   const fCritO = qchisq(Math.pow(1 - gamma, 1 / m.nCalObj), Nh + Nq);
+
+   // categorize objects (0 - regular, 1 - extreme, 2 - outlier)
+   const c = new Factor.valuesConstructor(f.length);
+   for (let i = 0; i < f.length; i++) {
+      c[i] = f.v[i] <= fCritE ? 0 : (f.v[i] <= fCritO ? 1 : 2);
+   }
+
+   return {
+      class: ['pcacategories'],
+      ncomp: ncomp,
+      alpha: alpha,
+      gamma: gamma,
+      limType: limType,
+      f: f,
+      categories: new Factor(c, ['regular', 'extreme', 'outlier']),
+      fCritExtreme: fCritE,
+      fCritOutlier: fCritO,
+      limits: {
+         extreme: pcagetboundary(fCritE, h0, q0, Nh, Nq),
+         outlier: pcagetboundary(fCritO, h0, q0, Nh, Nq)
+      }
+   };
+}
+
+
+/**
+ * Compute coordinates of acceptance boundary in h/q plane for given critical full distance.
+ *
+ * @param {number} fCrit - critical value for full distance.
+ * @param {number} h0 - scaling factor for score distance.
+ * @param {number} q0 - scaling factor for orthogonal distance.
+ * @param {number} Nh - number of degrees of freedom for score distance.
+ * @param {number} Nq - number of degrees of freedom for orthogonal distance.
+ * @param {number} [npoints=100] - number of points on the boundary curve.
+ *
+ * @returns {JSON} object with two vectors, 'h' and 'q', with coordinates of the boundary.
+ *
+ */
+function pcagetboundary(fCrit, h0, q0, Nh, Nq, npoints) {
+
+   if (!npoints) npoints = 100;
+
+   const hMax = fCrit * h0 / Nh;
+   const h = Vector.zeros(npoints);
+   const q = Vector.zeros(npoints);
+
+   for (let i = 0; i < npoints; i++) {
+      h.v[i] = hMax * i / (npoints - 1);
+      q.v[i] = Math.max(0, q0 / Nq * (fCrit - h.v[i] * Nh / h0));
+   }
+
+   return {h: h, q: q};
+}
+
+
+/**
+ * Create multi-class SIMCA model (SIMCAM) from several one-class PCA models.
+ *
+ * @param {Array} models - array with PCA models (one for each class) created by 'pcafit()'.
+ * @param {Array} params - array with SIMCA parameters for each model created by 'getsimcaparams()'.
+ * @param {Array} X - array with calibration sets (matrices) used to create each model.
+ *
+ * @description Besides the models, the method computes model distance between every pair of class
+ * models and discrimination power of every variable for every pair of the models. Both are based on
+ * variance of residuals obtained when calibration set of one class is projected to model of another
+ * class (and to its own model). The residuals are computed in original units of the data, so the
+ * statistics do not depend on preprocessing of each model. Variance of residuals for calibration set
+ * of a class projected to its own model is computed with n - A - 1 degrees of freedom (n - A if the
+ * model is not centered), where A is number of components, and for other classes — with n degrees
+ * of freedom. Every model is used with the selected number of components (see
+ * 'selectcompnum()'). If a model was fitted with exclusion of outliers (see 'pcafit()'), the excluded
+ * objects are removed from its calibration set (the set can also be provided without the outliers).
+ *
+ * @returns {JSON} object with SIMCAM model.
+ *
+ */
+export function simcamfit(models, params, X) {
+
+   if (!Array.isArray(models) || models.length < 2 || !models.every(m => isa(m, 'pcamodel'))) {
+      throw new Error('simcamfit: parameter "models" must be an array with at least two PCA models.');
+   }
+
+   const nclasses = models.length;
+   const nvars = models[0].P.nrows;
+
+   if (!Array.isArray(params) || params.length !== nclasses || !params.every(p => isa(p, 'simcaparams'))) {
+      throw new Error('simcamfit: parameter "params" must be an array with SIMCA parameters for each model.');
+   }
+
+   if (!Array.isArray(X) || X.length !== nclasses || !X.every(ismatrix)) {
+      throw new Error('simcamfit: parameter "X" must be an array with calibration set for each model.');
+   }
+
+   if (!models.every(m => m.P.nrows === nvars) || !X.every(x => x.ncols === nvars)) {
+      throw new Error('simcamfit: all models and calibration sets must have the same number of variables.');
+   }
+
+   const classNames = params.map(p => p.className);
+   if (new Set(classNames).size !== nclasses) {
+      throw new Error('simcamfit: class names of the models must be unique.');
+   }
+
+   // outliers excluded when fitting the models are not used
+   X = X.map((x, l) => {
+      const excluded = models[l].outliers ? models[l].outliers.excluded : null;
+      if (!excluded || excluded.length === 0 || x.nrows === models[l].nCalObj) return x;
+      if (x.nrows !== models[l].nCalObj + excluded.length) {
+         throw new Error('simcamfit: calibration set for a model with excluded outliers must contain all objects used to fit it.');
+      }
+      return x.subset(Index.seq(1, x.nrows).which(v => !excluded.v.includes(v)), []);
+   });
+
+   // variance of residuals for calibration set of class l projected to model k
+   const s2 = models.map((m, k) => X.map((x, l) => {
+      const dof = l === k ? x.nrows - m.ncompSelected - (m.center ? 1 : 0) : x.nrows;
+      return pcagetresiduals(m, x, m.ncompSelected).apply(e => ssq(e) / dof, 2);
+   }));
+
+   // model distance and discrimination power
+   const modelDistance = Matrix.zeros(nclasses, nclasses);
+   const discrPower = models.map(() => new Array(nclasses));
+   for (let k = 0; k < nclasses; k++) {
+      for (let l = 0; l < nclasses; l++) {
+         const sb = s2[k][l].add(s2[l][k]);
+         const sw = s2[k][k].add(s2[l][l]);
+         modelDistance.v[l * nclasses + k] = Math.sqrt(sum(sb.v) / sum(sw.v));
+         discrPower[k][l] = sb.divide(sw).apply(Math.sqrt);
+      }
+   }
+
+   return {
+      class: ['simcam'],
+      models: models,
+      params: params,
+      classNames: classNames,
+      modelDistance: modelDistance,
+      discrPower: discrPower
+   }
+}
+
+
+/**
+ * Classify objects using multi-class SIMCA model.
+ *
+ * @param {JSON} m - SIMCAM model created by 'simcamfit()'.
+ * @param {Matrix} X - matrix with data values.
+ * @param {Factor} [cRef] - factor with reference classes.
+ *
+ * @description Every object is classified by every class model, so it can be a member of none,
+ * one or several classes. If reference classes are provided, the method also computes classification
+ * statistics for every class and a confusion matrix. Every class model uses the selected number of
+ * components (see 'selectcompnum()'). Rows of the confusion matrix correspond to the reference
+ * classes and the columns — to the classes of the models (plus class 'none' for objects rejected
+ * by all models).
+ *
+ * @returns {JSON} object with classification results.
+ *
+ */
+export function simcampredict(m, X, cRef) {
+
+   if (!isa(m, 'simcam')) {
+      throw new Error('simcampredict: parameter "m" must be an object with SIMCAM model.');
+   }
+
+   if (!ismatrix(X)) {
+      throw new Error('simcampredict: parameter "X" must be instance of Matrix class.');
+   }
+
+   if (cRef && (!isfactor(cRef) || cRef.length !== X.nrows)) {
+      throw new Error('simcampredict: parameter "cRef" must be a factor with the same number of values as rows in "X".');
+   }
+
+   const nclasses = m.models.length;
+   const membership = Matrix.zeros(X.nrows, nclasses);
+
+   for (let k = 0; k < nclasses; k++) {
+      const className = m.classNames[k];
+      const cp = simcapredict(m.models[k], m.params[k], X).cPred;
+      const mc = membership.getcolref(k + 1);
+      const ind = cp.labels.findIndex(v => v === className);
+      for (let i = 0; i < X.nrows; i++) {
+         mc[i] = cp.v[i] === ind ? 1 : 0;
+      }
+   }
+
+   return {
+      class: ['simcamres'],
+      classNames: m.classNames,
+      membership: membership,
+      ...getmulticlassres(membership, m.classNames, cRef, true)
+   };
+}
+
+
+/**
+ * Compute matrix with residuals for data projected to a PCA model.
+ *
+ * @param {JSON} m - PCA model created by 'pcafit()'.
+ * @param {Matrix} X - matrix with data values.
+ * @param {number} ncomp - number of components to use.
+ *
+ * @returns {Matrix} matrix with residuals (in original units).
+ *
+ */
+function pcagetresiduals(m, X, ncomp) {
+   const Xp = prep_scale(X, m.mX, m.sX);
+   const P = m.P.subset([], Index.seq(1, ncomp));
+   return prep_unscale(Xp.subtract(tcrossprod(Xp.dot(P), P)), Vector.zeros(X.ncols), m.sX);
+}
+
+
 /**
  * Fit Partial Least Squares Regression model.
  *
  * @param {Matrix} X - matrix with predictors.
- * @param {Matrix} Y - matirx with responses (must have one column).
- * @param {number} ncomp - number of components.
+ * @param {Matrix} Y - matirx with responses (one column for PLS1 or several columns for PLS2).
+ * @param {number} [ncomp] - number of components (limited by number of columns in X and number of rows minus one).
  * @param {boolean} [center=true] - logical, mean center X and Y or not.
  * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {number|Array|Index} [cv] - cross-validation settings (see 'crossval()'), if provided
+ * cross-validation results will be computed.
  *
- * @returns {JSON} object with model parameters.
+ * @returns {JSON} object with model parameters and results for calibration set (and cross-validation).
  *
  */
-export function plsfit(X, Y, ncomp, center, scale) {
+export function plsfit(X, Y, ncomp, center, scale, cv) {
 
    if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
       throw Error('plsfit: parameter "X" must be a matrix with at least two rows and two columns.');
    }
 
-   if (!ismatrix(Y) || Y.ncols !== 1) {
-      throw Error('plsfit: parameter "Y" must be a matrix with one column.');
+   if (!ismatrix(Y) || Y.ncols < 1) {
+      throw Error('plsfit: parameter "Y" must be a matrix with at least one column.');
    }
 
    if (Y.nrows !== X.nrows) {
@@ -224,9 +766,8 @@ export function plsfit(X, Y, ncomp, center, scale) {
       scale = false;
    }
 
-   if (!ncomp) {
-      ncomp = Math.min(ncols, nrows - 1);
-   }
+   // number of components can not exceed rank of the data
+   ncomp = Math.min(ncomp || X.ncols, X.ncols, X.nrows - 1);
 
    // center and scale the training set
    const [Xp, mX, sX] = prep_scale(X, center, scale, true);
@@ -242,12 +783,17 @@ export function plsfit(X, Y, ncomp, center, scale) {
    const hParams = getDistParams(pcares.H);
    const qParams = getDistParams(pcares.Q);
 
-   // compute Y-loadings
+   // compute regression coefficients and variable importance
+   const coeffs = reggetcoeffs(m.R, m.C, mX, sX, mY, sY);
+   const vipscores = plsgetvipscores(m.R, m.C, m.xeigenvals, X.nrows);
+   const selratio = plsgetselratio(Xp, coeffs.values);
 
-   // return the model object
-   return {
+   // create the model object
+   const model = {
       class: ['plsmodel', 'regmodel', 'pcamodel'],
       ncomp: ncomp,
+      ncompSelected: ncomp,
+      nresp: Y.ncols,
       center: center,
       scale: scale,
 
@@ -264,599 +810,4660 @@ export function plsfit(X, Y, ncomp, center, scale) {
       C: m.C,
       yeigenvals: m.yeigenvals,
 
+      // regression coefficients and variable importance
+      coeffs: coeffs,
+      vipscores: vipscores,
+      selratio: selratio,
+
       // distances
       qParams: qParams,
       hParams: hParams,
    };
+
+   // compute results for calibration set and cross-validation
+   model.results = {'cal': plspredict(model, X, Y, 'cal')};
+   if (cv !== undefined && cv !== null) {
+      const [cvres, jkcoeffs] = regcv(X, Y, ncomp, center, scale, cv, plsfit, plspredict);
+      model.results.cv = cvres;
+      Object.assign(model.coeffs, reggetjkstat(coeffs.valuesOrig, jkcoeffs));
+   }
+
+   return model;
 }
 
 
 /**
- * Make predictions for PCR model and new dataset.
+ * Fit Partial Least Squares Discriminant Analysis (PLS-DA) model.
  *
- * @param {JSON} m - PCR model created by 'pcrfit()'.
  * @param {Matrix} X - matrix with predictors.
- * @param {Matrix} Y - matirx with responses (must have one column, use empty array [], if no response available).
- * @param {string} name - text label for the results with objects.
+ * @param {Factor} c - factor with reference class for every object.
+ * @param {number} ncomp - number of components.
+ * @param {boolean} [center=true] - logical, mean center X and Y or not.
+ * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {number|Array|Index} [cv] - cross-validation settings (see 'crossval()').
  *
- * @returns {JSON} object with main results.
+ * @description The response matrix is created from the factor by dummy coding: every class has its
+ * own column with +1 for members of the class and -1 for the other objects. Then PLS2 model is fitted
+ * using 'plsfit()'. Results for calibration set (and cross-validation) are computed using threshold rule.
+ *
+ * @returns {JSON} object with model parameters.
  *
  */
-export function plspredict(m, X, Y, name) {
+export function plsdafit(X, c, ncomp, center, scale, cv) {
 
-   const Xp = prep_scale(X, m.mX, m.sX);
+   if (!c || !isfactor(c) || c.nlevels < 2) {
+      throw Error('plsdafit: parameter "c" must be a factor with at least two classes.');
+   }
 
-   // compute scores
-   const T = Xp.dot(m.R);
-
-   // compute distances and variance
-   const pcares = pcagetmainres(Xp, T, m.P, m.xeigenvals);
-
-   // compute Y-scores if reference values provided
-   let U = null;
-   if (Y !== undefined && Y !== null) {
-
-      if (!ismatrix(Y)) {
-         throw Error('plcapredict: parameter "Y" must be a matrix with one column or null/undefined.');
-      }
+   if (!ismatrix(X) || c.length !== X.nrows) {
+      throw Error('plsdafit: number of values in "c" must be the same as number of rows in "X".');
+   }
 
-      const Yp = prep_scale(Y, m.mY, m.sY);
-      U = Yp.dot(m.C);
+   const model = plsfit(X, plsdagetdummy(c, c.labels), ncomp, center, scale, cv);
+   model.class = ['plsdamodel', ...model.class];
+   model.classNames = c.labels;
 
-      // oprthogonalize y-scores
-      for (let a = 2; a <= m.ncomp; a++) {
-         const ua = U.subset([], a);
-         const Ta = T.subset([], Index.seq(1, a - 1));
-         const uao = ua.subtract(Ta.dot(crossprod(Ta, ua)));
-         U.v.set(uao.v, (a - 1) * U.nrows);
-      }
+   // add classification results
+   for (let name in model.results) {
+      const res = model.results[name];
+      res.class = ['plsdares', ...res.class];
+      res.classres = plsdagetclassres(res.Ypred, model.ncomp, model.classNames, 'threshold', c);
+      res.cPred = plsdagetcpred(res.classres, model.ncompSelected);
    }
 
-   const regres = reggetmainres(T, m.C, m.mY, m.sY, Y);
-
-   return {
-      class: ['pcares', 'regres', 'plsres'],
-      name: name,
-      T: T,
-      U: U,
-      ...pcares,
-      ...regres
-   };
+   return model;
 }
 
 
 /**
- * Fit Principal Component Regression model.
+ * Make predictions for PLS-DA model and new dataset.
  *
+ * @param {JSON} m - PLS-DA model created by 'plsdafit()'.
  * @param {Matrix} X - matrix with predictors.
- * @param {Matrix} Y - matirx with responses (must have one column).
- * @param {number} ncomp - number of components.
- * @param {boolean} [center=true] - logical, mean center X and Y or not.
- * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {Factor} [cRef] - factor with reference classes (if available).
+ * @param {string} [rule='threshold'] - classification rule, 'threshold' or 'max' (see description).
+ * @param {string} name - text label for the results with objects.
+ *
+ * @description When 'threshold' rule is used, an object is a member of every class, whose predicted
+ * response value is above zero, so it can be member of several classes or of none. When 'max' rule is
+ * used, an object is a member of the class with the largest predicted response value. Predicted
+ * classes for the selected number of components (see 'selectcompnum()') are returned as 'cPred',
+ * an object with factor for every class.
+ *
+ * @returns {JSON} object with main results, including classification results for every class.
  *
- * @returns {JSON} object with model parameters.
  */
-export function pcrfit(X, Y, ncomp, center, scale) {
+export function plsdapredict(m, X, cRef, rule, name) {
 
-   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
-      throw Error('pcrfit: parameter X must be a matrix with at least two rows and two columns.');
+   if (!isa(m, 'plsdamodel')) {
+      throw Error('plsdapredict: parameter "m" must be an object with PLS-DA model.');
    }
 
-   if (!ismatrix(Y) || Y.ncols !== 1) {
-      throw Error('pcrfit: parameter Y must be a matrix with one column.');
+   if (!ismatrix(X) || X.nrows < 1) {
+      throw Error('plsdapredict: parameter "X" must be a matrix.');
    }
 
-   if (Y.nrows !== X.nrows) {
-      throw Error('pcrfit: number of rows in X and Y do not match.');
+   if (X.ncols !== m.mX.length) {
+      throw Error('plsdapredict: parameter "X" has wrong number of columns.');
    }
 
+   if (rule === undefined) {
+      rule = 'threshold';
+   }
 
-   if (center === undefined) {
-      center = true;
+   if (!['threshold', 'max'].includes(rule)) {
+      throw Error('plsdapredict: parameter "rule" must be either "threshold" or "max".');
    }
 
-   if (scale === undefined) {
-      scale = false;
+   if (cRef && (!isfactor(cRef) || cRef.length !== X.nrows)) {
+      throw Error('plsdapredict: parameter "cRef" must be a factor with the same number of values as rows in "X".');
    }
 
-   if (!ncomp) {
-      ncomp = Math.min(ncols, nrows - 1);
+   const Yref = cRef ? plsdagetdummy(cRef, m.classNames) : null;
+   const res = plspredict(m, X, Yref, name);
+   const classres = plsdagetclassres(res.Ypred, m.ncomp, m.classNames, rule, cRef);
+
+   return {
+      ...res,
+      class: ['plsdares', ...res.class],
+      cPred: plsdagetcpred(classres, m.ncompSelected),
+      classres: classres
+   };
+}
+
+
+/**
+ * Create matrix with dummy coded classes for PLS-DA model.
+ *
+ * @param {Factor} c - factor with class for every object.
+ * @param {Array} classNames - array with names of classes.
+ *
+ * @returns {Matrix} matrix with one column for each class (+1 for members, -1 for the others).
+ *
+ */
+function plsdagetdummy(c, classNames) {
+
+   const Y = Matrix.fill(-1, c.length, classNames.length);
+   for (let k = 1; k <= classNames.length; k++) {
+      const yk = Y.getcolref(k);
+      const ind = c.labels.findIndex(v => v === classNames[k - 1]);
+      for (let i = 0; i < c.length; i++) {
+         if (c.v[i] === ind) yk[i] = 1;
+      }
    }
 
-   // center and scale the training set
-   const [Xp, mX, sX] = prep_scale(X, center, scale, true);
-   const [Yp, mY, sY] = prep_scale(Y, center, scale, true);
+   return Y;
+}
 
-   // compute loadings and eigenvalues for X using randomized SVD
-   const m = rsvd(Xp, ncomp);
-   const eigenvals = m.s.apply(x => x * x / (X.nrows - 1));
 
-   // compute main PCA results for calibration set
-   const calres = pcagetmainres(Xp, m.U.dot(Matrix.diagm(m.s)), m.V, eigenvals);
+/**
+ * Convert predicted response values of PLS-DA model to classification results.
+ *
+ * @param {Matrix} Ypred - matrix with predicted response values (see 'reggetmainres()').
+ * @param {number} ncomp - number of components.
+ * @param {Array} classNames - array with names of classes.
+ * @param {string} rule - classification rule ('threshold' or 'max').
+ * @param {Factor} [cRef] - factor with reference classes.
+ *
+ * @returns {JSON} object with results of 'getclassres()' for every class.
+ *
+ */
+function plsdagetclassres(Ypred, ncomp, classNames, rule, cRef) {
 
-   // compute parameters for distances
-   const hParams = getDistParams(calres.H);
-   const qParams = getDistParams(calres.Q);
+   const nrows = Ypred.nrows;
+   const nclasses = classNames.length;
+
+   // arrays with predictions for every class and component
+   const cPred = classNames.map(() => new Array(ncomp));
 
-   // compute Y-loadings
-   const C = Matrix.zeros(1, ncomp);
    for (let a = 1; a <= ncomp; a++) {
-      const sigmaa = m.s.v[a - 1];
-      const ta = calres.T.getcolref(a);
-      C.v[a - 1] = _dot(Yp.v, ta, 1, X.nrows, X.nrows, 1) / (sigmaa * sigmaa);
+
+      const ypred = classNames.map((v, k) => Ypred.getcolref(k * ncomp + a));
+      const cpa = classNames.map(() => new Array(nrows));
+
+      for (let i = 0; i < nrows; i++) {
+         let kmax = 0;
+         for (let k = 0; k < nclasses; k++) {
+            if (ypred[k][i] > ypred[kmax][i]) kmax = k;
+            cpa[k][i] = ypred[k][i] > 0 ? classNames[k] : 'none';
+         }
+
+         if (rule === 'max') {
+            for (let k = 0; k < nclasses; k++) {
+               cpa[k][i] = k === kmax ? classNames[k] : 'none';
+            }
+         }
+      }
+
+      for (let k = 0; k < nclasses; k++) {
+         cPred[k][a - 1] = factor(cpa[k]);
+      }
    }
 
-   // return the model object
-   return {
-      class: ['pcrmodel', 'regmodel', 'pcamodel'],
+   const classres = {};
+   for (let k = 0; k < nclasses; k++) {
+      classres[classNames[k]] = getclassres(cPred[k], classNames[k], cRef);
+   }
 
-      // PCA part
-      P: m.V,
-      eigenvals: eigenvals,
-      center: center,
-      scale: scale,
-      mX: mX,
-      sX: sX,
-      qParams: qParams,
-      hParams: hParams,
+   return classres;
+}
 
-      // PCR part
-      ncomp: ncomp,
-      C: C,
-      mY: mY,
-      sY: sY,
+
+/**
+ * Get predicted classes for given number of components from PLS-DA classification results.
+ *
+ * @param {JSON} classres - object with classification results for every class.
+ * @param {number} ncomp - number of components.
+ *
+ * @returns {JSON} object with factor of predicted classes for every class.
+ *
+ */
+function plsdagetcpred(classres, ncomp) {
+   const cPred = {};
+   for (let className in classres) {
+      cPred[className] = classres[className].cPred[ncomp - 1];
    }
+   return cPred;
 }
 
 
 /**
- * Make predictions for PCR model and new dataset.
+ * Fit Linear Discriminant Analysis (LDA) model.
  *
- * @param {JSON} m - PCR model created by 'pcrfit()'.
  * @param {Matrix} X - matrix with predictors.
- * @param {Matrix} Y - matirx with responses (must have one column, use empty array [], if no response available).
- * @param {string} name - text label for the results with objects.
+ * @param {Factor} c - factor with reference class for every object.
+ * @param {string|Vector} [prior] - prior probabilities of the classes: vector with one value for
+ * every class, 'equal' for equal probabilities or, by default, proportions of the classes in 'c'.
+ *
+ * @description Objects of every class are assumed to have multivariate normal distribution with the
+ * same (pooled) covariance matrix. The model also contains linear discriminants ('scaling'), which
+ * maximize ratio of between-class and within-class variances and can be used for plotting the
+ * objects in the discriminant space. Number of discriminants is the smallest of number of classes
+ * minus one and number of variables.
+ *
+ * @returns {JSON} object with model parameters: class names and priors, number of objects and mean
+ * values for every class ('means', one row for each class), pooled covariance matrix ('cov'),
+ * discriminants and their eigenvalues and the classification results for the calibration set.
  *
- * @returns {JSON} object with main results.
  */
-export function pcrpredict(m, X, Y, name) {
-
+export function ldafit(X, c, prior) {
 
-   const Xp = prep_scale(X, m.mX, m.sX);
+   prior = dacheckinput(X, c, prior, 'ldafit');
+   const [means, nobj, R] = dagetclassstat(X, c, 'ldafit');
+   const nclasses = c.nlevels;
 
-   // compute PCA results
-   const T = Xp.dot(m.P);
-   const pcares = pcagetmainres(Xp, T, m.P, m.eigenvals);
+   if (X.nrows - nclasses < X.ncols) {
+      throw Error('ldafit: number of objects minus number of classes must not be smaller than number of variables.');
+   }
 
-   // compute regression results
-   const regres = reggetmainres(T, m.C, m.mY, m.sY, Y);
+   // pooled covariance matrix
+   const S = crossprod(R).divide(X.nrows - nclasses);
 
-   return {
-      class: ['pcares', 'regres', 'pcrres'],
-      name: name,
-      ...pcares,
-      ...regres
+   // whitening matrix, S^(-1/2)
+   const e = eigsym(S);
+   if (e.values.v[X.ncols - 1] <= 1e-12 * e.values.v[0]) {
+      throw Error('ldafit: covariance matrix is singular.');
+   }
+   const W = e.vectors.op(e.values.apply(v => 1 / Math.sqrt(v)), (a, b) => a * b, 2).dot(e.vectors.t());
+
+   // linear discriminants — eigenvectors of between-class covariance of whitened class means
+   const center = reshape(means.t().dot(prior), X.ncols);
+   const Mw = means.op(center, (a, b) => a - b, 2).dot(W);
+   const B = crossprod(Mw.op(prior.apply(Math.sqrt), (a, b) => a * b, 1));
+   const eb = eigsym(B);
+   const ndisc = Math.min(nclasses - 1, X.ncols);
+   const ind = Index.seq(1, ndisc);
+
+   const model = {
+      class: ['ldamodel'],
+      classNames: c.labels,
+      prior: prior,
+      nobj: nobj,
+      means: means,
+      cov: S,
+      center: center,
+      scaling: W.dot(eb.vectors.subset([], ind)),
+      eigenvals: eb.values.subset(ind)
    };
+
+   model.results = {cal: ldapredict(model, X, c, 'cal')};
+   return model;
 }
 
 
 /**
- * Fit a Principal Component Analysis model.
+ * Make predictions for LDA model and new dataset.
  *
- * @param {Matrix} X - matrix or dataset with data values.
- * @param {number} ncomp - number of components to compute.
- * @param {boolean|Vector} [center=true] - logical (mean center or not) or vector with values for centering.
- * @param {boolean|Vector} [scale=false]  - logical (standardize or not) or vector with values for scaling.
+ * @param {JSON} m - LDA model created by 'ldafit()'.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} [cRef] - factor with reference classes (if available).
+ * @param {string} name - text label for the results with objects.
  *
- * @returns {Object} JSON with model parameters.
+ * @description Every object is classified as a member of the class with the largest posterior
+ * probability. If reference classes are provided, the results also contain classification statistics
+ * for every class and a confusion matrix (rows correspond to the reference classes and columns — to
+ * the classes of the model).
+ *
+ * @returns {JSON} object with posterior probabilities ('posterior', one column for each class),
+ * predicted classes ('cPred'), discriminant scores ('scores') and classification results.
  *
  */
-export function pcafit(X, ncomp, center, scale) {
+export function ldapredict(m, X, cRef, name) {
 
-   if (center === undefined) {
-      center = true;
+   if (!isa(m, 'ldamodel')) {
+      throw Error('ldapredict: parameter "m" must be an object with LDA model.');
    }
 
-   if (scale === undefined) {
-      scale = false;
-   }
+   dacheckpredinput(m, X, cRef, 'ldapredict');
 
-   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
-      throw Error('plsfit: parameter "X" must be a matrix with at least two rows and two columns.');
-   }
+   // linear discriminant functions, x' S^-1 m_k - 0.5 m_k' S^-1 m_k + log(p_k)
+   const A = m.cov.inv().dot(m.means.t());
+   const b = m.means.dot(A).diag().apply(v => -0.5 * v).add(m.prior.apply(Math.log));
+   const D = X.dot(A).op(b, (a, b) => a + b, 2);
 
-   if (!ncomp) {
-      ncomp = Math.min(X.ncols, X.nrows - 1);
-   }
+   return {
+      ...dagetres(m, D, cRef, name),
+      scores: X.op(m.center, (a, b) => a - b, 2).dot(m.scaling)
+   };
+}
 
-   if (ncomp < 0 || ncomp > X.ncols || ncomp > X.nrows - 1) {
-      throw new Error('pcafit: wrong value for "ncomp" parameter.');
-   }
 
-   // center and scale the training set
-   const [Xp, mX, sX] = prep_scale(X, center, scale, true);
+/**
+ * Fit Quadratic Discriminant Analysis (QDA) model.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} c - factor with reference class for every object.
+ * @param {string|Vector} [prior] - prior probabilities of the classes (see 'ldafit()').
+ *
+ * @description Objects of every class are assumed to have multivariate normal distribution with its
+ * own covariance matrix, so every class must have more objects than variables.
+ *
+ * @returns {JSON} object with model parameters: class names and priors, number of objects, mean values
+ * ('means', one row for each class) and covariance matrix ('cov', array with one matrix for each class)
+ * for every class, inverse of the covariance matrices ('covInv') and their log-determinants ('logdet',
+ * vector with one value for each class), and the classification results for the calibration set.
+ *
+ */
+export function qdafit(X, c, prior) {
 
-   // compute loadings and eigenvalues
-   const m = rsvd(Xp, ncomp);
-   const eigenvals = m.s.apply(v => v * v / (X.nrows - 1));
+   prior = dacheckinput(X, c, prior, 'qdafit');
+   const [means, nobj, R] = dagetclassstat(X, c, 'qdafit');
 
-   // compute main PCA results for calibration set
-   const calres = pcagetmainres(Xp, m.U.dot(Matrix.diagm(m.s)), m.V, eigenvals);
+   if (nobj.v.some(v => v <= X.ncols)) {
+      throw Error('qdafit: every class must have more objects than variables.');
+   }
 
-   // compute mean values for distances
-   const hParams = getDistParams(calres.H);
-   const qParams = getDistParams(calres.Q);
+   const cov = [];
+   const covInv = [];
+   const logdet = Vector.zeros(c.nlevels);
+   c.labels.forEach((l, k) => {
+      const S = crossprod(R.subset(c.which(l), [])).divide(nobj.v[k] - 1);
+      const e = eigsym(S);
+      if (e.values.v[X.ncols - 1] <= 1e-12 * e.values.v[0]) {
+         throw Error(`qdafit: covariance matrix for class "${l}" is singular.`);
+      }
 
-   // return the model object
-   return {
-      class: ['pcamodel'],
-      P: m.V,
-      eigenvals: eigenvals,
-      center: center,
-      scale: scale,
-      mX: mX,
-      sX: sX,
-      qParams: qParams,
-      hParams: hParams,
-      ncomp: ncomp,
-      nCalObj: Xp.nrows,
-      results: {'cal': calres}
-   }
+      // inverse and log-determinant are computed from the eigendecomposition, S^-1 = V diag(1/e) V'
+      const Vs = e.vectors.op(e.values.apply(v => 1 / Math.sqrt(v)), (a, b) => a * b, 2);
+      cov.push(S);
+      covInv.push(tcrossprod(Vs));
+      logdet.v[k] = sum(e.values.v.map(Math.log));
+   });
+
+   const model = {
+      class: ['qdamodel'],
+      classNames: c.labels,
+      prior: prior,
+      nobj: nobj,
+      means: means,
+      cov: cov,
+      covInv: covInv,
+      logdet: logdet
+   };
+
+   model.results = {cal: qdapredict(model, X, c, 'cal')};
+   return model;
 }
 
 
 /**
- * Compute parameters of distance distributions from distance matrix U.
+ * Make predictions for QDA model and new dataset.
  *
- * @param {Matrix} U - matrix with distances.
+ * @param {JSON} m - QDA model created by 'qdafit()'.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} [cRef] - factor with reference classes (if available).
+ * @param {string} name - text label for the results with objects.
  *
- * @returns {Array} array with two vectors, u0 (scalars) and Nu (number of degrees of freedom).
+ * @description See 'ldapredict()' for details.
+ *
+ * @returns {JSON} object with posterior probabilities ('posterior', one column for each class),
+ * predicted classes ('cPred') and classification results.
  *
  */
-export function getDistParams(U) {
-
-   const ncomp = U.ncols;
-   const u0m = Vector.zeros(ncomp)
-   const u0r = Vector.zeros(ncomp)
-   const Num = Vector.zeros(ncomp)
-   const Nur = Vector.zeros(ncomp)
+export function qdapredict(m, X, cRef, name) {
 
-   const Nu = Vector.zeros(ncomp);
-   for (let i = 0; i < ncomp; i++) {
-      const u = U.getcolref(i + 1);
+   if (!isa(m, 'qdamodel')) {
+      throw Error('qdapredict: parameter "m" must be an object with QDA model.');
+   }
 
-      // moments
-      u0m.v[i] = mean(u);
-      const fm = u0m.v[i] / sd(u);
-      const Nm = Math.round(2 * fm * fm);
-      Num.v[i] = Nm < 1 ? 1 : Nm > 250 ? 250 : Nm;
+   dacheckpredinput(m, X, cRef, 'qdapredict');
 
-      // robust
-      const M = median(u);
-      const S = iqr(u);
-      const RM = S / M;
-      const Nr =  RM > 2.685592117 ? 1 :
-                  (RM < 0.194565995 ? 100 :
-                  Math.round(Math.exp(Math.pow(1.380948 * Math.log(2.68631 / RM), 1.185785))));
-      u0r.v[i] = 0.5 * Nr * (M / qchisq(0.5, Nr) + S / (qchisq(0.75, Nr) - qchisq(0.25, Nr)))
-      Nur.v[i] = Nr;
-   }
+   // quadratic discriminant functions, -0.5 log|S_k| - 0.5 (x - m_k)' S_k^-1 (x - m_k) + log(p_k)
+   const D = Matrix.zeros(X.nrows, m.classNames.length);
+   m.covInv.forEach((Si, k) => {
+      const Xc = X.op(m.means.getrow(k + 1), (a, b) => a - b, 2);
+      const d = Xc.dot(Si).mult(Xc).apply(sum, 1);
+      D.v.set(d.v.map(v => -0.5 * (m.logdet.v[k] + v) + Math.log(m.prior.v[k])), k * X.nrows);
+   });
 
-   return {'classic': [u0m, Num], 'robust': [u0r, Nur]};
+   return dagetres(m, D, cRef, name);
 }
 
 
 /**
- * Compute main PCA results for already preprocessed dataset.
+ * Check parameters for fitting discriminant analysis model and get prior probabilities.
  *
- * @param {Matrix} Xp - matrix with preprocessed (e.g. centered) data values.
- * @param {Matrix} T - matrix with scores.
- * @param {Matrix} P - matrix with loadings.
- * @param {Vector} eigenvals - vector with eigenvalues.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} c - factor with reference class for every object.
+ * @param {string|Vector} prior - prior probabilities of the classes.
+ * @param {string} fname - name of the function (for error messages).
  *
- * @returns {Object} JSON with main outcomes (scores, distances, variances).
+ * @returns {Vector} vector with prior probabilities of the classes.
  *
  */
-export function pcagetmainres(Xp, T, P, eigenvals) {
+function dacheckinput(X, c, prior, fname) {
 
-   const ncomp = P.ncols;
-   const nrows = Xp.nrows;
-   const nvars = Xp.ncols;
+   if (!ismatrix(X)) {
+      throw Error(`${fname}: parameter "X" must be a matrix.`);
+   }
 
-   // prepare objects for results
-   const H = Matrix.zeros(nrows, ncomp);
-   const Q = Matrix.zeros(nrows, ncomp);
-   const expvar = Vector.zeros(ncomp);
+   if (!c || !isfactor(c) || c.nlevels < 2) {
+      throw Error(`${fname}: parameter "c" must be a factor with at least two classes.`);
+   }
+
+   if (c.length !== X.nrows) {
+      throw Error(`${fname}: number of values in "c" must be the same as number of rows in "X".`);
+   }
+
+   if (prior === undefined || prior === null) {
+      return vector(c.labels.map((l, k) => c.v.filter(v => v === k).length / c.length));
+   }
+
+   if (prior === 'equal') {
+      return Vector.fill(1 / c.nlevels, c.nlevels);
+   }
+
+   if (!isvector(prior) || prior.length !== c.nlevels || prior.v.some(v => !(v > 0))) {
+      throw Error(`${fname}: parameter "prior" must be "equal" or a vector with positive value for every class.`);
+   }
+
+   return prior.divide(sum(prior));
+}
+
+
+/**
+ * Check parameters for making predictions using discriminant analysis model.
+ *
+ * @param {JSON} m - LDA or QDA model.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} cRef - factor with reference classes.
+ * @param {string} fname - name of the function (for error messages).
+ *
+ */
+function dacheckpredinput(m, X, cRef, fname) {
+
+   if (!ismatrix(X) || X.ncols !== m.means.ncols) {
+      throw Error(`${fname}: parameter "X" must be a matrix with the same number of columns as the calibration set.`);
+   }
+
+   if (cRef && (!isfactor(cRef) || cRef.length !== X.nrows)) {
+      throw Error(`${fname}: parameter "cRef" must be a factor with the same number of values as rows in "X".`);
+   }
+}
+
+
+/**
+ * Compute statistics for every class for discriminant analysis.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Factor} c - factor with reference class for every object.
+ * @param {string} fname - name of the function (for error messages).
+ *
+ * @returns {Array} array with matrix with mean values (one row for each class), number of objects in
+ * every class and matrix with predictors centered by the mean values of their classes.
+ *
+ */
+function dagetclassstat(X, c, fname) {
+
+   const nclasses = c.nlevels;
+   const means = Matrix.zeros(nclasses, X.ncols);
+   const nobj = new Index(new Index.valuesConstructor(nclasses));
+   const R = X.copy();
+
+   for (let k = 0; k < nclasses; k++) {
+      const ind = c.which(c.labels[k]);
+      if (ind.length < 2) {
+         throw Error(`${fname}: class "${c.labels[k]}" must have at least two objects.`);
+      }
+
+      const mk = X.subset(ind, []).apply(mean, 2);
+      means.replace(reshape(mk, 1, X.ncols), [k + 1], []);
+      R.replace(X.subset(ind, []).op(mk, (a, b) => a - b, 2), ind, []);
+      nobj.v[k] = ind.length;
+   }
+
+   return [means, nobj, R];
+}
+
+
+/**
+ * Compute posterior probabilities and classification results for discriminant analysis model.
+ *
+ * @param {JSON} m - LDA or QDA model.
+ * @param {Matrix} D - matrix with values of discriminant functions (log of unnormalized posterior
+ * probabilities), one column for each class.
+ * @param {Factor} [cRef] - factor with reference classes.
+ * @param {string} name - text label for the results with objects.
+ *
+ * @returns {JSON} object with posterior probabilities, predicted classes and classification results.
+ *
+ */
+function dagetres(m, D, cRef, name) {
+
+   const nrows = D.nrows;
+   const nclasses = m.classNames.length;
+   const posterior = Matrix.zeros(nrows, nclasses);
+   const membership = Matrix.zeros(nrows, nclasses);
+   const cPred = new Factor.valuesConstructor(nrows);
+
+   for (let i = 0; i < nrows; i++) {
+      const d = Array.from({length: nclasses}, (v, k) => D.v[k * nrows + i]);
+      const dmax = Math.max(...d);
+      const p = d.map(v => Math.exp(v - dmax));
+      const s = p.reduce((a, b) => a + b);
+      p.forEach((v, k) => posterior.v[k * nrows + i] = v / s);
+      cPred[i] = d.indexOf(dmax);
+      membership.v[cPred[i] * nrows + i] = 1;
+   }
+
+   return {
+      class: ['dares'],
+      name: name,
+      classNames: m.classNames,
+      posterior: posterior,
+      cPred: new Factor(cPred, m.classNames),
+      ...getmulticlassres(membership, m.classNames, cRef)
+   };
+}
+
+
+/**
+ * Make predictions for new objects using k nearest neighbours (kNN).
+ *
+ * @param {Matrix} Xc - matrix with predictors for the training set.
+ * @param {Factor|Vector} yc - factor with classes (classification) or vector with response values
+ * (regression) for the training set.
+ * @param {Matrix} X - matrix with predictors for the new objects.
+ * @param {number} [k=3] - number of neighbours.
+ * @param {string|JSON} [distance='euclidean'] - distance between objects, 'euclidean', 'mahalanobis'
+ * or PCA model of the training set created by 'pcafit()' (in this case Euclidean distance between
+ * the scores computed by 'pcapredict()' for the selected number of components is used).
+ * @param {boolean} [weighted=false] - logical, weight neighbours by inverse of the distance or not.
+ * @param {Factor|Vector} [yRef] - reference classes or response values for the new objects.
+ *
+ * @description For classification every object is assigned to the class with the largest number
+ * (or sum of weights) of the neighbours, ties are resolved in favour of the class of the closest
+ * neighbour. For regression the predicted value is mean (or weighted mean) of the response values
+ * of the neighbours. Mahalanobis distance uses covariance matrix of the training set. If weighting
+ * is used and some of the neighbours have zero distance, only these neighbours are taken into account.
+ *
+ * @returns {JSON} object with indices and distances of the neighbours ('nnind' and 'nndist', one row for
+ * each object). For classification it also contains proportions of votes for every class ('prob'),
+ * predicted classes ('cPred') and, if reference classes are provided, classification results for
+ * every class ('classres') and confusion matrix ('confusion'). For regression it contains predicted
+ * values ('ypred') and, if reference values are provided, RMSE, bias and R2 ('rmse', 'bias', 'r2').
+ *
+ */
+export function knnpredict(Xc, yc, X, k, distance, weighted, yRef) {
+
+   if (k === undefined) k = 3;
+   if (weighted === undefined) weighted = false;
+
+   knncheckinput(Xc, yc, 'knnpredict');
+
+   if (!ismatrix(X) || X.ncols !== Xc.ncols) {
+      throw Error('knnpredict: parameter "X" must be a matrix with the same number of columns as "Xc".');
+   }
+
+   if (!Number.isInteger(k) || k < 1 || k > Xc.nrows) {
+      throw Error('knnpredict: parameter "k" must be an integer between 1 and number of objects in "Xc".');
+   }
+
+   const classification = isfactor(yc);
+   if (yRef && ((classification ? !isfactor(yRef) : !isvector(yRef)) || yRef.length !== X.nrows)) {
+      throw Error('knnpredict: parameter "yRef" must be a factor (classification) or a vector (regression) with value for every row of "X".');
+   }
+
+   const [Zc, Z] = knngetspace(Xc, X, distance, 'knnpredict');
+   const [nnind, nndist] = knnsearch(Zc, Z, k, false);
+   const res = {
+      class: ['knnres'],
+      type: classification ? 'classification' : 'regression',
+      k: k,
+      nnind: nnind,
+      nndist: nndist
+   };
+
+   if (!classification) {
+      res.ypred = vector(Array.from({length: X.nrows}, (v, i) => knnvote(yc, nnind, nndist, i, k, weighted)));
+      return yRef ? {...res, ...knngetregstat(res.ypred, yRef)} : res;
+   }
+
+   // proportion of votes for every class
+   const nclasses = yc.nlevels;
+   const prob = Matrix.zeros(X.nrows, nclasses);
+   const membership = Matrix.zeros(X.nrows, nclasses);
+   const cPred = new Factor.valuesConstructor(X.nrows);
+   for (let i = 0; i < X.nrows; i++) {
+      const votes = knnvote(yc, nnind, nndist, i, k, weighted);
+      const s = votes.reduce((a, b) => a + b);
+      votes.forEach((v, c) => prob.v[c * X.nrows + i] = v / s);
+      cPred[i] = knngetclass(yc, nnind, i, k, votes);
+      membership.v[cPred[i] * X.nrows + i] = 1;
+   }
+
+   res.classNames = yc.labels;
+   res.prob = prob;
+   res.cPred = new Factor(cPred, yc.labels);
+
+   return yRef ? {...res, ...getmulticlassres(membership, yc.labels, yRef)} : res;
+}
+
+
+/**
+ * Leave-one-out evaluation of number of neighbours for kNN.
+ *
+ * @param {Matrix} Xc - matrix with predictors for the training set.
+ * @param {Factor|Vector} yc - factor with classes or vector with response values for the training set.
+ * @param {number} [kmax=10] - maximum number of neighbours to evaluate.
+ * @param {string|JSON} [distance='euclidean'] - distance between objects (see 'knnpredict()').
+ * @param {boolean} [weighted=false] - logical, weight neighbours by inverse of the distance or not.
+ *
+ * @description Every object of the training set is predicted using all other objects for every
+ * number of neighbours from 1 to 'kmax'. The number of neighbours with the smallest error is
+ * selected ('kSelected', the smallest one if several numbers give the same error).
+ *
+ * @returns {JSON} object with numbers of neighbours ('k'), misclassification rate ('error',
+ * classification) or RMSE ('rmse', regression) for every number and the selected number of neighbours.
+ *
+ */
+export function knnloo(Xc, yc, kmax, distance, weighted) {
+
+   if (kmax === undefined) kmax = 10;
+   if (weighted === undefined) weighted = false;
+
+   knncheckinput(Xc, yc, 'knnloo');
+
+   if (!Number.isInteger(kmax) || kmax < 1 || kmax > Xc.nrows - 1) {
+      throw Error('knnloo: parameter "kmax" must be an integer between 1 and number of objects in "Xc" minus one.');
+   }
+
+   const n = Xc.nrows;
+   const classification = isfactor(yc);
+   const [Zc] = knngetspace(Xc, Xc, distance, 'knnloo');
+   const [nnind, nndist] = knnsearch(Zc, Zc, kmax, true);
+
+   const err = Vector.zeros(kmax);
+   for (let k = 1; k <= kmax; k++) {
+      let e = 0;
+      for (let i = 0; i < n; i++) {
+         if (classification) {
+            const votes = knnvote(yc, nnind, nndist, i, k, weighted);
+            e += knngetclass(yc, nnind, i, k, votes) === yc.v[i] ? 0 : 1;
+         } else {
+            const d = knnvote(yc, nnind, nndist, i, k, weighted) - yc.v[i];
+            e += d * d;
+         }
+      }
+      err.v[k - 1] = classification ? e / n : Math.sqrt(e / n);
+   }
+
+   return {
+      class: ['knnloo'],
+      type: classification ? 'classification' : 'regression',
+      k: Index.seq(1, kmax),
+      [classification ? 'error' : 'rmse']: err,
+      kSelected: minind(err)
+   };
+}
+
+
+/**
+ * Check training set for kNN.
+ *
+ * @param {Matrix} Xc - matrix with predictors for the training set.
+ * @param {Factor|Vector} yc - factor with classes or vector with response values.
+ * @param {string} fname - name of the function (for error messages).
+ *
+ */
+function knncheckinput(Xc, yc, fname) {
+
+   if (!ismatrix(Xc) || Xc.nrows < 2) {
+      throw Error(`${fname}: parameter "Xc" must be a matrix with at least two rows.`);
+   }
+
+   if (!yc || !(isfactor(yc) || isvector(yc)) || yc.length !== Xc.nrows) {
+      throw Error(`${fname}: parameter "yc" must be a factor or a vector with value for every row of "Xc".`);
+   }
+}
+
+
+/**
+ * Transform training set and new objects, so the distance between them is Euclidean.
+ *
+ * @param {Matrix} Xc - matrix with predictors for the training set.
+ * @param {Matrix} X - matrix with predictors for the new objects.
+ * @param {string|JSON} distance - distance between objects (see 'knnpredict()').
+ * @param {string} fname - name of the function (for error messages).
+ *
+ * @returns {Array} array with two matrices (transformed training set and new objects).
+ *
+ */
+function knngetspace(Xc, X, distance, fname) {
+
+   if (distance === undefined || distance === 'euclidean') {
+      return [Xc, X];
+   }
+
+   if (isa(distance, 'pcamodel')) {
+      if (distance.mX.length !== Xc.ncols) {
+         throw Error(`${fname}: PCA model must be created for data with the same number of variables as "Xc".`);
+      }
+
+      const ind = Index.seq(1, distance.ncompSelected);
+      return [pcapredict(distance, Xc).T.subset([], ind), pcapredict(distance, X).T.subset([], ind)];
+   }
+
+   if (distance !== 'mahalanobis') {
+      throw Error(`${fname}: parameter "distance" must be "euclidean", "mahalanobis" or PCA model.`);
+   }
+
+   // whitening with inverse square root of covariance matrix
+   const e = eigsym(crossprod(prep_scale(Xc, true, false)).divide(Xc.nrows - 1));
+   if (e.values.v[Xc.ncols - 1] <= 1e-12 * e.values.v[0]) {
+      throw Error(`${fname}: covariance matrix of "Xc" is singular, use PCA model for computing distances.`);
+   }
+
+   const W = e.vectors.op(e.values.apply(v => 1 / Math.sqrt(v)), (a, b) => a * b, 2);
+   return [Xc.dot(W), X.dot(W)];
+}
+
+
+/**
+ * Find nearest neighbours in the training set.
+ *
+ * @param {Matrix} Zc - matrix with training set.
+ * @param {Matrix} Z - matrix with new objects.
+ * @param {number} k - number of neighbours.
+ * @param {boolean} exclude - logical, exclude object with the same index (for leave-one-out) or not.
+ *
+ * @returns {Array} array with matrix of indices of the neighbours (starting from 1) and matrix
+ * of Euclidean distances to them, one row for each object, sorted by distance.
+ *
+ */
+function knnsearch(Zc, Z, k, exclude) {
+
+   const n = Z.nrows;
+   const nc = Zc.nrows;
+   const p = Zc.ncols;
+   const nnind = Matrix.zeros(n, k);
+   const nndist = Matrix.zeros(n, k);
+   const d = new Float64Array(nc);
+
+   for (let i = 0; i < n; i++) {
+
+      for (let j = 0; j < nc; j++) {
+         let s = 0;
+         for (let c = 0; c < p; c++) {
+            const a = Z.v[c * n + i] - Zc.v[c * nc + j];
+            s += a * a;
+         }
+         d[j] = exclude && i === j ? Infinity : Math.sqrt(s);
+      }
+
+      const ind = Array.from({length: nc}, (v, j) => j).sort((a, b) => d[a] - d[b] || a - b);
+      for (let a = 0; a < k; a++) {
+         nnind.v[a * n + i] = ind[a] + 1;
+         nndist.v[a * n + i] = d[ind[a]];
+      }
+   }
+
+   return [nnind, nndist];
+}
+
+
+/**
+ * Compute votes for classes or predicted response value from the nearest neighbours of an object.
+ *
+ * @param {Factor|Vector} yc - factor with classes or vector with response values for the training set.
+ * @param {Matrix} nnind - matrix with indices of the neighbours.
+ * @param {Matrix} nndist - matrix with distances to the neighbours.
+ * @param {number} i - index of the object (row of 'nnind', starting from 0).
+ * @param {number} k - number of neighbours to use.
+ * @param {boolean} weighted - logical, weight neighbours by inverse of the distance or not.
+ *
+ * @returns {Array|number} array with votes for every class or predicted response value.
+ *
+ */
+function knnvote(yc, nnind, nndist, i, k, weighted) {
+
+   const n = nnind.nrows;
+   const ind = Array.from({length: k}, (v, a) => nnind.v[a * n + i] - 1);
+   const dist = Array.from({length: k}, (v, a) => nndist.v[a * n + i]);
+
+   // neighbours with zero distance get all weight
+   const w = !weighted ? dist.map(() => 1) : dist.some(v => v === 0) ? dist.map(v => v === 0 ? 1 : 0) :
+      dist.map(v => 1 / v);
+
+   if (isvector(yc)) {
+      return ind.reduce((s, j, a) => s + w[a] * yc.v[j], 0) / w.reduce((a, b) => a + b);
+   }
+
+   const votes = new Array(yc.nlevels).fill(0);
+   ind.forEach((j, a) => votes[yc.v[j]] += w[a]);
+   return votes;
+}
+
+
+/**
+ * Get class with the largest number of votes, ties are resolved by the closest neighbour.
+ *
+ * @param {Factor} yc - factor with classes for the training set.
+ * @param {Matrix} nnind - matrix with indices of the neighbours.
+ * @param {number} i - index of the object (row of 'nnind', starting from 0).
+ * @param {number} k - number of neighbours used.
+ * @param {Array} votes - array with votes for every class.
+ *
+ * @returns {number} code of the class (starting from 0).
+ *
+ */
+function knngetclass(yc, nnind, i, k, votes) {
+
+   const vmax = Math.max(...votes);
+   for (let a = 0; a < k; a++) {
+      const c = yc.v[nnind.v[a * nnind.nrows + i] - 1];
+      if (votes[c] >= vmax * (1 - 1e-12)) return c;
+   }
+}
+
+
+/**
+ * Compute performance statistics for kNN regression.
+ *
+ * @param {Vector} ypred - vector with predicted response values.
+ * @param {Vector} yref - vector with reference response values.
+ *
+ * @returns {JSON} object with RMSE, bias and R2.
+ *
+ */
+function knngetregstat(ypred, yref) {
+   const n = yref.length;
+   const s = getregstat(reshape(ypred, n, 1), reshape(yref, n, 1), 1);
+   return {rmse: s.rmse.v[0], bias: s.bias.v[0], r2: s.r2.v[0]};
+}
+
+
+/**
+ * Make predictions for PLS model and new dataset.
+ *
+ * @param {JSON} m - PLS model created by 'plsfit()'.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matirx with responses (same number of columns as in the model, use null, if no response available).
+ * @param {string} name - text label for the results with objects.
+ *
+ * @description Besides predictions for every number of components ('Ypred', see 'reggetmainres()'),
+ * the results contain matrix with predictions made using the selected number of components
+ * ('ypred', one column for each response), see 'selectcompnum()'.
+ *
+ * @returns {JSON} object with main results.
+ *
+ */
+export function plspredict(m, X, Y, name) {
+
+   const Xp = prep_scale(X, m.mX, m.sX);
+
+   // compute scores
+   const T = Xp.dot(m.R);
+
+   // compute distances and variance
+   const pcares = pcagetmainres(Xp, T, m.P, m.xeigenvals);
+
+   // compute Y-scores if reference values provided
+   let U = null;
+   if (Y !== undefined && Y !== null) {
+
+      if (!ismatrix(Y) || Y.ncols !== m.C.nrows) {
+         throw Error('plspredict: parameter "Y" must be a matrix with the same number of columns as responses in the model or null/undefined.');
+      }
+
+      const Yp = prep_scale(Y, m.mY, m.sY);
+      U = Yp.dot(m.C);
+
+      // oprthogonalize y-scores
+      for (let a = 2; a <= m.ncomp; a++) {
+         const ua = U.subset([], a);
+         const Ta = T.subset([], Index.seq(1, a - 1));
+         const uao = ua.subtract(Ta.dot(crossprod(Ta, ua)));
+         U.v.set(uao.v, (a - 1) * U.nrows);
+      }
+   }
+
+   const regres = reggetmainres(T, m.C, m.mY, m.sY, Y);
+
+   return {
+      T: T,
+      U: U,
+      ...pcares,
+      ...regres,
+      // replaces class of the main PCA results
+      class: ['pcares', 'regres', 'plsres'],
+      name: name,
+      ncompSelected: m.ncompSelected,
+      ypred: reggetypred(regres.Ypred, m.ncomp, m.ncompSelected)
+   };
+}
+
+
+/**
+ * Randomization test for selection of number of components in PLS model.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matrix with responses (must have one column).
+ * @param {number} ncomp - maximum number of components to test.
+ * @param {boolean} [center=true] - logical, mean center X and Y or not.
+ * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {number} [nperm=1000] - number of permutations.
+ * @param {number} [alpha=0.01] - significance level used to select the number of components.
+ *
+ * @description For every component the test statistic is a covariance between X-scores computed
+ * by SIMPLS and the response values (both deflated by the previous components). Then the response
+ * values are permuted 'nperm' times and for every permutation the model with 'ncomp' components is
+ * fitted to the permuted values, so the statistic for every component is computed the same way as for
+ * the original values (taking into account the previous components fitted to the same data). The p-value
+ * is a proportion of permutations, which give the same or larger statistic. The selected number of
+ * components is the number of first components with p-value not exceeding 'alpha' (can be zero).
+ *
+ * @returns {JSON} object with statistic for every component ('statistic'), statistic for every
+ * permutation ('statPerm', matrix with 'nperm' rows and 'ncomp' columns), p-values ('pvalues') and
+ * selected number of components ('ncompSelected').
+ *
+ */
+export function plsrandtest(X, Y, ncomp, center, scale, nperm, alpha) {
+
+   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 3) {
+      throw Error('plsrandtest: parameter "X" must be a matrix with at least three rows and two columns.');
+   }
+
+   if (!ismatrix(Y) || Y.ncols !== 1 || Y.nrows !== X.nrows) {
+      throw Error('plsrandtest: parameter "Y" must be a matrix with one column and the same number of rows as "X".');
+   }
+
+   if (center === undefined) center = true;
+   if (scale === undefined) scale = false;
+   if (nperm === undefined) nperm = 1000;
+   if (alpha === undefined) alpha = 0.01;
+
+   if (!ncomp) {
+      ncomp = Math.min(X.ncols, X.nrows - 1);
+   }
+
+   if (!isnumber(ncomp) || ncomp < 1 || ncomp > Math.min(X.ncols, X.nrows - 1)) {
+      throw Error('plsrandtest: wrong value for "ncomp" parameter.');
+   }
+
+   if (!isnumber(nperm) || nperm < 1) {
+      throw Error('plsrandtest: parameter "nperm" must be a positive number.');
+   }
+
+   if (!isnumber(alpha) || alpha <= 0 || alpha >= 1) {
+      throw Error('plsrandtest: wrong value for "alpha" parameter.');
+   }
+
+   const Xp = prep_scale(X, center, scale);
+   const Yp = prep_scale(Y, center, scale);
+
+   const nobj = X.nrows;
+   const statPerm = Matrix.zeros(nperm, ncomp);
+   const pvalues = Vector.zeros(ncomp);
+
+   const yv = Yp.getcolref(1);
+   const statistic = new Vector(plsrandtestgetstat(Xp, yv, ncomp));
+   for (let i = 0; i < nperm; i++) {
+      const stat = plsrandtestgetstat(Xp, _shuffle(yv), ncomp);
+      for (let a = 0; a < ncomp; a++) {
+         statPerm.v[a * nperm + i] = stat[a];
+      }
+   }
+
+   for (let a = 1; a <= ncomp; a++) {
+      const sa = statPerm.getcolref(a);
+      pvalues.v[a - 1] = sa.filter(v => v >= statistic.v[a - 1]).length / nperm;
+   }
+
+   // number of first significant components
+   let ncompSelected = 0;
+   while (ncompSelected < ncomp && pvalues.v[ncompSelected] <= alpha) ncompSelected++;
+
+   return {
+      class: ['randtest'],
+      ncomp: ncomp,
+      nperm: nperm,
+      alpha: alpha,
+      statistic: statistic,
+      statPerm: statPerm,
+      pvalues: pvalues,
+      ncompSelected: ncompSelected
+   };
+}
+
+
+/**
+ * Compute statistic of randomization test for every component of PLS1 model.
+ *
+ * @param {Matrix} Xp - matrix with preprocessed predictors.
+ * @param {Float64Array} y - array with preprocessed response values.
+ * @param {number} ncomp - number of components.
+ *
+ * @description The components are computed using the same steps as in 'simpls()', but only values
+ * needed for the statistic are computed, as the method is called for every permutation. Since X-scores
+ * are normalized, the statistic (covariance between the scores and the response values deflated by
+ * the previous components) is computed as absolute value of y-loading divided by 'n - 1'.
+ *
+ * @returns {Float64Array} array with statistic for every component.
+ *
+ */
+function plsrandtestgetstat(Xp, y, ncomp) {
+
+   const nobj = Xp.nrows;
+   const npred = Xp.ncols;
+   const stat = new Float64Array(ncomp);
+   const V = [];
+
+   // covariance between predictors and response
+   const S = new Float64Array(npred);
+   for (let c = 0; c < npred; c++) {
+      S[c] = _dot(Xp.getcolref(c + 1), y, 1, nobj, nobj, 1)[0];
+   }
+
+   for (let a = 0; a < ncomp; a++) {
+
+      // normalized X-scores
+      const t = Xp.dot(new Matrix(S.slice(), npred, 1)).v;
+      const tnorm = norm2(t);
+      if (tnorm === 0) break;
+      t.forEach((v, i) => t[i] = v / tnorm);
+
+      stat[a] = Math.abs(_dot(t, y, 1, nobj, nobj, 1)[0]) / (nobj - 1);
+
+      // X-loadings orthogonalized to the previous ones and deflation of the covariance
+      const v = Float64Array.from({length: npred}, (x, c) => _dot(Xp.getcolref(c + 1), t, 1, nobj, nobj, 1)[0]);
+      for (let vp of V) {
+         const d = _dot(vp, v, 1, npred, npred, 1)[0];
+         v.forEach((x, c) => v[c] = x - d * vp[c]);
+      }
+      const vnorm = norm2(v);
+      v.forEach((x, c) => v[c] = x / vnorm);
+      V.push(v);
+
+      const d = _dot(v, S, 1, npred, npred, 1)[0];
+      S.forEach((x, c) => S[c] = x - d * v[c]);
+   }
+
+   return stat;
+}
+
+
+/**
+ * Interval PLS (iPLS) variable selection.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matrix with responses (must have one column).
+ * @param {number} [ncomp=10] - maximum number of components for PLS models.
+ * @param {boolean} [center=true] - logical, mean center X and Y or not.
+ * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {number|Array|Index} [cv=['ven', 10]] - cross-validation settings (see 'crossval()').
+ * @param {number|Array} [int] - width of intervals (number of variables, by default one tenth of
+ * number of variables in X, but not smaller than 2) or array with limits of every interval, e.g. [[1, 20], [21, 50], [51, 100]] (first and last variable, starting from 1).
+ * @param {string} [method='forward'] - selection method ('forward' or 'backward').
+ *
+ * @description Variables are split into intervals and PLS model with cross-validation is computed
+ * for every interval. Then intervals are iteratively added to (forward) or removed from (backward)
+ * the set of selected intervals, at every step the interval, which gives the smallest RMSECV, is
+ * taken. The selection stops when RMSECV can not be improved. Every model uses number of components
+ * with the smallest RMSECV. Maximum number of components for a model is limited by number of variables
+ * in the selected intervals and by number of objects in the cross-validation calibration sets. The same
+ * cross-validation segments are used for all models.
+ *
+ * @returns {JSON} object with interval limits ('intLimits'), statistics for individual intervals
+ * ('intStat') and for model with all variables ('glob'), trace of the selection procedure ('trace'),
+ * selected intervals and variables and final PLS model with selected variables ('model').
+ *
+ */
+export function ipls(X, Y, ncomp, center, scale, cv, int, method) {
+
+   if (center === undefined) center = true;
+   if (scale === undefined) scale = false;
+   if (cv === undefined || cv === null) cv = ['ven', 10];
+   if (ncomp === undefined || ncomp === null) ncomp = 10;
+   if (method === undefined) method = 'forward';
+
+   if (!ismatrix(X) || X.ncols < 4 || X.nrows < 3) {
+      throw new Error('ipls: parameter "X" must be a matrix with at least three rows and four columns.');
+   }
+
+   if (!Number.isInteger(ncomp) || ncomp < 1) {
+      throw new Error('ipls: parameter "ncomp" must be a positive integer.');
+   }
+
+   if (int === undefined || int === null) {
+      int = Math.max(2, Math.floor(X.ncols / 10));
+   }
+
+   if (!ismatrix(Y) || Y.ncols !== 1 || Y.nrows !== X.nrows) {
+      throw new Error('ipls: parameter "Y" must be a matrix with one column and the same number of rows as "X".');
+   }
+
+   if (method !== 'forward' && method !== 'backward') {
+      throw new Error('ipls: parameter "method" must be either "forward" or "backward".');
+   }
+
+   // limits of the intervals
+   let limits;
+   if (isnumber(int)) {
+      if (int < 2 || int > X.ncols / 2) {
+         throw new Error('ipls: width of intervals must be between 2 and half of number of variables (' +
+            Math.floor(X.ncols / 2) + ' for this dataset).');
+      }
+      limits = [];
+      for (let start = 1; start <= X.ncols; start += int) {
+         limits.push([start, Math.min(start + int - 1, X.ncols)]);
+      }
+
+      // merge last interval with previous one if it is too small
+      if (limits[limits.length - 1][1] - limits[limits.length - 1][0] < 1) {
+         limits[limits.length - 2][1] = X.ncols;
+         limits.pop();
+      }
+   } else if (Array.isArray(int) && int.length > 1 && int.every(l => Array.isArray(l) && l.length === 2 &&
+         l[0] >= 1 && l[1] <= X.ncols && l[1] > l[0])) {
+      limits = int;
+   } else {
+      throw new Error('ipls: parameter "int" must be a number or an array with first and last variable of every interval.');
+   }
+
+   const nint = limits.length;
+   const intVars = limits.map(l => Index.seq(l[0], l[1]));
+
+   // same segments for all models
+   const seg = crossval(X.nrows, cv);
+
+   // number of components can not exceed size of the smallest calibration set in cross-validation
+   const segSize = Array.from(Index.seq(1, max(seg)).v, s => seg.which(v => v === s).length);
+   ncomp = Math.min(ncomp, X.nrows - Math.max(...segSize) - 1);
+   if (ncomp < 1) {
+      throw new Error('ipls: cross-validation segments are too large for the number of objects.');
+   }
+
+   // statistics for individual intervals and for all variables
+   const intStat = {rmse: Vector.zeros(nint), r2: Vector.zeros(nint), ncomp: new Index(new Index.valuesConstructor(nint))};
+   for (let i = 0; i < nint; i++) {
+      const r = iplsgetstat(X, Y, intVars[i], ncomp, center, scale, seg);
+      intStat.rmse.v[i] = r.rmse;
+      intStat.r2.v[i] = r.r2;
+      intStat.ncomp.v[i] = r.ncomp;
+   }
+   const glob = iplsgetstat(X, Y, Index.seq(1, X.ncols), ncomp, center, scale, seg);
+
+   // selection procedure
+   const getvars = (sel) => index(sel.slice().sort((a, b) => a - b).flatMap(i => Array.from(intVars[i - 1].v)));
+   let selected = method === 'forward' ? [] : Array.from(Index.seq(1, nint).v);
+   let best = method === 'forward' ? {rmse: Infinity} : glob;
+   const trace = {intervals: [], rmse: [], ncomp: []};
+
+   while (method === 'forward' ? selected.length < nint : selected.length > 1) {
+
+      // candidates for adding or removing
+      const candidates = method === 'forward' ?
+         Array.from(Index.seq(1, nint).v).filter(i => !selected.includes(i)) : selected.slice();
+
+      let stepBest = null;
+      let stepInt = 0;
+      for (let i of candidates) {
+         const sel = method === 'forward' ? [...selected, i] : selected.filter(v => v !== i);
+         const r = iplsgetstat(X, Y, getvars(sel), ncomp, center, scale, seg);
+         if (stepBest === null || r.rmse < stepBest.rmse) {
+            stepBest = r;
+            stepInt = i;
+         }
+      }
+
+      if (stepBest.rmse >= best.rmse) break;
+
+      best = stepBest;
+      selected = method === 'forward' ? [...selected, stepInt] : selected.filter(v => v !== stepInt);
+      trace.intervals.push(stepInt);
+      trace.rmse.push(stepBest.rmse);
+      trace.ncomp.push(stepBest.ncomp);
+   }
+
+   const selectedVars = getvars(selected);
+   return {
+      class: ['ipls'],
+      method: method,
+      intLimits: reshape(vector(limits.flat()), 2, nint).t(),
+      intStat: intStat,
+      glob: glob,
+      trace: {intervals: index(trace.intervals), rmse: vector(trace.rmse), ncomp: index(trace.ncomp)},
+      selectedIntervals: index(selected.slice().sort((a, b) => a - b)),
+      selectedVars: selectedVars,
+      model: plsfit(X.subset([], selectedVars), Y, best.ncomp, center, scale, seg)
+   };
+}
+
+
+/**
+ * Compute cross-validated statistics of PLS model for iPLS.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matrix with responses.
+ * @param {Index} vars - indices of variables to use.
+ * @param {number} ncomp - maximum number of components.
+ * @param {boolean} center - logical, mean center X and Y or not.
+ * @param {boolean} scale - logical, standardize X and Y or not.
+ * @param {Index} seg - vector with segment number for every object.
+ *
+ * @returns {JSON} object with the smallest RMSECV ('rmse'), corresponding number of components
+ * ('ncomp') and Q2 ('r2').
+ *
+ */
+function iplsgetstat(X, Y, vars, ncomp, center, scale, seg) {
+
+   // only SIMPLS is used for local models as other outcomes of 'plsfit()' are not needed
+   ncomp = Math.min(ncomp, vars.length);
+   const Xs = X.subset([], vars);
+   const Ypred = Matrix.zeros(X.nrows, ncomp);
+
+   for (let s = 1; s <= max(seg); s++) {
+
+      const ind = getcvind(seg, s, ncomp);
+      if (ind === null) continue;
+
+      const [Xp, mX, sX] = prep_scale(Xs.subset(ind[0], []), center, scale, true);
+      const [Yp, mY, sY] = prep_scale(Y.subset(ind[0], []), center, scale, true);
+      const m = simpls(Xp, Yp, ncomp);
+      const T = prep_scale(Xs.subset(ind[1], []), mX, sX).dot(m.R);
+      Ypred.replace(reggetmainres(T, m.C, mY, sY).Ypred, ind[1], []);
+   }
+
+   const stat = getregstat(Ypred, Y, ncomp);
+   const a = minind(stat.rmse.v);
+   return {rmse: stat.rmse.v[a - 1], r2: stat.r2.v[a - 1], ncomp: a};
+}
+
+
+/**
+ * Fit Orthogonal Partial Least Squares (OPLS) or OPLS-DA model.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix|Factor} Y - matrix with responses (OPLS) or factor with reference classes (OPLS-DA).
+ * @param {number} [northo=1] - number of orthogonal components (at least one).
+ * @param {boolean} [center=true] - logical, mean center X and Y or not.
+ * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ *
+ * @description Variation in X is split into predictive part, which is correlated with Y, and
+ * orthogonal part, which is not. The orthogonal components are computed and removed from X first,
+ * then PLS model is fitted for the filtered X. Number of predictive components is equal to the
+ * rank of matrix with X-weights of individual responses (one component for a single response). If
+ * Y is a factor, the response matrix is created by dummy coding of the classes (same as in PLS-DA)
+ * and the model has one predictive component less than the number of classes. Results for the
+ * calibration set of OPLS-DA model are computed using threshold rule.
+ *
+ * @returns {JSON} object with model parameters and results for calibration set.
+ *
+ */
+export function oplsfit(X, Y, northo, center, scale) {
+
+   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
+      throw Error('oplsfit: parameter "X" must be a matrix with at least two rows and two columns.');
+   }
+
+   if (isfactor(Y) && Y.nlevels < 2) {
+      throw Error('oplsfit: parameter "Y" must be a factor with at least two classes.');
+   }
+
+   if (!isfactor(Y) && (!ismatrix(Y) || Y.ncols < 1)) {
+      throw Error('oplsfit: parameter "Y" must be a matrix with at least one column or a factor.');
+   }
+
+   if (isfactor(Y) ? Y.length !== X.nrows : Y.nrows !== X.nrows) {
+      throw Error('oplsfit: number of rows in "X" and "Y" do not match.');
+   }
+
+   if (northo === undefined) {
+      northo = 1;
+   }
+
+   if (center === undefined) {
+      center = true;
+   }
+
+   if (scale === undefined) {
+      scale = false;
+   }
+
+   const c = isfactor(Y) ? Y : null;
+   if (c) {
+      Y = plsdagetdummy(c, c.labels);
+   }
+
+   // center and scale the training set
+   let [Xp, mX, sX] = prep_scale(X, center, scale, true);
+   const [Yp, mY, sY] = prep_scale(Y, center, scale, true);
+
+   // X-weights for every response and their principal directions
+   const W = crossprod(Xp, Yp).divide(Yp.apply(ssq, 2));
+   const e = eigsym(crossprod(W));
+   const npred = e.values.v.filter(v => v > e.values.v[0] * 1e-10).length;
+   const Tw = W.dot(e.vectors.subset([], Index.seq(1, npred)));
+
+   if (!isnumber(northo) || northo < 1 || northo + npred > Math.min(X.ncols, X.nrows - 1)) {
+      throw Error('oplsfit: wrong value for "northo" parameter.');
+   }
+
+   const Wortho = Matrix.zeros(X.ncols, northo);
+   const Portho = Matrix.zeros(X.ncols, northo);
+
+   // compute and remove orthogonal components one by one
+   for (let a = 1; a <= northo; a++) {
+
+      // PLS component for current X (start with the response with largest variance)
+      let u = Yp.subset([], maxind(Yp.apply(ssq, 2).v));
+      let t = Matrix.zeros(X.nrows, 1);
+      for (let i = 0; i < 100; i++) {
+         let w = crossprod(Xp, u);
+         w = w.divide(norm2(w.v));
+         const tn = Xp.dot(w);
+         const cy = crossprod(Yp, tn).divide(ssq(tn.v));
+         u = Yp.dot(cy).divide(ssq(cy.v));
+
+         const dt = ssq(tn.subtract(t).v) / ssq(tn.v);
+         t = tn;
+         if (dt < 1e-20) break;
+      }
+
+      // orthogonal weights are the part of X-loadings, which is orthogonal to the predictive weights
+      const p = crossprod(Xp, t).divide(ssq(t.v));
+      let wo = p.copy();
+      for (let k = 1; k <= npred; k++) {
+         const tw = Tw.subset([], k);
+         wo = wo.subtract(tw.mult(sum(tw.mult(p).v) / ssq(tw.v)));
+      }
+      wo = wo.divide(norm2(wo.v));
+
+      // orthogonal scores and loadings, deflation of X
+      const to = Xp.dot(wo);
+      const po = crossprod(Xp, to).divide(ssq(to.v));
+      Xp = Xp.subtract(tcrossprod(to, po));
+
+      Wortho.v.set(wo.v, (a - 1) * X.ncols);
+      Portho.v.set(po.v, (a - 1) * X.ncols);
+   }
+
+   // PLS model for filtered X
+   const m = simpls(Xp, Yp, npred);
+
+   // create the model object
+   const model = {
+      class: ['oplsmodel', 'regmodel'],
+      npred: npred,
+      northo: northo,
+      nresp: Y.ncols,
+      center: center,
+      scale: scale,
+
+      // X part
+      mX: mX,
+      sX: sX,
+      P: m.P,
+      R: m.R,
+      xeigenvals: m.xeigenvals,
+
+      // orthogonal part
+      Wortho: Wortho,
+      Portho: Portho,
+
+      // Y part
+      mY: mY,
+      sY: sY,
+      C: m.C,
+      yeigenvals: m.yeigenvals
+   };
+
+   if (c) {
+      model.class = ['oplsdamodel', ...model.class];
+      model.classNames = c.labels;
+   }
+
+   model.results = {'cal': oplspredict(model, X, c ? c : Y, 'threshold', 'cal')};
+   return model;
+}
+
+
+/**
+ * Make predictions for OPLS or OPLS-DA model and new dataset.
+ *
+ * @param {JSON} m - OPLS model created by 'oplsfit()'.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix|Factor} [Y] - matrix with reference responses (OPLS) or factor with reference
+ * classes (OPLS-DA), use null/undefined if not available.
+ * @param {string} [rule='threshold'] - classification rule for OPLS-DA model (see 'plsdapredict()').
+ * @param {string} name - text label for the results with objects.
+ *
+ * @description Orthogonal components are removed from the data first, then the filtered values are
+ * projected to the predictive components. Predictions and performance statistics are organised in
+ * the same way as for PLS models (see 'reggetmainres()'), with one column for each number of predictive
+ * components. Explained variance ('xexpvar' and 'xexpvarOrtho', in percent) is computed for every
+ * predictive and orthogonal component relative to the total variation in preprocessed X. Proportion of
+ * variation in X and Y explained by each part of the model is returned as 'R2X' and 'R2Y'. Predictions
+ * made using all predictive components are returned as 'ypred' (and, for OPLS-DA, predicted classes
+ * as 'cPred', see 'plsdapredict()').
+ *
+ * @returns {JSON} object with main results (and classification results for every class for OPLS-DA).
+ *
+ */
+export function oplspredict(m, X, Y, rule, name) {
+
+   if (!isa(m, 'oplsmodel')) {
+      throw Error('oplspredict: parameter "m" must be an object with OPLS model.');
+   }
+
+   if (!ismatrix(X) || X.nrows < 1) {
+      throw Error('oplspredict: parameter "X" must be a matrix.');
+   }
+
+   if (X.ncols !== m.mX.length) {
+      throw Error('oplspredict: parameter "X" has wrong number of columns.');
+   }
+
+   if (rule === undefined) {
+      rule = 'threshold';
+   }
+
+   if (!['threshold', 'max'].includes(rule)) {
+      throw Error('oplspredict: parameter "rule" must be either "threshold" or "max".');
+   }
+
+   const isda = isa(m, 'oplsdamodel');
+   const hasRef = Y !== undefined && Y !== null;
+   const cRef = isda && hasRef ? Y : null;
+
+   if (hasRef && isda && (!isfactor(Y) || Y.length !== X.nrows)) {
+      throw Error('oplspredict: parameter "Y" must be a factor with the same number of values as rows in "X".');
+   }
+
+   if (hasRef && !isda && (!ismatrix(Y) || Y.ncols !== m.nresp)) {
+      throw Error('oplspredict: parameter "Y" must be a matrix with the same number of columns as responses in the model or null/undefined.');
+   }
+
+   if (cRef) {
+      Y = plsdagetdummy(cRef, m.classNames);
+   }
+
+   let Xp = prep_scale(X, m.mX, m.sX);
+   const totssq = ssq(Xp.v);
+
+   // remove orthogonal components
+   const Tortho = Matrix.zeros(X.nrows, m.northo);
+   const xexpvarOrtho = Vector.zeros(m.northo);
+   for (let a = 1; a <= m.northo; a++) {
+      const to = Xp.dot(m.Wortho.subset([], a));
+      const ssqa = ssq(Xp.v);
+      Xp = Xp.subtract(tcrossprod(to, m.Portho.subset([], a)));
+      Tortho.v.set(to.v, (a - 1) * X.nrows);
+      xexpvarOrtho.v[a - 1] = 100 * (ssqa - ssq(Xp.v)) / totssq;
+   }
+
+   // compute predictive scores and explained variance
+   const T = Xp.dot(m.R);
+   const xexpvar = Vector.zeros(m.npred);
+   for (let a = 1; a <= m.npred; a++) {
+      const ssqa = ssq(Xp.v);
+      Xp = Xp.subtract(tcrossprod(T.subset([], a), m.P.subset([], a)));
+      xexpvar.v[a - 1] = 100 * (ssqa - ssq(Xp.v)) / totssq;
+   }
+
+   const regres = reggetmainres(T, m.C, m.mY, m.sY, hasRef ? Y : null);
+   const res = {
+      class: ['oplsres', 'regres'],
+      name: name,
+      T: T,
+      Tortho: Tortho,
+      xexpvar: xexpvar,
+      xexpvarOrtho: xexpvarOrtho,
+      R2X: {pred: sum(xexpvar.v) / 100, ortho: sum(xexpvarOrtho.v) / 100},
+      ...regres,
+      ypred: reggetypred(regres.Ypred, m.npred, m.npred)
+   };
+
+   // proportion of Y variation explained by predictive and orthogonal scores
+   if (hasRef) {
+      const Yp = prep_scale(Y, m.mY, m.sY);
+      const Yo = Tortho.dot(crossprod(Tortho).inv()).dot(crossprod(Tortho, Yp));
+      res.R2Y = {
+         pred: vector(Array.from({length: m.nresp}, (v, r) => regres.r2.v[(m.npred - 1) * m.nresp + r])),
+         ortho: Yo.apply(ssq, 2).divide(Yp.apply(ssq, 2))
+      };
+   }
+
+   if (isda) {
+      res.class = ['oplsdares', ...res.class];
+      res.classres = plsdagetclassres(res.Ypred, m.npred, m.classNames, rule, cRef);
+      res.cPred = plsdagetcpred(res.classres, m.npred);
+   }
+
+   return res;
+}
+
+
+/**
+ * Fit Principal Component Regression model.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matirx with responses (must have one column).
+ * @param {number} ncomp - number of components.
+ * @param {boolean} [center=true] - logical, mean center X and Y or not.
+ * @param {boolean} [scale=false] - logical, standardize X and Y or not.
+ * @param {number|Array|Index} [cv] - cross-validation settings (see 'crossval()'), if provided
+ * cross-validation results will be computed.
+ *
+ * @returns {JSON} object with model parameters and results for calibration set (and cross-validation).
+ */
+export function pcrfit(X, Y, ncomp, center, scale, cv) {
+
+   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
+      throw Error('pcrfit: parameter X must be a matrix with at least two rows and two columns.');
+   }
+
+   if (!ismatrix(Y) || Y.ncols !== 1) {
+      throw Error('pcrfit: parameter Y must be a matrix with one column.');
+   }
+
+   if (Y.nrows !== X.nrows) {
+      throw Error('pcrfit: number of rows in X and Y do not match.');
+   }
+
+
+   if (center === undefined) {
+      center = true;
+   }
+
+   if (scale === undefined) {
+      scale = false;
+   }
+
+   if (!ncomp) {
+      ncomp = Math.min(X.ncols, X.nrows - 1);
+   }
+
+   // center and scale the training set
+   const [Xp, mX, sX] = prep_scale(X, center, scale, true);
+   const [Yp, mY, sY] = prep_scale(Y, center, scale, true);
+
+   // compute loadings and eigenvalues for X using randomized SVD
+   const m = rsvd(Xp, ncomp);
+   const eigenvals = m.s.apply(x => x * x / (X.nrows - 1));
+
+   // compute main PCA results for calibration set
+   const calres = pcagetmainres(Xp, m.U.dot(Matrix.diagm(m.s)), m.V, eigenvals);
+
+   // compute parameters for distances
+   const hParams = getDistParams(calres.H);
+   const qParams = getDistParams(calres.Q);
+
+   // compute Y-loadings
+   const C = Matrix.zeros(1, ncomp);
+   for (let a = 1; a <= ncomp; a++) {
+      const sigmaa = m.s.v[a - 1];
+      const ta = calres.T.getcolref(a);
+      C.v[a - 1] = _dot(Yp.v, ta, 1, X.nrows, X.nrows, 1) / (sigmaa * sigmaa);
+   }
+
+   // compute regression coefficients
+   const coeffs = reggetcoeffs(m.V, C, mX, sX, mY, sY);
+
+   // create the model object
+   const model = {
+      class: ['pcrmodel', 'regmodel', 'pcamodel'],
+
+      // PCA part
+      P: m.V,
+      eigenvals: eigenvals,
+      center: center,
+      scale: scale,
+      mX: mX,
+      sX: sX,
+      qParams: qParams,
+      hParams: hParams,
+
+      // PCR part
+      ncomp: ncomp,
+      ncompSelected: ncomp,
+      C: C,
+      mY: mY,
+      sY: sY,
+      coeffs: coeffs
+   };
+
+   // compute results for calibration set and cross-validation
+   model.results = {'cal': pcrpredict(model, X, Y, 'cal')};
+   if (cv !== undefined && cv !== null) {
+      const [cvres, jkcoeffs] = regcv(X, Y, ncomp, center, scale, cv, pcrfit, pcrpredict);
+      model.results.cv = cvres;
+      Object.assign(model.coeffs, reggetjkstat(coeffs.valuesOrig, jkcoeffs));
+   }
+
+   return model;
+}
+
+
+/**
+ * Make predictions for PCR model and new dataset.
+ *
+ * @param {JSON} m - PCR model created by 'pcrfit()'.
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matirx with responses (must have one column, use empty array [], if no response available).
+ * @param {string} name - text label for the results with objects.
+ *
+ * @description Predictions made using the selected number of components are returned as 'ypred'
+ * (see 'plspredict()').
+ *
+ * @returns {JSON} object with main results.
+ */
+export function pcrpredict(m, X, Y, name) {
+
+
+   const Xp = prep_scale(X, m.mX, m.sX);
+
+   // compute PCA results
+   const T = Xp.dot(m.P);
+   const pcares = pcagetmainres(Xp, T, m.P, m.eigenvals);
+
+   // compute regression results
+   const regres = reggetmainres(T, m.C, m.mY, m.sY, Y);
+
+   return {
+      ...pcares,
+      ...regres,
+      // replaces class of the main PCA results
+      class: ['pcares', 'regres', 'pcrres'],
+      name: name,
+      ncompSelected: m.ncompSelected,
+      ypred: reggetypred(regres.Ypred, m.ncomp, m.ncompSelected)
+   };
+}
+
+
+/**
+ * Fit a Principal Component Analysis model.
+ *
+ * @param {Matrix} X - matrix or dataset with data values.
+ * @param {number} ncomp - number of components to compute.
+ * @param {boolean|Vector} [center=true] - logical (mean center or not) or vector with values for centering.
+ * @param {boolean|Vector} [scale=false]  - logical (standardize or not) or vector with values for scaling.
+ * @param {number|Array|Index} [cv] - cross-validation settings (see 'crossval()'), if provided
+ * cross-validation results will be computed.
+ * @param {Array} [outliers] - settings for iterative exclusion of outliers, array with type of
+ * distance limits and significance level for outliers, e.g. ['classic', 0.01] or ['robust', 0.01],
+ * and, optionally, maximum number of iterations (default 10).
+ *
+ * @description If 'X' contains missing values (NaN), the model is fitted using NIPALS algorithm, which
+ * skips the missing values, and the calibration results contain matrix 'Ximputed' with missing values
+ * replaced by values reconstructed from the model.
+ *
+ * If 'outliers' is provided, the model is fitted iteratively. At every iteration all
+ * calibration objects are projected to the model, objects detected as outliers (see 'pcacategorize()')
+ * are excluded and the model is refitted until the set of outliers does not change. The final model
+ * is fitted without the outliers, details are stored in field 'outliers' of the model.
+ *
+ * @returns {Object} JSON with model parameters.
+ *
+ */
+export function pcafit(X, ncomp, center, scale, cv, outliers) {
+
+   if (center === undefined) {
+      center = true;
+   }
+
+   if (scale === undefined) {
+      scale = false;
+   }
+
+   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 2) {
+      throw Error('plsfit: parameter "X" must be a matrix with at least two rows and two columns.');
+   }
+
+   if (!ncomp) {
+      ncomp = Math.min(X.ncols, X.nrows - 1);
+   }
+
+   if (ncomp < 0 || ncomp > X.ncols || ncomp > X.nrows - 1) {
+      throw new Error('pcafit: wrong value for "ncomp" parameter.');
+   }
+
+   if (outliers !== undefined && outliers !== null) {
+      return pcaexcludeoutliers(X, ncomp, center, scale, cv, outliers);
+   }
+
+   // center and scale the training set
+   const missing = hasmissing(X);
+   const [Xp, mX, sX] = missing ?
+      prep_scale(X, center === true ? X.apply(x => mean(x.filter(v => v === v)), 2) : center,
+         scale === true ? X.apply(x => sd(x.filter(v => v === v)), 2) : scale, true) :
+      prep_scale(X, center, scale, true);
+
+   // compute scores, loadings and eigenvalues
+   let T, P, eigenvals;
+   if (missing) {
+      ({T, P} = nipals(Xp, ncomp));
+      eigenvals = T.apply(t => ssq(t) / (X.nrows - 1), 2);
+   } else {
+      const m = rsvd(Xp, ncomp);
+      T = m.U.dot(Matrix.diagm(m.s));
+      P = m.V;
+      eigenvals = m.s.apply(v => v * v / (X.nrows - 1));
+   }
+
+   // compute main PCA results for calibration set
+   const calres = pcagetmainres(Xp, T, P, eigenvals);
+   if (missing) {
+      calres.Ximputed = pcaimpute(X, T, P, mX, sX);
+   }
+
+   // compute mean values for distances
+   const hParams = getDistParams(calres.H);
+   const qParams = getDistParams(calres.Q);
+
+   // compute cross-validation results if needed
+   const results = {'cal': calres};
+   if (cv !== undefined && cv !== null) {
+      results.cv = pcacv(X, ncomp, center, scale, cv);
+   }
+
+   // return the model object
+   return {
+      class: ['pcamodel'],
+      P: P,
+      eigenvals: eigenvals,
+      center: center,
+      scale: scale,
+      mX: mX,
+      sX: sX,
+      qParams: qParams,
+      hParams: hParams,
+      ncomp: ncomp,
+      ncompSelected: ncomp,
+      nCalObj: Xp.nrows,
+      results: results
+   }
+}
+
+
+/**
+ * Fit PCA model with iterative exclusion of outliers.
+ *
+ * @param {Matrix} X - matrix with calibration set.
+ * @param {number} ncomp - number of components.
+ * @param {boolean|Vector} center - logical (mean center or not) or vector with values for centering.
+ * @param {boolean|Vector} scale - logical (standardize or not) or vector with values for scaling.
+ * @param {number|Array|Index} cv - cross-validation settings (see 'crossval()').
+ * @param {Array} outliers - settings for exclusion of outliers (see 'pcafit()').
+ *
+ * @returns {Object} JSON with model parameters.
+ *
+ */
+function pcaexcludeoutliers(X, ncomp, center, scale, cv, outliers) {
+
+   if (!Array.isArray(outliers) || !['classic', 'robust'].includes(outliers[0]) ||
+         !isnumber(outliers[1]) || outliers[1] <= 0 || outliers[1] >= 1) {
+      throw new Error('pcafit: parameter "outliers" must be an array with type of limits ("classic" or "robust") and significance level.');
+   }
+
+   const [limType, gamma] = outliers;
+   const maxIter = outliers[2] === undefined ? 10 : outliers[2];
+
+   if (!isnumber(maxIter) || maxIter < 1) {
+      throw new Error('pcafit: maximum number of iterations for exclusion of outliers must be a positive number.');
+   }
+
+   const nrows = X.nrows;
+   const iterations = [];
+   let excluded = new Index(new Index.valuesConstructor(0));
+   let converged = false;
+   let m;
+
+   for (let i = 0; i < maxIter; i++) {
+
+      const included = Index.seq(1, nrows).which(v => !excluded.v.includes(v));
+      if (included.length < ncomp + 2) {
+         throw new Error('pcafit: too many objects were detected as outliers, can not fit the model.');
+      }
+
+      // fit the model without outliers and detect outliers among all objects
+      m = pcafit(X.subset(included, []), ncomp, center, scale);
+      const res = pcacategorize(m, pcapredict(m, X), 0.05, gamma, limType);
+      const found = res.categories.which('outlier');
+      iterations.push(found);
+
+      if (found.length === excluded.length && found.v.every((v, j) => v === excluded.v[j])) {
+         converged = true;
+         break;
+      }
+
+      excluded = found;
+   }
+
+   // if no convergence the final model is fitted without outliers found at the last iteration
+   const included = Index.seq(1, nrows).which(v => !excluded.v.includes(v));
+   if (!converged) {
+      m = pcafit(X.subset(included, []), ncomp, center, scale);
+   }
+
+   if (cv !== undefined && cv !== null) {
+      // user defined segments must be taken for the included objects only
+      const cvInc = isindex(cv) || (Array.isArray(cv) && cv.length === nrows && isnumber(cv[0])) ?
+         index(Array.from(cv.v ? cv.v : cv)).subset(included) : cv;
+      m.results.cv = pcacv(X.subset(included, []), ncomp, center, scale, cvInc);
+   }
+
+   m.outliers = {
+      limType: limType,
+      gamma: gamma,
+      excluded: excluded,
+      iterations: iterations,
+      converged: converged
+   };
+
+   return m;
+}
+
+
+/**
+ * Fit a robust Principal Component Analysis model using ROBPCA algorithm.
+ *
+ * @param {Matrix} X - matrix with data values.
+ * @param {number} ncomp - number of components to compute.
+ * @param {boolean|Vector} [scale=false] - logical (standardize or not) or vector with values for scaling.
+ * @param {number} [alpha=0.75] - proportion of objects used for robust estimates (between 0.5 and 1).
+ * @param {number} [seed=1] - seed for generator of random directions and subsets (positive integer).
+ *
+ * @description The method implements ROBPCA algorithm (Hubert, Rousseeuw and Vanden Branden, 2005).
+ * First, h objects with smallest projection pursuit outlyingness are used to find initial subspace.
+ * Then objects with small orthogonal distance to this subspace are used to refine it, and finally
+ * center and covariance of scores are estimated using reweighted MCD. Data are always centered using
+ * the robust center, if 'scale = true', robust estimate of standard deviation (IQR / 1.349) is used
+ * for scaling. Random directions and subsets are generated using pseudo-random generator initialized
+ * with 'seed', so the same seed gives the same model. The returned model has the same structure as
+ * model created by 'pcafit()', so it can be used in 'pcapredict()', 'simcapredict()', etc.
+ *
+ * @returns {Object} JSON with model parameters.
+ *
+ */
+export function robpcafit(X, ncomp, scale, alpha, seed) {
+
+   if (scale === undefined) {
+      scale = false;
+   }
+
+   if (alpha === undefined) {
+      alpha = 0.75;
+   }
+
+   if (seed === undefined) {
+      seed = 1;
+   }
+
+   if (!ismatrix(X) || X.ncols < 2 || X.nrows < 3) {
+      throw Error('robpcafit: parameter "X" must be a matrix with at least three rows and two columns.');
+   }
+
+   if (!ncomp) {
+      ncomp = Math.min(X.ncols, X.nrows - 1, 10);
+   }
+
+   if (ncomp < 1 || ncomp > X.ncols || ncomp > X.nrows - 2) {
+      throw new Error('robpcafit: wrong value for "ncomp" parameter.');
+   }
+
+   if (!isnumber(alpha) || alpha < 0.5 || alpha > 1) {
+      throw new Error('robpcafit: wrong value for "alpha" parameter (must be between 0.5 and 1).');
+   }
+
+   if (!Number.isInteger(seed) || seed < 1) {
+      throw new Error('robpcafit: wrong value for "seed" parameter (must be a positive integer).');
+   }
+
+   const rand = randgen(seed);
+
+   const nrows = X.nrows;
+   const h = Math.max(Math.floor(alpha * nrows), Math.floor((nrows + ncomp + 1) / 2));
+
+   // robust scaling
+   if (scale === true) {
+      scale = X.apply(x => iqr(x) / 1.349, 2);
+   }
+
+   const Xs = scale === false ? X : prep_scale(X, false, scale);
+
+   // reduce dimension to the space spanned by the objects if needed
+   let Z = Xs;
+   let V0 = null;
+   let m0 = Vector.zeros(X.ncols);
+   if (X.ncols >= nrows) {
+      m0 = Xs.apply(mean, 2);
+      const Xc = prep_scale(Xs, m0, false);
+      const e0 = eigsym(tcrossprod(Xc));
+      const ind = e0.values.which(v => v > e0.values.v[0] * 1e-10);
+      const U0 = e0.vectors.subset([], ind);
+      V0 = crossprod(Xc, U0).divide(e0.values.subset(ind).apply(Math.sqrt));
+      Z = Xc.dot(V0);
+   }
+
+   if (ncomp > Z.ncols) {
+      throw new Error('robpcafit: wrong value for "ncomp" parameter.');
+   }
+
+   // initial subspace based on h objects with smallest outlyingness
+   const outl = robpcaoutlyingness(Z, h, rand);
+   const H0 = index(Array.from(outl.sortind().v.subarray(0, h)).sort((a, b) => a - b));
+   let [m1, P1] = robpcasubspace(Z.subset(H0, []), ncomp);
+
+   // refine the subspace using objects with small orthogonal distance
+   if (ncomp < Z.ncols) {
+      const Zc = prep_scale(Z, m1, false);
+      const E = Zc.subtract(tcrossprod(Zc.dot(P1), P1));
+      const od = E.apply(e => Math.pow(norm2(e), 2 / 3), 1);
+      const [t, s] = mcdunivariate(od.v, h);
+      const odCrit = t + s * qnorm(0.975);
+      const H1 = od.which(v => v <= odCrit);
+      if (H1.length > ncomp + 1) {
+         [m1, P1] = robpcasubspace(Z.subset(H1, []), ncomp);
+      }
+   }
+
+   // reweighted MCD estimates for center and covariance of scores
+   const T1 = prep_scale(Z, m1, false).dot(P1);
+   const [m2, S2] = mcd(T1, h, rand);
+   const e = eigsym(S2);
+
+   // combine all transformations
+   let P = P1.dot(e.vectors);
+   let center = m1.add(P1.dot(m2).getcolumn(1));
+   if (V0 !== null) {
+      P = V0.dot(P);
+      center = m0.add(V0.dot(center).getcolumn(1));
+   }
+
+   // center is computed for scaled data
+   if (scale !== false) {
+      center = center.mult(scale);
+   }
+
+   const eigenvals = e.values;
+
+   // compute main PCA results for calibration set
+   const [Xp, mX, sX] = prep_scale(X, center, scale, true);
+   const calres = pcagetmainres(Xp, Xp.dot(P), P, eigenvals);
+
+   return {
+      class: ['pcamodel'],
+      method: 'robust',
+      P: P,
+      eigenvals: eigenvals,
+      center: center,
+      scale: scale,
+      mX: mX,
+      sX: sX,
+      qParams: getDistParams(calres.Q),
+      hParams: getDistParams(calres.H),
+      ncomp: ncomp,
+      ncompSelected: ncomp,
+      nCalObj: nrows,
+      results: {'cal': calres}
+   }
+}
+
+
+/**
+ * Compute projection pursuit outlyingness of rows of a matrix.
+ *
+ * @param {Matrix} Z - matrix with data values.
+ * @param {number} h - number of objects used for robust estimates of location and scale.
+ * @param {Function} rand - generator of random numbers (see 'randgen()').
+ * @param {number} [ndir=250] - maximum number of random directions.
+ *
+ * @description Directions are defined by lines going through two random objects. For every direction
+ * the outlyingness is computed as absolute difference between projection of the object and univariate
+ * MCD estimate of location divided by MCD estimate of scale. The largest value is returned.
+ *
+ * @returns {Vector} vector with outlyingness values.
+ *
+ */
+function robpcaoutlyingness(Z, h, rand, ndir) {
+
+   if (!ndir) {
+      ndir = 250;
+   }
+
+   const nrows = Z.nrows;
+   const ncols = Z.ncols;
+   const outl = Vector.zeros(nrows);
+   const y = new Vector.valuesConstructor(nrows);
+   ndir = Math.min(ndir, nrows * (nrows - 1) / 2);
+
+   for (let d = 0; d < ndir; d++) {
+
+      // direction through two random objects
+      const i1 = Math.floor(rand() * nrows);
+      const i2 = (i1 + 1 + Math.floor(rand() * (nrows - 1))) % nrows;
+      const dir = new Vector.valuesConstructor(ncols);
+      let dn = 0;
+      for (let c = 0; c < ncols; c++) {
+         dir[c] = Z.v[c * nrows + i1] - Z.v[c * nrows + i2];
+         dn += dir[c] * dir[c];
+      }
+
+      if (dn === 0) continue;
+
+      // projections
+      y.fill(0);
+      for (let c = 0; c < ncols; c++) {
+         const z = Z.getcolref(c + 1);
+         for (let r = 0; r < nrows; r++) {
+            y[r] += z[r] * dir[c];
+         }
+      }
+
+      const [t, s] = mcdunivariate(y, h);
+      if (s < Number.EPSILON) continue;
+
+      for (let r = 0; r < nrows; r++) {
+         const o = Math.abs(y[r] - t) / s;
+         if (o > outl.v[r]) outl.v[r] = o;
+      }
+   }
+
+   return outl;
+}
+
+
+/**
+ * Compute center and loadings of subspace for subset of objects.
+ *
+ * @param {Matrix} Z - matrix with data values for the subset.
+ * @param {number} ncomp - number of components.
+ *
+ * @returns {Array} array with vector of mean values and matrix with loadings.
+ *
+ */
+function robpcasubspace(Z, ncomp) {
+   const m = Z.apply(mean, 2);
+   const res = eigsym(crossprod(prep_scale(Z, m, false)));
+   return [m, res.vectors.subset([], Index.seq(1, ncomp))];
+}
+
+
+/**
+ * Univariate MCD estimates of location and scale.
+ *
+ * @param {Array} x - vector with values.
+ * @param {number} h - number of values in the subset.
+ *
+ * @description The estimates are mean and standard deviation of h consecutive sorted values with
+ * the smallest variance.
+ *
+ * @returns {Array} array with estimate of location and scale.
+ *
+ */
+function mcdunivariate(x, h) {
+
+   const y = Float64Array.from(x).sort();
+   const n = y.length;
+
+   let sy = 0;
+   let sy2 = 0;
+   for (let i = 0; i < h; i++) {
+      sy += y[i];
+      sy2 += y[i] * y[i];
+   }
+
+   let best = [sy / h, sy2 - sy * sy / h];
+   for (let i = h; i < n; i++) {
+      sy += y[i] - y[i - h];
+      sy2 += y[i] * y[i] - y[i - h] * y[i - h];
+      const v = sy2 - sy * sy / h;
+      if (v < best[1]) best = [sy / h, v];
+   }
+
+   return [best[0], Math.sqrt(Math.max(best[1], 0) / (h - 1))];
+}
+
+
+/**
+ * Reweighted MCD estimates of center and covariance.
+ *
+ * @param {Matrix} T - matrix with data values.
+ * @param {number} h - number of objects in the MCD subset.
+ * @param {Function} rand - generator of random numbers (see 'randgen()').
+ * @param {number} [nstart=20] - number of random starting subsets.
+ *
+ * @description Subset of h objects with the smallest determinant of covariance matrix is found
+ * using concentration steps from several starting subsets. The raw estimates are then reweighted
+ * by taking all objects with squared robust distance below 97.5% quantile of chi-square distribution
+ * and the covariance is corrected for consistency at normal distribution.
+ *
+ * @returns {Array} array with vector of center values and covariance matrix.
+ *
+ */
+function mcd(T, h, rand, nstart) {
+
+   if (!nstart) {
+      nstart = 20;
+   }
+
+   const nrows = T.nrows;
+   const ncols = T.ncols;
+
+   // squared Mahalanobis distances from subset estimates
+   function getdist(ind) {
+      const Ts = T.subset(ind, []);
+      const m = Ts.apply(mean, 2);
+      const S = crossprod(prep_scale(Ts, m, false)).apply(v => v / (ind.length - 1), 0);
+      const D = prep_scale(T, m, false);
+      const d = D.dot(S.inv()).mult(D).apply(sum, 1);
+      const logdet = sum(eigsym(S).values.v.map(Math.log));
+      return [d, logdet, m, S];
+   }
+
+   // concentration steps
+   function csteps(ind) {
+      let [d, logdet] = getdist(ind);
+      for (let it = 0; it < 100; it++) {
+         const newind = index(Array.from(d.sortind().v.subarray(0, h)).sort((a, b) => a - b));
+         const [newd, newlogdet] = getdist(newind);
+         if (newlogdet >= logdet - 1e-12) break;
+         [ind, d, logdet] = [newind, newd, newlogdet];
+      }
+      return [ind, logdet];
+   }
+
+   // start with h objects closest to the coordinatewise median and continue with random subsets
+   const med = T.apply(median, 2);
+   const d0 = prep_scale(T, med, false).apply(ssq, 1);
+   let [best, bestlogdet] = csteps(index(Array.from(d0.sortind().v.subarray(0, h)).sort((a, b) => a - b)));
+
+   for (let i = 0; i < nstart; i++) {
+      const start = randsubset(nrows, ncols + 1, rand);
+      let ind;
+      try {
+         ind = index(Array.from(getdist(start)[0].sortind().v.subarray(0, h)).sort((a, b) => a - b));
+      } catch(e) {
+         continue;
+      }
+      const [cind, clogdet] = csteps(ind);
+      if (clogdet < bestlogdet) {
+         [best, bestlogdet] = [cind, clogdet];
+      }
+   }
+
+   // consistency correction and reweighting
+   const [d] = getdist(best);
+   const cf = median(d.v) / qchisq(0.5, ncols);
+   const dCrit = qchisq(0.975, ncols);
+   const ind = d.which(v => v / cf <= dCrit);
+   const [, , m, S] = getdist(ind);
+
+   // consistency correction for the reweighted covariance
+   const cr = 0.975 / pchisq(dCrit, ncols + 2);
+
+   return [m, S.apply(v => v * cr, 0)];
+}
+
+
+/**
+ * Create generator of pseudo-random numbers.
+ *
+ * @param {number} seed - seed of the generator (positive integer).
+ *
+ * @description Park-Miller minimal standard generator is used, so the same seed always gives the
+ * same sequence of numbers.
+ *
+ * @returns {Function} function which returns next random number between 0 and 1.
+ *
+ */
+function randgen(seed) {
+   let state = seed % 2147483647 || 1;
+   return function() {
+      state = state * 16807 % 2147483647;
+      return (state - 1) / 2147483646;
+   }
+}
+
+
+/**
+ * Select random subset of indices.
+ *
+ * @param {number} n - number of indices to select from.
+ * @param {number} k - size of the subset.
+ * @param {Function} rand - generator of random numbers (see 'randgen()').
+ *
+ * @returns {Index} sorted indices of the subset (from 1 to n).
+ *
+ */
+function randsubset(n, k, rand) {
+   const ind = Index.seq(1, n).v;
+   for (let i = 0; i < k; i++) {
+      const j = i + Math.floor(rand() * (n - i));
+      [ind[i], ind[j]] = [ind[j], ind[i]];
+   }
+   return index(Array.from(ind.subarray(0, k)).sort((a, b) => a - b));
+}
+
+
+/**
+ * Select optimal number of components for PCA, PCR or PLS model.
+ *
+ * @param {JSON} m - model created by 'pcafit()', 'pcrfit()' or 'plsfit()'.
+ * @param {string|number} [method] - selection method (see description) or number of components, by default
+ * 'min' for PCR and PLS models and 'brokenstick' for PCA models.
+ * @param {JSON|Matrix} [res] - results used for selection, e.g. created by 'plspredict()' or 'pcrpredict()'
+ * for a test set (by default cross-validation results of the model), for parallel analysis — matrix
+ * with calibration set.
+ * @param {number} [param] - threshold for Wold's criterion (default 0.95) or number of simulations for
+ * parallel analysis (default 100).
+ *
+ * @description Methods 'min', '1se' and 'wold' can be used with PCR and PLS models only, they use
+ * prediction errors for cross-validation or test set results: squared residuals of response values
+ * (divided by variance of the response values). Residual distances of PCA model decrease with every
+ * component also for objects, which were not used for fitting the model, so they can not be used for
+ * the selection in the same way. Method 'min' selects the first local minimum of the mean error. Method '1se' selects the smallest number of components with mean
+ * error not exceeding the global minimum plus its standard error. Method 'wold' adds components while
+ * ratio of mean errors for 'a + 1' and 'a' components is below the threshold.
+ *
+ * Methods 'brokenstick' and 'parallel' can be used with PCA models only. The first selects components,
+ * which explain more variance than expected by the broken-stick model. The second compares the
+ * eigenvalues with 95th percentile of the eigenvalues computed for the calibration set with values
+ * randomly permuted in every column.
+ *
+ * @returns {JSON} copy of the model with the selected number of components ('ncompSelected').
+ *
+ */
+export function selectcompnum(m, method, res, param) {
+
+   if (!isa(m, 'pcamodel')) {
+      throw new Error('selectcompnum: parameter "m" must be an object with PCA, PCR or PLS model.');
+   }
+
+   const isreg = isa(m, 'regmodel');
+   if (method === undefined) {
+      method = isreg ? 'min' : 'brokenstick';
+   }
+
+   // number of components is set explicitly
+   if (isnumber(method)) {
+      if (method < 1 || method > m.ncomp || !Number.isInteger(method)) {
+         throw new Error('selectcompnum: wrong value for number of components.');
+      }
+      return setcompnum(m, method);
+   }
+
+   if (!['min', '1se', 'wold', 'brokenstick', 'parallel'].includes(method)) {
+      throw new Error('selectcompnum: wrong value for "method" parameter.');
+   }
+
+   if (isreg && ['brokenstick', 'parallel'].includes(method)) {
+      throw new Error('selectcompnum: methods "brokenstick" and "parallel" can be used with PCA models only.');
+   }
+
+   if (!isreg && ['min', '1se', 'wold'].includes(method)) {
+      throw new Error('selectcompnum: methods "min", "1se" and "wold" can be used with PCR and PLS models only.');
+   }
+
+   // number of first components satisfying the condition
+   const nfirst = (cond) => {
+      let a = 0;
+      while (a < m.ncomp && cond(a)) a++;
+      return a;
+   }
+
+   if (method === 'brokenstick') {
+      const nvar = Math.min(m.P.nrows, m.nCalObj - 1);
+      const expvar = m.results.cal.expvar.v;
+      const bs = (a) => {
+         let s = 0;
+         for (let k = a + 1; k <= nvar; k++) s += 1 / k;
+         return 100 * s / nvar;
+      };
+      return setcompnum(m, Math.max(nfirst(a => expvar[a] > bs(a)), 1));
+   }
+
+   if (method === 'parallel') {
+
+      if (!ismatrix(res) || res.ncols !== m.P.nrows) {
+         throw new Error('selectcompnum: parameter "res" must be a matrix with calibration set for parallel analysis.');
+      }
+
+      const nsim = param === undefined ? 100 : param;
+      if (!isnumber(nsim) || nsim < 1) {
+         throw new Error('selectcompnum: number of simulations must be a positive number.');
+      }
+
+      // eigenvalues for data with independently permuted columns
+      const E = Matrix.zeros(nsim, m.ncomp);
+      const Xperm = res.copy();
+      for (let i = 1; i <= nsim; i++) {
+         for (let c = 1; c <= res.ncols; c++) {
+            Xperm.v.set(_shuffle(res.getcolref(c)), (c - 1) * res.nrows);
+         }
+         const Xp = prep_scale(Xperm, m.center, m.scale);
+         const e = eigsym(Xp.nrows < Xp.ncols ? tcrossprod(Xp) : crossprod(Xp)).values;
+         E.replace(new Matrix(e.v.slice(0, m.ncomp).map(v => v / (res.nrows - 1)), 1, m.ncomp), i, []);
+      }
+
+      const elim = E.apply(e => e.slice().sort((a, b) => a - b)[Math.ceil(0.95 * nsim) - 1], 2);
+      return setcompnum(m, Math.max(nfirst(a => m.eigenvals.v[a] > elim.v[a]), 1));
+   }
+
+   if (res === undefined || res === null) {
+      if (!m.results.cv) {
+         throw new Error('selectcompnum: model does not have cross-validation results, parameter "res" must be provided.');
+      }
+      res = m.results.cv;
+   }
+
+   if (!res || !ismatrix(res.Yref) || !ismatrix(res.Ypred) || res.Yref.ncols !== m.C.nrows) {
+      throw new Error('selectcompnum: parameter "res" must be an object with regression results and reference values.');
+   }
+
+   // errors for every object and number of components
+   const nresp = res.Yref.ncols;
+   const E = Matrix.zeros(res.Yref.nrows, m.ncomp);
+   for (let r = 1; r <= nresp; r++) {
+      const yref = res.Yref.getcolref(r);
+      const vy = variance(yref);
+      for (let a = 1; a <= m.ncomp; a++) {
+         const ypred = res.Ypred.getcolref((r - 1) * m.ncomp + a);
+         const ea = E.getcolref(a);
+         for (let i = 0; i < yref.length; i++) {
+            ea[i] += (yref[i] - ypred[i]) ** 2 / vy;
+         }
+      }
+   }
+
+   const err = E.apply(mean, 2).v;
+
+   if (method === 'min') {
+      return setcompnum(m, nfirst(a => a < m.ncomp - 1 && err[a + 1] < err[a]) + 1);
+   }
+
+   if (method === '1se') {
+      const amin = minind(err);
+      const se = sd(E.getcolref(amin)) / Math.sqrt(E.nrows);
+      return setcompnum(m, nfirst(a => err[a] > err[amin - 1] + se) + 1);
+   }
+
+   const threshold = param === undefined ? 0.95 : param;
+   return setcompnum(m, nfirst(a => a < m.ncomp - 1 && err[a + 1] / err[a] < threshold) + 1);
+}
+
+
+/**
+ * Create copy of the model with new selected number of components.
+ *
+ * @param {JSON} m - PCA, PCR, PLS or PLS-DA model.
+ * @param {number} ncomp - selected number of components.
+ *
+ * @description Results of the model (calibration and cross-validation) are copied as well, values,
+ * which depend on the selected number of components ('ncompSelected', 'ypred' and 'cPred'), are
+ * recomputed in the copies. Other values are shared with the original model.
+ *
+ * @returns {JSON} copy of the model.
+ *
+ */
+function setcompnum(m, ncomp) {
+
+   const results = {};
+   for (let name in m.results) {
+      const res = {...m.results[name]};
+
+      if (isa(res, 'regres')) {
+         res.ncompSelected = ncomp;
+         res.ypred = reggetypred(res.Ypred, m.ncomp, ncomp);
+      }
+
+      if (isa(res, 'plsdares')) {
+         res.cPred = plsdagetcpred(res.classres, ncomp);
+      }
+
+      results[name] = res;
+   }
+
+   return {...m, ncompSelected: ncomp, results: results};
+}
+
+
+/**
+ * Generate vector with segment numbers for cross-validation.
+ *
+ * @param {number} nobj - number of objects (rows) in the calibration set.
+ * @param {number|Array|Index} cv - cross-validation settings (see description).
+ *
+ * @description Parameter 'cv' can be specified as:
+ * - a number: '1' means full (leave-one-out) cross-validation, any larger number — number of random segments.
+ * - an array with type of splitting and number of segments: ['loo'], ['rand', nseg] or ['ven', nseg]
+ * (leave-one-out, random segments or venetian blinds).
+ * - an Index (or array with numbers) containing segment number for every object, starting from 1.
+ *
+ * @returns {Index} vector with segment number for every object.
+ *
+ */
+export function crossval(nobj, cv) {
+
+   if (isnumber(cv)) {
+      cv = cv === 1 ? ['loo'] : ['rand', cv];
+   }
+
+   if (Array.isArray(cv) && typeof(cv[0]) === 'string') {
+
+      const type = cv[0];
+      const nseg = type === 'loo' ? nobj : cv[1];
+
+      if (!['loo', 'rand', 'ven'].includes(type)) {
+         throw new Error('crossval: wrong type of cross-validation (must be "loo", "rand" or "ven").');
+      }
+
+      if (!Number.isInteger(nseg) || nseg < 2 || nseg > nobj) {
+         throw new Error('crossval: number of segments must be an integer between 2 and number of objects.');
+      }
+
+      // venetian blinds — objects go to segments one by one
+      const seg = new Index.valuesConstructor(nobj);
+      for (let i = 0; i < nobj; i++) {
+         seg[i] = i % nseg + 1;
+      }
+
+      return type === 'rand' ? new Index(seg).shuffle() : new Index(seg);
+   }
+
+   if (Array.isArray(cv)) {
+      cv = index(cv);
+   }
+
+   if (!cv || !isindex(cv) || cv.length !== nobj) {
+      throw new Error('crossval: parameter "cv" must be a number, an array with settings or a vector with segment number for every object.');
+   }
+
+   if (cv.v.some(v => v < 1)) {
+      throw new Error('crossval: segment numbers must start from 1.');
+   }
+
+   return cv;
+}
+
+
+/**
+ * Split indices of objects into calibration and validation subsets for given segment.
+ *
+ * @param {Index} seg - vector with segment number for every object.
+ * @param {number} s - number of segment to use for validation.
+ * @param {number} ncomp - number of components in the models.
+ *
+ * @returns {Array} array with two Index objects (calibration and validation indices) or
+ * null if segment is empty.
+ *
+ */
+function getcvind(seg, s, ncomp) {
+
+   const indv = seg.which(v => v === s);
+   if (indv.length === 0) return null;
+
+   const indc = seg.which(v => v !== s);
+   if (indc.length - 1 < ncomp) {
+      throw new Error('crossval: number of components is too large for the cross-validation segments.');
+   }
+
+   return [indc, indv];
+}
+
+
+/**
+ * Cross-validate PCA model.
+ *
+ * @param {Matrix} X - matrix with data values.
+ * @param {number} ncomp - number of components.
+ * @param {boolean|Vector} center - centering settings (see 'pcafit()').
+ * @param {boolean|Vector} scale - scaling settings (see 'pcafit()').
+ * @param {number|Array|Index} cv - cross-validation settings (see 'crossval()').
+ *
+ * @returns {Object} JSON with cross-validated distances and explained variance.
+ *
+ */
+function pcacv(X, ncomp, center, scale, cv) {
+
+   const seg = crossval(X.nrows, cv);
+   const nseg = max(seg);
+
+   const H = Matrix.zeros(X.nrows, ncomp);
+   const Q = Matrix.zeros(X.nrows, ncomp);
+   let totssq = 0;
+
+   for (let s = 1; s <= nseg; s++) {
+
+      const ind = getcvind(seg, s, ncomp);
+      if (ind === null) continue;
+
+      const Xv = X.subset(ind[1], []);
+      const m = pcafit(X.subset(ind[0], []), ncomp, center, scale);
+      const r = pcapredict(m, Xv);
+
+      H.replace(r.H, ind[1], []);
+      Q.replace(r.Q, ind[1], []);
+
+      // total sum of squares is corrected for missing values the same way as Q distance
+      const Xvp = prep_scale(Xv, m.mX, m.sX);
+      const qf = pcagetqfactors(Xvp);
+      totssq += Xvp.v.reduce((s, v, i) => v === v ? s + v * v * qf[i % Xvp.nrows] : s, 0);
+   }
+
+   // compute explained variance based on residuals
+   const cumexpvar = Q.apply(q => 100 * (1 - sum(q) / totssq), 2);
+   const expvar = cumexpvar.copy();
+   for (let a = ncomp; a > 1; a--) {
+      expvar.v[a - 1] = cumexpvar.v[a - 1] - cumexpvar.v[a - 2];
+   }
+
+   return {
+      class: ['pcares', 'cvres'],
+      name: 'cv',
+      cvSegments: seg,
+      H: H,
+      Q: Q,
+      expvar: expvar,
+      cumexpvar: cumexpvar
+   }
+}
+
+
+/**
+ * Cross-validate regression model (PCR or PLS).
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Matrix} Y - matrix with responses.
+ * @param {number} ncomp - number of components.
+ * @param {boolean|Vector} center - centering settings.
+ * @param {boolean|Vector} scale - scaling settings.
+ * @param {number|Array|Index} cv - cross-validation settings (see 'crossval()').
+ * @param {function} fitfun - function for fitting the model (e.g. 'plsfit()').
+ * @param {function} predfun - function for making predictions (e.g. 'plspredict()').
+ *
+ * @returns {Array} array with two elements: object with cross-validated predictions and performance
+ * statistics and array with regression coefficients (for original values) of every local model.
+ *
+ */
+function regcv(X, Y, ncomp, center, scale, cv, fitfun, predfun) {
+
+   const seg = crossval(X.nrows, cv);
+   const nseg = max(seg);
+   const Ypred = Matrix.zeros(X.nrows, ncomp * Y.ncols);
+   const jkcoeffs = [];
+
+   for (let s = 1; s <= nseg; s++) {
+
+      const ind = getcvind(seg, s, ncomp);
+      if (ind === null) continue;
+
+      const m = fitfun(X.subset(ind[0], []), Y.subset(ind[0], []), ncomp, center, scale);
+      const r = predfun(m, X.subset(ind[1], []));
+      Ypred.replace(r.Ypred, ind[1], []);
+      jkcoeffs.push(m.coeffs.valuesOrig);
+   }
+
+   const res = {
+      class: ['regres', 'cvres'],
+      name: 'cv',
+      cvSegments: seg,
+      ncompSelected: ncomp,
+      ypred: reggetypred(Ypred, ncomp, ncomp),
+      ...getregstat(Ypred, Y, ncomp)
+   };
+
+   return [res, jkcoeffs];
+}
+
+
+/**
+ * Compute Jack-knife statistics for regression coefficients.
+ *
+ * @param {Matrix} B - matrix with regression coefficients of the global model.
+ * @param {Array} jkcoeffs - array with matrices of regression coefficients of local models
+ * (e.g. from cross-validation).
+ *
+ * @description Standard error of every coefficient is computed from variation of the coefficients
+ * among the local models as 'sqrt((n - 1) / n * sum((b_s - mean(b))^2))', where 'n' is number of local
+ * models. The t-statistic ('b / se') follows t-distribution with 'n - 1' degrees of freedom.
+ *
+ * @returns {JSON} object with standard errors, t-statistics, p-values and limits of 95% confidence
+ * intervals (all as matrices of the same size as 'B').
+ *
+ */
+function reggetjkstat(B, jkcoeffs) {
+
+   const nseg = jkcoeffs.length;
+   const DoF = nseg - 1;
+   const tCrit = qt(0.975, DoF);
+
+   const se = Matrix.zeros(B.nrows, B.ncols);
+   for (let i = 0; i < B.v.length; i++) {
+      let m = 0;
+      for (let s = 0; s < nseg; s++) {
+         m += jkcoeffs[s].v[i];
+      }
+      m = m / nseg;
+
+      let ss = 0;
+      for (let s = 0; s < nseg; s++) {
+         const d = jkcoeffs[s].v[i] - m;
+         ss += d * d;
+      }
+      se.v[i] = Math.sqrt(ss * DoF / nseg);
+   }
+
+   const tstat = B.divide(se);
+   const errMargin = se.mult(tCrit);
+
+   return {
+      se: se,
+      tstat: tstat,
+      p: tstat.apply(t => t > 0 ? 2 * pt(-t, DoF) : 2 * pt(t, DoF), 0),
+      lower: B.subtract(errMargin),
+      upper: B.add(errMargin),
+      DoF: DoF
+   };
+}
+
+
+/**
+ * Compute parameters of distance distributions from distance matrix U.
+ *
+ * @param {Matrix} U - matrix with distances.
+ *
+ * @returns {Array} array with two vectors, u0 (scalars) and Nu (number of degrees of freedom).
+ *
+ */
+export function getDistParams(U) {
+
+   const ncomp = U.ncols;
+   const u0m = Vector.zeros(ncomp)
+   const u0r = Vector.zeros(ncomp)
+   const Num = Vector.zeros(ncomp)
+   const Nur = Vector.zeros(ncomp)
+
+   const Nu = Vector.zeros(ncomp);
+   for (let i = 0; i < ncomp; i++) {
+      const u = U.getcolref(i + 1);
+
+      // moments
+      u0m.v[i] = mean(u);
+      const fm = u0m.v[i] / sd(u);
+      const Nm = Math.round(2 * fm * fm);
+      Num.v[i] = Nm < 1 ? 1 : Nm > 250 ? 250 : Nm;
+
+      // robust
+      const M = median(u);
+      const S = iqr(u);
+      const RM = S / M;
+      const Nr =  RM > 2.685592117 ? 1 :
+                  (RM < 0.194565995 ? 100 :
+                  Math.round(Math.exp(Math.pow(1.380948 * Math.log(2.68631 / RM), 1.185785))));
+      u0r.v[i] = 0.5 * Nr * (M / qchisq(0.5, Nr) + S / (qchisq(0.75, Nr) - qchisq(0.25, Nr)))
+      Nur.v[i] = Nr;
+   }
+
+   return {'classic': [u0m, Num], 'robust': [u0r, Nur]};
+}
+
+
+/**
+ * Compute main PCA results for already preprocessed dataset.
+ *
+ * @param {Matrix} Xp - matrix with preprocessed (e.g. centered) data values.
+ * @param {Matrix} T - matrix with scores.
+ * @param {Matrix} P - matrix with loadings.
+ * @param {Vector} eigenvals - vector with eigenvalues.
+ *
+ * @description Missing values (NaN) are skipped. Residual distance, Q, for rows with missing values
+ * is multiplied by ratio between total number of variables and number of observed variables, so it is
+ * comparable with the distance for complete rows.
+ *
+ * @returns {Object} JSON with main outcomes (scores, distances, variances).
+ *
+ */
+export function pcagetmainres(Xp, T, P, eigenvals) {
+
+   const ncomp = P.ncols;
+   const nrows = Xp.nrows;
+   const nvars = Xp.ncols;
+
+   // prepare objects for results
+   const H = Matrix.zeros(nrows, ncomp);
+   const Q = Matrix.zeros(nrows, ncomp);
+   const expvar = Vector.zeros(ncomp);
    const cumexpvar = Vector.zeros(ncomp);
 
-   // compute total sum of squares
-   const ha = new Vector.valuesConstructor(nrows);
-   const E = Xp.copy();
-   const totssq = ssq(Xp.v);
+   // compute total sum of squares
+   const ha = new Vector.valuesConstructor(nrows);
+   const E = Xp.copy();
+   const totssq = Xp.v.reduce((s, v) => v === v ? s + v * v : s, 0);
+
+   // correction factors for Q distance of rows with missing values
+   const qf = pcagetqfactors(Xp);
+
+   // loop for computing variances and distances
+   for (let a = 1; a <= ncomp; a++) {
+      const ta = T.getcolref(a);
+      const pa = P.getcolref(a);
+      const ts = 1 / eigenvals.v[a - 1];
+
+      const qa = new Vector.valuesConstructor(nrows);
+      let qs = 0;
+      for (let c = 0; c < nvars; c++) {
+         const e = E.getcolref(c + 1);
+         for (let r = 0; r < nrows; r++) {
+            e[r] = e[r] - ta[r] * pa[c]
+            const essq = e[r] * e[r];
+
+            // skip missing values
+            if (essq !== essq) continue;
+
+            qa[r] += essq;
+            qs += essq;
+         }
+      }
+
+      for (let r = 0; r < nrows; r++) {
+         ha[r] += ta[r] * ta[r] * ts;
+         qa[r] *= qf[r];
+      }
+
+      H.v.set(ha, (a - 1) * nrows);
+      Q.v.set(qa, (a - 1) * nrows);
+
+      cumexpvar.v[a - 1] = 100 * (1 - qs / totssq);
+      expvar.v[a - 1] = a === 1 ? cumexpvar.v[a - 1] : cumexpvar.v[a - 1] - cumexpvar.v[a - 2];
+   }
+
+   return {
+      class: ['pcares', 'ldecomp'],
+      T: T,
+      H: H,
+      Q: Q,
+      expvar: expvar,
+      cumexpvar: cumexpvar
+   }
+}
+
+
+/**
+ * Compute correction factors for residual distance of rows with missing values.
+ *
+ * @param {Matrix} Xp - matrix with data values (can contain missing values, NaN).
+ *
+ * @returns {Array} array with ratio between number of variables and number of observed values for
+ * every row (one for complete rows and rows without observed values).
+ *
+ */
+function pcagetqfactors(Xp) {
+
+   const nrows = Xp.nrows;
+   const nvars = Xp.ncols;
+   const nobs = new Float64Array(nrows).fill(nvars);
+
+   for (let i = 0; i < Xp.v.length; i++) {
+      if (Xp.v[i] !== Xp.v[i]) nobs[i % nrows] -= 1;
+   }
+
+   return nobs.map(n => n > 0 ? nvars / n : 1);
+}
+
+
+export function getfulldistance(h, q, h0, q0, Nh, Nq) {
+   const fh = Nh / h0;
+   const fq = Nq / q0;
+
+   const f = Vector.zeros(h.length);
+   for (let r = 0; r < f.length; r++) {
+         f.v[r] = h.v[r] * fh + q.v[r] * fq;
+   }
+
+   return f;
+}
+
+
+/**
+ * Project new data to a PCA model and create object with main outcomes.
+ *
+ * @param {Object} m - JSON with PCA model created by 'pcafit()'.
+ * @param {Matrix} X - matrix with data values.
+ * @param {string} name - name/label for the result object (e.g. "cal", "val", etc.).
+ *
+ * @returns {Object} - JSON wiht main outcomes (scores, distances, variance, etc.).
+ *
+ */
+export function pcapredict(m, X, name) {
+
+   if (!ismatrix(X) || X.nrows < 1) {
+      throw Error('pcapredict: parameter "X" must be a matrix.');
+   }
+
+   if (X.ncols != m.P.nrows) {
+      throw Error('pcapredict: parameter "X" has wrong number of columns.');
+   }
+
+   const Xp = prep_scale(X, m.mX, m.sX);
+   const T = pcagetscores(Xp, m.P);
+   const res = pcagetmainres(Xp, T, m.P, m.eigenvals);
+   if (hasmissing(X)) {
+      res.Ximputed = pcaimpute(X, T, m.P, m.mX, m.sX);
+   }
+   res.name = name;
+
+   return res;
+}
+
+
+/**
+ * Check if matrix has missing values (NaN).
+ *
+ * @param {Matrix} X - matrix with values.
+ *
+ * @returns {boolean} true or false.
+ *
+ */
+function hasmissing(X) {
+   return X.v.some(v => v !== v);
+}
+
+
+/**
+ * Compute PCA scores for preprocessed data, which can contain missing values.
+ *
+ * @param {Matrix} Xp - matrix with preprocessed data values.
+ * @param {Matrix} P - matrix with loadings.
+ *
+ * @description If there are no missing values, scores are computed as XP. Otherwise scores are computed
+ * component by component using only non-missing values (same as in NIPALS algorithm).
+ *
+ * @returns {Matrix} matrix with scores.
+ *
+ */
+function pcagetscores(Xp, P) {
+
+   if (!hasmissing(Xp)) {
+      return Xp.dot(P);
+   }
+
+   const nrows = Xp.nrows;
+   const ncols = Xp.ncols;
+   const ncomp = P.ncols;
+   const T = Matrix.zeros(nrows, ncomp);
+   const e = new Vector.valuesConstructor(ncols);
+
+   for (let r = 0; r < nrows; r++) {
+      for (let c = 0; c < ncols; c++) {
+         e[c] = Xp.v[c * nrows + r];
+      }
+
+      for (let a = 0; a < ncomp; a++) {
+         const p = P.getcolref(a + 1);
+         let num = 0;
+         let den = 0;
+         for (let c = 0; c < ncols; c++) {
+            if (e[c] === e[c]) {
+               num += e[c] * p[c];
+               den += p[c] * p[c];
+            }
+         }
+
+         const t = den > 0 ? num / den : 0;
+         for (let c = 0; c < ncols; c++) {
+            e[c] -= t * p[c];
+         }
+         T.v[a * nrows + r] = t;
+      }
+   }
+
+   return T;
+}
+
+
+/**
+ * Replace missing values in data matrix with values reconstructed using PCA model.
+ *
+ * @param {Matrix} X - matrix with data values (with missing values).
+ * @param {Matrix} T - matrix with scores.
+ * @param {Matrix} P - matrix with loadings.
+ * @param {Vector} mX - vector with values used for centering.
+ * @param {Vector} sX - vector with values used for scaling.
+ *
+ * @returns {Matrix} matrix with imputed values.
+ *
+ */
+function pcaimpute(X, T, P, mX, sX) {
+
+   const Xr = prep_unscale(tcrossprod(T, P), mX, sX);
+   const Xi = X.copy();
+   for (let i = 0; i < Xi.v.length; i++) {
+      if (Xi.v[i] !== Xi.v[i]) {
+         Xi.v[i] = Xr.v[i];
+      }
+   }
+
+   return Xi;
+}
+
+
+/**
+ * For given vector 'x' and number 'd' returns matrix with power of x values from 1 to d as columns.
+ *
+ * @param {Vector} x - vector with values.
+ * @param {number} d - polynomial degree.
+ *
+ * @returns a matrix with 'd' columns.
+ *
+ */
+export function polymat(x, d) {
+
+   if (!isvector(x)) {
+      throw Error('polymat: argument "x" must be a vector.');
+   }
+
+   const X = Matrix.zeros(x.length, d);
+   for (let i = 1; i <= d; i++) {
+      X.v.set(x.apply(v => v ** i).v, x.length * (i - 1));
+   }
+
+   return X;
+}
+
+
+/**
+ * Fitting a univariate polynomial model.
+ *
+ * @param {Vector} x - vector with predictors.
+ * @param {Vector} y - vector with responses.
+ * @param {number} d - polynomial degree.
+ * @param {Vector} [w] - vector with weights for weighted least squares (see 'lmfit()').
+ *
+ * @return JSON with model parameters and performance statistics.
+ *
+ */
+export function polyfit(x, y, d, w) {
+
+   if (d < 1 || d >= x.length) {
+      throw Error('polyfit: polynomial degree "d" must a positive value smaller than number of measurements.');
+   }
+
+   let model = lmfit(polymat(x, d), y, w);
+   model.pdegree = d;
+   model.class = "pm";
+
+   return model;
+}
+
+
+/**
+ * Predicts response values based on the fitted model and predictors.
+ *
+ * @param {JSON} m - regression model (object returned by 'polyfit()').
+ * @param {vector} x - vector with predictors.
+ * @param {string} [interval] - type of interval to compute, 'confidence' or 'prediction' (see 'lmpredict()').
+ * @param {number} [level=0.95] - confidence level for the intervals.
+ * @param {Vector} [w] - weights of the new observations for prediction intervals.
+ *
+ * @return vector with predicted response values (or JSON with predictions and intervals, see 'lmpredict()').
+ *
+ */
+export function polypredict(m, x, interval, level, w) {
+
+   if (!isvector(x)) {
+      throw Error('polypredict: Argument "x" must be a vector.');
+   }
+
+   if (m.class !== "pm") {
+      throw Error('polypredict: argument "m" must be object with "pm" model.');
+   }
+
+   return lmpredict(m, polymat(x, m.pdegree), interval, level, w);
+}
+
+
+/**
+ * Fit a linear model (SLR or MLR).
+ *
+ * @param {Vector|Matrix|JSON} X - vector or matrix with predictors or design matrix created by 'modelmatrix()'.
+ * @param {Vector} [y] - vector with responses (can be omitted if 'X' is design matrix with response values).
+ * @param {Vector} [w] - vector with positive weight for every observation (e.g. 1/x or 1/x^2 for
+ * heteroscedastic calibration data), if not provided ordinary least squares is used.
+ *
+ * @description With weights the coefficients are estimated by weighted least squares, minimizing
+ * sum of squared residuals multiplied by the weights. Standard errors of the coefficients, their
+ * p-values and confidence intervals as well as the performance statistics (see 'regstat()') are
+ * computed using the weighted residuals.
+ *
+ * The model also contains regression diagnostics for every observation ('diagnostics'): leverage
+ * (hat values), standardized and externally studentized residuals, Cook's distance, DFFITS and
+ * DFBETAS. For weighted model the residuals are multiplied to square root of the weights.
+ *
+ * If the model is fitted using design matrix from 'modelmatrix()', it also contains names of the
+ * columns ('colNames'), terms ('terms', used by 'anova()') and the coding ('design'), so 'lmpredict()'
+ * can create the design matrix for new data.
+ *
+ * @return JSON with model parameters and performance statistics.
+ *
+ */
+export function lmfit(X, y, w) {
+
+   let mm = null;
+   if (isa(X, 'modelmatrix')) {
+      mm = X;
+      X = mm.X;
+      if (y === undefined || y === null) {
+         y = mm.y;
+      }
+   }
+
+   if (isvector(X)) {
+      X = reshape(X, X.length, 1);
+   }
+
+   if (!ismatrix(X)) {
+      throw Error('lmfit: argument "X" must be a matrix or a vector.');
+   }
+
+   if (!isvector(y)) {
+      throw Error('lmfit: argument "y" must be a vector.');
+   }
+
+   const n = X.nrows;
+   if (y.length !== n) {
+      throw Error('lmfit: arguments "X" and "y" must have the same number of objects.');
+   }
+
+   if (n <= X.ncols) {
+      throw Error('lmfit: number of objects must be larger than number of predictors.');
+   }
+
+   if (w === undefined || w === null) {
+      w = Vector.ones(n);
+   }
+
+   if (!isvector(w) || w.length !== n || w.v.some(v => !(v > 0))) {
+      throw Error('lmfit: argument "w" must be a vector with positive weight for every object.');
+   }
+
+   // add column of ones for estimation of intercept
+   const Xr = cbind(Vector.ones(n), X);
+
+   // multiply rows of predictors and responses to square root of weights
+   const sw = w.apply(Math.sqrt);
+   const Xw = Xr.op(sw, (a, b) => a * b, 1);
+   const yw = y.mult(sw);
+
+   // compute inverse of variance-covariance matrix
+   const R = crossprod(Xw).inv();
+
+   // estimate regression coefficients
+   const estimate = reshape(R.dot(Xw.t()).dot(yw), X.ncols + 1);
+
+   // compute predicted y-values and performance statistics
+   const fitted = reshape(Xr.dot(estimate), n);
+   const stat = regstat(y, fitted, X.ncols, w);
+
+   // compute standard error and t-values for regression coefficients, H0: beta = 0
+   const coeffse = R.mult(stat.se * stat.se).diag().apply(Math.sqrt);
+   const tstat = estimate.divide(coeffse);
+
+   // compute critical t-value for confidence intervals
+   const tCrit = qt(0.975, stat.DoF);
+
+   // return JSON with all results
+   const errMargin = coeffse.mult(tCrit);
+   const m = {
+      class: "lm",
+      data: {X: X, y: y, w: w},
+      R: R,
+      coeffs: {
+         estimate: estimate,
+         se: coeffse,
+         tstat: tstat,
+         p: tstat.apply(t => t > 0 ? 2 * pt(-t, stat.DoF) : 2 * pt(t, stat.DoF)),
+         lower: estimate.subtract(errMargin),
+         upper: estimate.add(errMargin)
+      },
+      fitted: fitted,
+      stat: stat,
+      diagnostics: lmgetdiagnostics(Xw, y.subtract(fitted).mult(sw), R, stat.se)
+   };
+
+   if (mm) {
+      m.colNames = mm.colNames;
+      m.terms = mm.terms;
+      m.design = mm.design;
+   }
+
+   return m;
+}
+
+
+/**
+ * Compute regression diagnostics for every observation used to fit a linear model.
+ *
+ * @param {Matrix} Xw - matrix with predictors (including column of ones) multiplied to square root of weights.
+ * @param {Vector} ew - vector with residuals multiplied to square root of weights.
+ * @param {Matrix} R - inverse of crossproduct of 'Xw'.
+ * @param {number} se - residual standard error.
+ *
+ * @description Studentized residuals, DFFITS and DFBETAS use standard error estimated without the
+ * observation, s(i). Columns of DFBETAS correspond to the regression coefficients (intercept first).
+ *
+ * @returns {JSON} object with leverage (hat values, 'hat'), residuals ('residuals'), standardized
+ * ('stdres') and externally studentized ('studres') residuals, Cook's distance ('cooksd'), DFFITS
+ * ('dffits') and DFBETAS ('dfbetas').
+ *
+ */
+function lmgetdiagnostics(Xw, ew, R, se) {
+
+   const n = Xw.nrows;
+   const k = Xw.ncols;
+   const DoF = n - k;
+
+   const hat = Xw.dot(R).mult(Xw).apply(sum, 1);
+   const stdres = Vector.zeros(n);
+   const studres = Vector.zeros(n);
+   const cooksd = Vector.zeros(n);
+   const dffits = Vector.zeros(n);
+   const dfbetas = Matrix.zeros(n, k);
+
+   // change of coefficients when observation is removed, R * x(i) * e(i) / (1 - h(i))
+   const D = Xw.dot(R);
+   const sb = R.diag().apply(Math.sqrt);
+
+   for (let i = 0; i < n; i++) {
+      const h = hat.v[i];
+      const e = ew.v[i];
+      const si = Math.sqrt((DoF * se * se - e * e / (1 - h)) / (DoF - 1));
+
+      stdres.v[i] = e / (se * Math.sqrt(1 - h));
+      studres.v[i] = e / (si * Math.sqrt(1 - h));
+      cooksd.v[i] = stdres.v[i] * stdres.v[i] * h / (k * (1 - h));
+      dffits.v[i] = studres.v[i] * Math.sqrt(h / (1 - h));
+
+      for (let j = 0; j < k; j++) {
+         dfbetas.v[j * n + i] = D.v[j * n + i] * e / (1 - h) / (si * sb.v[j]);
+      }
+   }
+
+   return {
+      hat: hat,
+      residuals: ew,
+      stdres: stdres,
+      studres: studres,
+      cooksd: cooksd,
+      dffits: dffits,
+      dfbetas: dfbetas
+   };
+}
+
+
+/**
+ * Predicts response values based on the fitted model and predictors
+ * @param {JSON} m - regression model (object returned by 'limfit()')
+ * @param {number[]} X - vector or matrix with predictors (or object with variables if model was
+ * fitted using design matrix from 'modelmatrix()')
+ * @param {string} [interval] - type of interval to compute, 'confidence' (for mean response) or
+ * 'prediction' (for new observations), if not provided only predictions are computed
+ * @param {number} [level=0.95] - confidence level for the intervals
+ * @param {Vector} [w] - weights of the new observations for prediction intervals (by default 1)
+ * @return vector with predicted response values or, if interval is specified, JSON with predicted
+ * values ('ypred'), their standard errors ('se') and limits of the intervals ('lower' and 'upper')
+ */
+export function lmpredict(m, X, interval, level, w) {
+
+   if (m && m.design && !isvector(X) && !ismatrix(X)) {
+      X = isa(X, 'modelmatrix') ? X.X : mmbuild(m.design, X, false).X;
+   }
+
+   if (isvector(X)) {
+      X = reshape(X, X.length, 1);
+   }
+
+   if (!ismatrix(X)) {
+      throw Error('lmpredict: argument "X" must be a matrix or a vector.');
+   }
+
+   if (!(m.class === 'lm' || m.class === 'pm') || !m.coeffs.estimate || m.coeffs.estimate.length < 1) {
+      throw Error('lmpredict: argument "m" must be object with "lm" model.');
+   }
+
+   if (X.ncols !== (m.coeffs.estimate.length - 1)) {
+      throw Error('lmpredict: number of columns in "X" does not match number of coefficients in model.');
+   }
+
+
+   // add column of ones for estimation of intercept
+   const n = X.nrows;
+   const Xr = cbind(Vector.ones(n), X);
+   const ypred = reshape(Xr.dot(m.coeffs.estimate), n);
+
+   if (interval === undefined || interval === null) {
+      return ypred;
+   }
+
+   if (!['confidence', 'prediction'].includes(interval)) {
+      throw Error('lmpredict: parameter "interval" must be either "confidence" or "prediction".');
+   }
+
+   if (level === undefined) {
+      level = 0.95;
+   }
+
+   if (!isnumber(level) || level <= 0 || level >= 1) {
+      throw Error('lmpredict: parameter "level" must be a number between 0 and 1.');
+   }
+
+   if (w === undefined || w === null) {
+      w = Vector.ones(n);
+   }
+
+   if (!isvector(w) || w.length !== n || w.v.some(v => !(v > 0))) {
+      throw Error('lmpredict: argument "w" must be a vector with positive weight for every object.');
+   }
+
+   // standard error of the mean response and of the new observations
+   const s2 = m.stat.se * m.stat.se;
+   const se = Xr.dot(m.R).mult(Xr).apply(sum, 1).mult(s2).apply(Math.sqrt);
+   const sei = interval === 'confidence' ? se : se.apply(v => v * v).add(w.apply(v => s2 / v)).apply(Math.sqrt);
+
+   const errMargin = sei.mult(qt(1 - (1 - level) / 2, m.stat.DoF));
+   return {
+      interval: interval,
+      level: level,
+      ypred: ypred,
+      se: se,
+      lower: ypred.subtract(errMargin),
+      upper: ypred.add(errMargin)
+   };
+}
+
+
+/**
+ * Create design matrix for linear model from formula and named variables.
+ *
+ * @param {string} formula - model formula, e.g. 'y ~ x1 + x2 * group' (response is optional).
+ * @param {JSON} data - object with variables (vectors with numeric values or factors), e.g.
+ * {y: vector([...]), x1: vector([...]), group: factor([...])}.
+ * @param {string|JSON} [contrasts='treatment'] - coding of factors ('treatment', 'sum' or 'helmert'),
+ * can be specified for each factor separately, e.g. {group: 'sum'}.
+ *
+ * @description Terms of the formula are separated by '+'. Interaction of variables is defined by ':'
+ * and 'a * b' is a short form for 'a + b + a:b'. Terms are ordered by the number of variables they
+ * contain (main effects, then two-way interactions, etc.). Numeric variable gives one column, factor
+ * with 'k' levels gives 'k - 1' columns coded using the contrasts, columns of interaction terms are
+ * products of the columns of the variables. With 'treatment' contrasts the first level is the reference
+ * one, with 'sum' contrasts the last level gets -1 in all columns, 'helmert' contrasts compare each
+ * level with mean of the previous levels. Intercept is not included (it is added by 'lmfit()').
+ *
+ * @returns {JSON} object with design matrix ('X'), response values ('y', if formula has response),
+ * names of the columns ('colNames'), terms ('terms', with names, column numbers and variables) and
+ * the coding ('design'), which is used to create the design matrix for new data.
+ *
+ */
+export function modelmatrix(formula, data, contrasts) {
+
+   if (typeof(formula) !== 'string') {
+      throw Error('modelmatrix: parameter "formula" must be a string.');
+   }
+
+   if (!data || typeof(data) !== 'object') {
+      throw Error('modelmatrix: parameter "data" must be an object with variables.');
+   }
+
+   if (contrasts === undefined) {
+      contrasts = 'treatment';
+   }
+
+   // parse the formula
+   const parts = formula.split('~');
+   if (parts.length > 2) {
+      throw Error('modelmatrix: wrong formula.');
+   }
+
+   const response = parts.length === 2 ? parts[0].trim() : null;
+   const rhs = parts[parts.length - 1];
+
+   if (rhs.includes('-') || rhs.split('+').some(v => v.trim() === '0')) {
+      throw Error('modelmatrix: models without intercept are not supported.');
+   }
+
+   const isname = (v) => /^[A-Za-z_.][\w.]*$/.test(v);
+   if (response !== null && !isname(response)) {
+      throw Error('modelmatrix: wrong formula.');
+   }
+
+   let terms = [];
+   for (let term of rhs.split('+').map(v => v.trim()).filter(v => v !== '1')) {
+
+      const vars = term.split(/[*:]/).map(v => v.trim());
+      if (!vars.every(isname)) {
+         throw Error('modelmatrix: wrong formula.');
+      }
+
+      if (!term.includes('*')) {
+         terms.push(vars);
+         continue;
+      }
+
+      // expand 'a * b' into all combinations of the variables
+      for (let k = 1; k < (1 << vars.length); k++) {
+         terms.push(vars.filter((v, i) => k & (1 << i)));
+      }
+   }
+
+   // remove duplicates and order terms by the number of variables
+   terms = terms.filter((t, i) => terms.findIndex(s => s.length === t.length && s.every(v => t.includes(v))) === i);
+   terms = terms.map((t, i) => [t, i]).sort((a, b) => a[0].length - b[0].length || a[1] - b[1]).map(v => v[0]);
+
+   if (terms.length < 1) {
+      throw Error('modelmatrix: formula must have at least one term.');
+   }
+
+   // check variables and get coding for factors
+   const factors = {};
+   for (let name of new Set(terms.flat())) {
+
+      const x = data[name];
+      if (!x || (!isvector(x) && !isfactor(x))) {
+         throw Error(`modelmatrix: variable "${name}" must be a vector or a factor.`);
+      }
+
+      if (isfactor(x)) {
+         const contrast = typeof(contrasts) === 'string' ? contrasts : (contrasts[name] || 'treatment');
+         if (!['treatment', 'sum', 'helmert'].includes(contrast)) {
+            throw Error('modelmatrix: wrong value for "contrasts" parameter (must be "treatment", "sum" or "helmert").');
+         }
+
+         if (x.nlevels < 2) {
+            throw Error(`modelmatrix: factor "${name}" must have at least two levels.`);
+         }
+
+         factors[name] = {labels: x.labels, contrast: contrast};
+      }
+   }
+
+   const design = {
+      formula: formula,
+      response: response,
+      terms: terms,
+      factors: factors
+   };
+
+   return mmbuild(design, data, response !== null);
+}
+
+
+/**
+ * Create design matrix for new data using coding of existing design.
+ *
+ * @param {JSON} design - object with coding of the design (see 'modelmatrix()').
+ * @param {JSON} data - object with variables.
+ * @param {boolean} getResponse - logical, get vector with response values from the data or not.
+ *
+ * @returns {JSON} object with design matrix (see 'modelmatrix()').
+ *
+ */
+function mmbuild(design, data, getResponse) {
+
+   if (!data || typeof(data) !== 'object') {
+      throw Error('modelmatrix: parameter "data" must be an object with variables.');
+   }
+
+   // columns for every variable
+   let n = null;
+   const varcols = {};
+   for (let name of new Set(design.terms.flat())) {
+
+      const x = data[name];
+      const f = design.factors[name];
+
+      if (!x || (f ? !isfactor(x) : !isvector(x))) {
+         throw Error(`modelmatrix: variable "${name}" must be a ${f ? 'factor' : 'vector'}.`);
+      }
+
+      if (n !== null && x.length !== n) {
+         throw Error('modelmatrix: all variables must have the same number of values.');
+      }
+      n = x.length;
+
+      if (!f) {
+         varcols[name] = [{name: name, v: x.v}];
+         continue;
+      }
+
+      // convert factor codes to codes of the levels used to create the design
+      const codes = x.labels.map(l => f.labels.indexOf(l));
+      const unknown = x.labels.find((l, i) => codes[i] < 0 && x.v.includes(i));
+      if (unknown !== undefined) {
+         throw Error(`modelmatrix: factor "${name}" has level "${unknown}", which was not used to create the design.`);
+      }
+
+      const C = mmgetcontrasts(f.labels, f.contrast);
+      varcols[name] = C.map(c => ({
+         name: name + c.name,
+         v: Float64Array.from(x.v, v => c.v[codes[v]])
+      }));
+   }
+
+   // columns for every term as products of columns of its variables
+   const columns = [];
+   const terms = [];
+   for (let vars of design.terms) {
+
+      let tcols = [{name: '', v: new Float64Array(n).fill(1)}];
+      for (let name of vars) {
+         const next = [];
+         for (let c of varcols[name]) {
+            for (let t of tcols) {
+               next.push({name: t.name ? t.name + ':' + c.name : c.name, v: t.v.map((v, i) => v * c.v[i])});
+            }
+         }
+         tcols = next;
+      }
+
+      terms.push({
+         name: vars.join(':'),
+         columns: Array.from({length: tcols.length}, (v, i) => columns.length + i + 1),
+         vars: vars
+      });
+      columns.push(...tcols);
+   }
+
+   const X = Matrix.zeros(n, columns.length);
+   columns.forEach((c, i) => X.v.set(c.v, i * n));
+
+   let y = null;
+   if (getResponse) {
+      y = data[design.response];
+      if (!y || !isvector(y) || y.length !== n) {
+         throw Error(`modelmatrix: response "${design.response}" must be a vector with the same number of values as the variables.`);
+      }
+   }
+
+   return {
+      class: ['modelmatrix'],
+      X: X,
+      y: y,
+      colNames: columns.map(c => c.name),
+      terms: terms,
+      design: design
+   };
+}
+
+
+/**
+ * Create contrasts for coding levels of a factor.
+ *
+ * @param {Array} labels - array with labels of the factor levels.
+ * @param {string} type - type of contrasts ('treatment', 'sum' or 'helmert').
+ *
+ * @returns {Array} array with 'k - 1' columns, each is an object with suffix for the column name
+ * ('name') and array with value for every level ('v').
+ *
+ */
+function mmgetcontrasts(labels, type) {
+
+   const k = labels.length;
+   const C = [];
+
+   for (let j = 1; j < k; j++) {
+      const v = new Array(k).fill(0);
+
+      if (type === 'treatment') {
+         v[j] = 1;
+      } else if (type === 'sum') {
+         v[j - 1] = 1;
+         v[k - 1] = -1;
+      } else {
+         for (let i = 0; i < j; i++) v[i] = -1;
+         v[j] = j;
+      }
+
+      C.push({name: type === 'treatment' ? labels[j] : j.toString(), v: v});
+   }
+
+   return C;
+}
+
+
+/**
+ * Computes performance statistics for predicted and reference response values
+ * @param {number[]} y — vector with reference response values
+ * @param {number[]} yp — vector with predicted response values
+ * @param {number} [p=1] — number of predictors
+ * @param {Vector} [w] — vector with weights (sums of squares are weighted, mean of y is the weighted mean)
+ * @return JSON with statistics (adjusted R2, R2, s(e), F-value, p-value)
+ */
+export function regstat(y, yp, p, w) {
+
+   const n = y.length;
+   if (!p) p = 1;
+   const e = y.subtract(yp);
+   let SSe = ssq(e);
+   let SSy = variance(y) * (n - 1);
+
+   if (w) {
+      const my = sum(y.mult(w)) / sum(w);
+      SSe = sum(e.mult(e).mult(w));
+      SSy = sum(y.subtract(my).apply(v => v * v).mult(w));
+   }
+
+   const R2 = (1 - SSe / SSy);
+   const DoF = n - p - 1
+   const F = ((SSy - SSe)/p) / (SSe/DoF);
+
+   return {
+      R2: R2,
+      R2adj: 1 - (1 - R2) * (n - 1) / DoF,
+      Fstat: F,
+      p: 1 - pf(F, p, DoF),
+      DoF: DoF,
+      se: Math.sqrt(SSe/DoF)
+   };
+}
+
+
+/**
+ * Analysis of variance (ANOVA) for linear models.
+ *
+ * @param {JSON} m - linear model created by 'lmfit()'.
+ * @param {number|JSON} [type=1] - type of sums of squares (1, 2 or 3) or another linear model, which
+ * must be nested in 'm' or contain 'm' (in this case the two models are compared).
+ *
+ * @description For one model the method returns ANOVA table with sum of squares, degrees of freedom,
+ * mean squares, F-values and p-values for every term of the model and for the residuals. Type I sums
+ * of squares are sequential (every term is added after the previous ones), type II — every term is
+ * added after all other terms, which do not contain it (e.g. main effect is added before interactions
+ * with it), type III — every term is added after all other terms. Terms are taken from the model
+ * fitted using design matrix from 'modelmatrix()'. If the model does not contain information about
+ * terms ('terms'), every column of the predictors is a separate term.
+ *
+ * For two models, the model with less parameters is compared with the other using F-test for the
+ * difference in residual sum of squares.
+ *
+ * @returns {JSON} object with ANOVA table: names of rows ('rowNames'), vectors with degrees of
+ * freedom ('DoF'), sums of squares ('SS'), mean squares ('MS'), F-values ('Fstat') and p-values ('p').
+ * For comparison of two models the table also contains residual degrees of freedom and residual
+ * sum of squares for every model ('resDoF' and 'RSS').
+ *
+ */
+export function anova(m, type) {
+
+   if (!m || !(m.class === 'lm' || m.class === 'pm')) {
+      throw Error('anova: parameter "m" must be object with "lm" model.');
+   }
+
+   if (type === undefined) {
+      type = 1;
+   }
+
+   const {X, y, w} = m.data;
+
+   // comparison of two nested models
+   if (type && (type.class === 'lm' || type.class === 'pm')) {
+
+      const m2 = type;
+      if (m2.data.y.length !== y.length || m2.data.y.v.some((v, i) => v !== y.v[i])) {
+         throw Error('anova: models must be fitted for the same response values.');
+      }
+
+      if (m2.stat.DoF === m.stat.DoF) {
+         throw Error('anova: models must have different number of parameters.');
+      }
+
+      const models = m2.stat.DoF > m.stat.DoF ? [m2, m] : [m, m2];
+      const resDoF = vector(models.map(v => v.stat.DoF));
+      const RSS = vector(models.map(v => v.stat.se * v.stat.se * v.stat.DoF));
+      const DoF = resDoF.v[0] - resDoF.v[1];
+      const SS = RSS.v[0] - RSS.v[1];
+      const F = (SS / DoF) / (RSS.v[1] / resDoF.v[1]);
+
+      return {
+         class: ['anova'],
+         type: 'nested',
+         rowNames: ['Model 1', 'Model 2'],
+         resDoF: resDoF,
+         RSS: RSS,
+         DoF: vector([NaN, DoF]),
+         SS: vector([NaN, SS]),
+         Fstat: vector([NaN, F]),
+         p: vector([NaN, 1 - pf(F, DoF, resDoF.v[1])])
+      };
+   }
+
+   if (![1, 2, 3].includes(type)) {
+      throw Error('anova: parameter "type" must be 1, 2, 3 or another linear model.');
+   }
+
+   // every column is a separate term if the model does not have terms
+   const terms = lmgetterms(m);
+
+   const nterms = terms.length;
+   const columns = (ind) => ind.reduce((cols, t) => cols.concat(Array.from(terms[t].columns)), []);
+   const rss = (ind) => lmgetrss(X, y, w, columns(ind));
+   const contains = (a, b) => b.vars.length > a.vars.length && a.vars.every(v => b.vars.includes(v));
+
+   const SS = Vector.zeros(nterms + 1);
+   const DoF = Vector.zeros(nterms + 1);
+   const all = Array.from({length: nterms}, (v, i) => i);
+
+   for (let t = 0; t < nterms; t++) {
+
+      // terms added before the current one
+      const before = type === 1 ? all.slice(0, t) : type === 2 ?
+         all.filter(i => i !== t && !contains(terms[t], terms[i])) :
+         all.filter(i => i !== t);
+
+      SS.v[t] = rss(before) - rss([...before, t]);
+      DoF.v[t] = terms[t].columns.length;
+   }
+
+   SS.v[nterms] = rss(all);
+   DoF.v[nterms] = m.stat.DoF;
+
+   const MS = SS.divide(DoF);
+   const Fstat = MS.divide(MS.v[nterms]);
+   Fstat.v[nterms] = NaN;
+
+   return {
+      class: ['anova'],
+      type: type,
+      rowNames: [...terms.map(t => t.name), 'Residuals'],
+      DoF: DoF,
+      SS: SS,
+      MS: MS,
+      Fstat: Fstat,
+      p: vector(Array.from(Fstat.v, (F, t) => t < nterms ? 1 - pf(F, DoF.v[t], DoF.v[nterms]) : NaN))
+   };
+}
+
+
+/**
+ * Compute residual sum of squares for linear model fitted using selected columns of predictors.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Vector} y - vector with responses.
+ * @param {Vector} w - vector with weights.
+ * @param {Array} cols - array with column numbers (starting from 1) to use, can be empty.
+ *
+ * @returns {number} weighted residual sum of squares (the model always contains intercept).
+ *
+ */
+function lmgetrss(X, y, w, cols) {
+
+   const n = y.length;
+   const sw = w.apply(Math.sqrt);
+   const Xr = cols.length > 0 ? cbind(Vector.ones(n), X.subset([], cols)) : Matrix.ones(n, 1);
+   const Xw = Xr.op(sw, (a, b) => a * b, 1);
+   const yw = y.mult(sw);
+
+   const b = crossprod(Xw).inv().dot(crossprod(Xw, reshape(yw, n, 1)));
+   return ssq(yw.subtract(reshape(Xw.dot(b), n)));
+}
+
+
+/**
+ * Stepwise selection of terms for linear model.
+ *
+ * @param {JSON} m - linear model with all candidate terms (created by 'lmfit()').
+ * @param {string} [direction='both'] - direction of the selection ('forward', 'backward' or 'both').
+ * @param {string} [criterion='aic'] - criterion for the selection ('aic', 'bic' or 'p').
+ * @param {Array} [param=[0.05, 0.10]] - significance levels for adding and removing terms (for 'p' criterion).
+ *
+ * @description Forward and bidirectional selection start from the model with intercept only, backward
+ * selection starts from the full model. At every step the method adds (or removes) the term, which
+ * gives the smallest value of AIC or BIC, bidirectional selection checks both adding and removing terms.
+ * The selection stops when the criterion can not be improved. With criterion 'p' the term with the
+ * smallest p-value of partial F-test is added if the p-value is below the first significance level and
+ * the term with the largest p-value is removed if it is above the second one.
+ *
+ * Terms are taken from the model fitted using design matrix from 'modelmatrix()' (every column is a
+ * separate term otherwise). In this case a term can be added only after all terms it contains (e.g.
+ * interaction is added after the main effects) and can be removed only if it is not a part of another
+ * selected term.
+ *
+ * @returns {JSON} object with trace of the selection ('trace', with action, term, number of
+ * coefficients, RSS, AIC, BIC and p-value of partial F-test for every step), names and numbers of the
+ * selected terms ('selected' and 'selectedTerms') and linear model with selected terms ('model',
+ * null if no terms are selected).
+ *
+ */
+export function lmstepwise(m, direction, criterion, param) {
+
+   if (!m || m.class !== 'lm') {
+      throw Error('lmstepwise: parameter "m" must be object with "lm" model.');
+   }
+
+   if (direction === undefined) direction = 'both';
+   if (criterion === undefined) criterion = 'aic';
+   if (param === undefined) param = [0.05, 0.10];
+
+   if (!['forward', 'backward', 'both'].includes(direction)) {
+      throw Error('lmstepwise: parameter "direction" must be "forward", "backward" or "both".');
+   }
+
+   if (!['aic', 'bic', 'p'].includes(criterion)) {
+      throw Error('lmstepwise: parameter "criterion" must be "aic", "bic" or "p".');
+   }
+
+   if (!Array.isArray(param) || param.length !== 2 || !(param[0] > 0 && param[0] <= param[1] && param[1] < 1)) {
+      throw Error('lmstepwise: parameter "param" must be an array with two significance levels, the first can not be larger than the second.');
+   }
+
+   const {X, y, w} = m.data;
+   const terms = lmgetterms(m);
+   const all = Array.from({length: terms.length}, (v, i) => i);
+   const stat = lmgetsubsetstat(X, y, w, terms);
+   const contains = (a, b) => b.vars.length > a.vars.length && a.vars.every(v => b.vars.includes(v));
+
+   // terms which can be added to or removed from the current selection
+   const canadd = (sel, t) => !sel.includes(t) && all.every(i => !contains(terms[i], terms[t]) || sel.includes(i));
+   const canremove = (sel, t) => sel.every(i => !contains(terms[t], terms[i]));
+
+   let selected = direction === 'backward' ? all.slice() : [];
+   let current = stat(selected);
+   const visited = new Set([selected.join()]);
+
+   const trace = {action: ['start'], term: [''], npar: [current.npar], RSS: [current.RSS], AIC: [current.AIC],
+      BIC: [current.BIC], p: [NaN]};
+
+   // partial F-test for larger model 'a' and smaller model 'b'
+   const ftest = (a, b) => {
+      const df = a.npar - b.npar;
+      const F = ((b.RSS - a.RSS) / df) / (a.RSS / (y.length - a.npar));
+      return 1 - pf(F, df, y.length - a.npar);
+   };
+
+   const value = (s) => criterion === 'bic' ? s.BIC : s.AIC;
 
-   // loop for computing variances and distances
-   for (let a = 1; a <= ncomp; a++) {
-      const ta = T.getcolref(a);
-      const pa = P.getcolref(a);
-      const ts = 1 / eigenvals.v[a - 1];
+   while (true) {
 
-      const qa = new Vector.valuesConstructor(nrows);
-      let qs = 0;
-      for (let c = 0; c < nvars; c++) {
-         const e = E.getcolref(c + 1);
-         for (let r = 0; r < nrows; r++) {
-            e[r] = e[r] - ta[r] * pa[c]
-            const essq = e[r] * e[r];
-            qa[r] += essq;
-            qs += essq;
+      // all possible steps
+      const steps = [];
+      if (direction !== 'backward') {
+         for (let t of all.filter(t => canadd(selected, t))) {
+            const s = stat([...selected, t]);
+            steps.push({action: 'add', t: t, stat: s, p: ftest(s, current)});
          }
       }
 
-      for (let r = 0; r < nrows; r++) {
-         ha[r] += ta[r] * ta[r] * ts;
+      if (direction !== 'forward') {
+         for (let t of selected.filter(t => canremove(selected, t))) {
+            const s = stat(selected.filter(i => i !== t));
+            steps.push({action: 'remove', t: t, stat: s, p: ftest(current, s)});
+         }
       }
 
-      H.v.set(ha, (a - 1) * nrows);
-      Q.v.set(qa, (a - 1) * nrows);
+      let best = null;
+      if (criterion === 'p') {
 
-      cumexpvar.v[a - 1] = 100 * (1 - qs / totssq);
-      expvar.v[a - 1] = a === 1 ? cumexpvar.v[a - 1] : cumexpvar.v[a - 1] - cumexpvar.v[a - 2];
+         // remove the least significant term or, if all terms are significant, add the most significant one
+         const add = steps.filter(s => s.action === 'add' && s.p < param[0]).sort((a, b) => a.p - b.p);
+         const remove = steps.filter(s => s.action === 'remove' && s.p > param[1]).sort((a, b) => b.p - a.p);
+         best = remove.length > 0 ? remove[0] : add.length > 0 ? add[0] : null;
+      } else {
+         for (let s of steps) {
+            if (value(s.stat) < (best ? value(best.stat) : value(current))) best = s;
+         }
+      }
+
+      if (best === null) break;
+
+      // stop if the same selection has already been tried
+      const next = best.action === 'add' ? [...selected, best.t] : selected.filter(i => i !== best.t);
+      const key = next.slice().sort((a, b) => a - b).join();
+      if (visited.has(key)) break;
+
+      visited.add(key);
+      selected = next;
+      current = best.stat;
+
+      trace.action.push(best.action);
+      trace.term.push(terms[best.t].name);
+      trace.npar.push(current.npar);
+      trace.RSS.push(current.RSS);
+      trace.AIC.push(current.AIC);
+      trace.BIC.push(current.BIC);
+      trace.p.push(best.p);
    }
 
+   selected.sort((a, b) => a - b);
    return {
-      class: ['pcares', 'ldecomp'],
-      T: T,
-      H: H,
-      Q: Q,
-      expvar: expvar,
-      cumexpvar: cumexpvar
+      class: ['lmselect'],
+      method: direction,
+      criterion: criterion,
+      trace: {action: trace.action, term: trace.term, npar: index(trace.npar), RSS: vector(trace.RSS),
+         AIC: vector(trace.AIC), BIC: vector(trace.BIC), p: vector(trace.p)},
+      selected: selected.map(t => terms[t].name),
+      selectedTerms: index(selected.map(t => t + 1)),
+      model: lmgetsubmodel(m, terms, selected)
+   };
+}
+
+
+/**
+ * Best subset selection of terms for linear model.
+ *
+ * @param {JSON} m - linear model with all candidate terms (created by 'lmfit()').
+ * @param {string} [criterion='bic'] - criterion for selection of the final model ('aic', 'bic' or 'r2adj').
+ * @param {number} [nmax] - maximum number of terms in the model (by default number of terms in 'm').
+ *
+ * @description The method fits models for all combinations of the terms (the same rules for terms as
+ * in 'lmstepwise()' are applied) and finds the best subset for every number of terms using the
+ * criterion. The best of these subsets is selected as the final model. Number of terms can not be
+ * larger than 15.
+ *
+ * @returns {JSON} object with statistics for the best subset of every size ('subsets', with number
+ * of terms, names of the terms, number of coefficients, RSS, adjusted R2, AIC and BIC), names and
+ * numbers of the selected terms ('selected' and 'selectedTerms') and linear model with selected
+ * terms ('model').
+ *
+ */
+export function lmbestsubset(m, criterion, nmax) {
+
+   if (!m || m.class !== 'lm') {
+      throw Error('lmbestsubset: parameter "m" must be object with "lm" model.');
+   }
+
+   if (criterion === undefined) criterion = 'bic';
+
+   if (!['aic', 'bic', 'r2adj'].includes(criterion)) {
+      throw Error('lmbestsubset: parameter "criterion" must be "aic", "bic" or "r2adj".');
+   }
+
+   const {X, y, w} = m.data;
+   const terms = lmgetterms(m);
+   const nterms = terms.length;
+
+   if (nterms > 15) {
+      throw Error('lmbestsubset: number of terms is too large for exhaustive search (can not exceed 15).');
+   }
+
+   if (nmax === undefined) nmax = nterms;
+
+   if (!Number.isInteger(nmax) || nmax < 1 || nmax > nterms) {
+      throw Error('lmbestsubset: parameter "nmax" must be an integer between 1 and number of terms.');
+   }
+
+   const stat = lmgetsubsetstat(X, y, w, terms);
+   const contains = (a, b) => b.vars.length > a.vars.length && a.vars.every(v => b.vars.includes(v));
+   const value = (s) => criterion === 'aic' ? s.AIC : criterion === 'bic' ? s.BIC : -s.R2adj;
+
+   // best subset for every number of terms
+   const best = new Array(nmax).fill(null);
+   for (let k = 1; k < (1 << nterms); k++) {
+
+      const sel = Array.from({length: nterms}, (v, i) => i).filter(i => k & (1 << i));
+      if (sel.length > nmax) continue;
+
+      // every term must be selected together with all terms it contains
+      if (!sel.every(t => terms.every((term, i) => !contains(term, terms[t]) || sel.includes(i)))) continue;
+
+      const s = stat(sel);
+      const b = best[sel.length - 1];
+      if (b === null || value(s) < value(b.stat)) {
+         best[sel.length - 1] = {sel: sel, stat: s};
+      }
    }
+
+   const subsets = best.filter(b => b !== null);
+   const selected = subsets.reduce((a, b) => value(b.stat) < value(a.stat) ? b : a).sel;
+
+   return {
+      class: ['lmselect'],
+      method: 'bestsubset',
+      criterion: criterion,
+      subsets: {
+         nterms: index(subsets.map(b => b.sel.length)),
+         terms: subsets.map(b => b.sel.map(t => terms[t].name)),
+         npar: index(subsets.map(b => b.stat.npar)),
+         RSS: vector(subsets.map(b => b.stat.RSS)),
+         R2adj: vector(subsets.map(b => b.stat.R2adj)),
+         AIC: vector(subsets.map(b => b.stat.AIC)),
+         BIC: vector(subsets.map(b => b.stat.BIC))
+      },
+      selected: selected.map(t => terms[t].name),
+      selectedTerms: index(selected.map(t => t + 1)),
+      model: lmgetsubmodel(m, terms, selected)
+   };
 }
 
 
-export function getfulldistance(h, q, h0, q0, Nh, Nq) {
-   const fh = Nh / h0;
-   const fq = Nq / q0;
+/**
+ * Get terms of linear model.
+ *
+ * @param {JSON} m - linear model.
+ *
+ * @returns {Array} array with terms (every term has name, numbers of columns and names of variables),
+ * if the model does not have terms, every column of the predictors is a separate term.
+ *
+ */
+function lmgetterms(m) {
+   return m.terms ? m.terms : Array.from({length: m.data.X.ncols}, (v, i) => ({
+      name: 'X' + (i + 1), columns: [i + 1], vars: ['X' + (i + 1)]
+   }));
+}
 
-   const f = Vector.zeros(h.length);
-   for (let r = 0; r <= f.length; r++) {
-         f.v[r] = h.v[r] * fh + q.v[r] * fq;
+
+/**
+ * Create function, which computes statistics of linear model fitted using a subset of terms.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Vector} y - vector with responses.
+ * @param {Vector} w - vector with weights.
+ * @param {Array} terms - array with terms.
+ *
+ * @returns {function} function, which takes array with indices of terms (starting from 0) and
+ * returns number of coefficients ('npar'), RSS, adjusted R2, AIC and BIC of the model.
+ *
+ */
+function lmgetsubsetstat(X, y, w, terms) {
+
+   const n = y.length;
+   const rss0 = lmgetrss(X, y, w, []);
+
+   return function(sel) {
+      const cols = sel.reduce((cols, t) => cols.concat(Array.from(terms[t].columns)), []);
+      const RSS = lmgetrss(X, y, w, cols);
+      const npar = cols.length + 1;
+      return {
+         npar: npar,
+         RSS: RSS,
+         R2adj: 1 - (RSS / (n - npar)) / (rss0 / (n - 1)),
+         AIC: n * Math.log(RSS / n) + 2 * npar,
+         BIC: n * Math.log(RSS / n) + Math.log(n) * npar
+      };
+   };
+}
+
+
+/**
+ * Fit linear model using a subset of terms of another model.
+ *
+ * @param {JSON} m - linear model.
+ * @param {Array} terms - array with terms of the model.
+ * @param {Array} sel - array with indices of selected terms (starting from 0).
+ *
+ * @returns {JSON} linear model (it can be used with new data if 'm' was fitted using 'modelmatrix()')
+ * or null if no terms are selected.
+ *
+ */
+function lmgetsubmodel(m, terms, sel) {
+
+   if (sel.length === 0) {
+      return null;
    }
 
-   return f;
+   const {X, y, w} = m.data;
+   const cols = sel.reduce((cols, t) => cols.concat(Array.from(terms[t].columns)), []);
+   const Xs = X.subset([], cols);
+
+   if (!m.design) {
+      return lmfit(Xs, y, w);
+   }
+
+   // design matrix with the selected terms
+   let ncols = 0;
+   const selTerms = sel.map(t => {
+      const columns = terms[t].columns.map((c, i) => ncols + i + 1);
+      ncols += columns.length;
+      return {...terms[t], columns: columns};
+   });
+
+   const rhs = selTerms.map(t => t.name).join(' + ');
+   return lmfit({
+      class: ['modelmatrix'],
+      X: Xs,
+      y: y,
+      colNames: cols.map(c => m.colNames[c - 1]),
+      terms: selTerms,
+      design: {
+         ...m.design,
+         formula: m.design.response !== null ? m.design.response + ' ~ ' + rhs : rhs,
+         terms: selTerms.map(t => t.vars)
+      }
+   }, y, w);
 }
 
 
 /**
- * Project new data to a PCA model and create object with main outcomes.
+ * Fit a generalized linear model (logistic or Poisson regression).
  *
- * @param {Object} m - JSON with PCA model created by 'pcafit()'.
- * @param {Matrix} X - matrix with data values.
- * @param {string} name - name/label for the result object (e.g. "cal", "val", etc.).
+ * @param {Vector|Matrix|JSON} X - vector or matrix with predictors or design matrix created by 'modelmatrix()'.
+ * @param {Vector} [y] - vector with responses (can be omitted if 'X' is design matrix with response values).
+ * @param {string} [family='binomial'] - distribution of the response values ('binomial' or 'poisson').
+ * @param {string} [link] - link function, 'logit' (default) or 'probit' for binomial family and 'log'
+ * for poisson family.
+ * @param {Vector} [w] - vector with positive prior weight for every observation (e.g. number of trials
+ * if responses of binomial model are proportions of successes).
+ * @param {number} [maxiter=25] - maximum number of iterations.
+ * @param {number} [tol=1e-8] - tolerance for relative change of deviance.
  *
- * @returns {Object} - JSON wiht main outcomes (scores, distances, variance, etc.).
+ * @description The model is fitted using iteratively reweighted least squares. Responses for binomial
+ * family must be between 0 and 1 (e.g. 0 and 1 for failure and success), responses for poisson family
+ * must be non-negative counts. Standard errors of the coefficients are computed from the inverse of the
+ * Fisher information matrix, the coefficients are tested using z-test (Wald test) and the confidence
+ * intervals are computed using the normal distribution.
+ *
+ * If the relative change of deviance does not become smaller than 'tol' in 'maxiter' iterations, the
+ * model is returned with 'converged' set to false and the estimates should not be used for inference.
+ * If classes in binomial model are completely separated, the estimates grow with every iteration until
+ * the deviance is close to zero, so a large number of iterations is a sign of the separation.
+ *
+ * @return JSON with model parameters and statistics: deviance of the model and of the model with
+ * intercept only ('deviance' and 'nullDeviance'), their degrees of freedom ('DoF' and 'nullDoF'),
+ * log-likelihood ('logLik') and Akaike information criterion ('AIC'). The model also contains number
+ * of iterations ('iter') and flag showing if the algorithm converged ('converged').
  *
  */
-export function pcapredict(m, X, name) {
+export function glmfit(X, y, family, link, w, maxiter, tol) {
+
+   let mm = null;
+   if (isa(X, 'modelmatrix')) {
+      mm = X;
+      X = mm.X;
+      if (y === undefined || y === null) {
+         y = mm.y;
+      }
+   }
+
+   if (isvector(X)) {
+      X = reshape(X, X.length, 1);
+   }
+
+   if (!ismatrix(X)) {
+      throw Error('glmfit: argument "X" must be a matrix or a vector.');
+   }
+
+   if (!isvector(y)) {
+      throw Error('glmfit: argument "y" must be a vector.');
+   }
+
+   const n = X.nrows;
+   if (y.length !== n) {
+      throw Error('glmfit: arguments "X" and "y" must have the same number of objects.');
+   }
+
+   if (n <= X.ncols) {
+      throw Error('glmfit: number of objects must be larger than number of predictors.');
+   }
+
+   if (family === undefined) {
+      family = 'binomial';
+   }
+
+   const f = glmgetfamily(family, link);
+
+   if (family === 'binomial' && y.v.some(v => !(v >= 0 && v <= 1))) {
+      throw Error('glmfit: values of response for binomial family must be between 0 and 1.');
+   }
+
+   if (family === 'poisson' && y.v.some(v => !(v >= 0))) {
+      throw Error('glmfit: values of response for poisson family must be non-negative.');
+   }
+
+   if (w === undefined || w === null) {
+      w = Vector.ones(n);
+   }
+
+   if (!isvector(w) || w.length !== n || w.v.some(v => !(v > 0))) {
+      throw Error('glmfit: argument "w" must be a vector with positive weight for every object.');
+   }
+
+   if (maxiter === undefined) {
+      maxiter = 25;
+   }
+
+   if (tol === undefined) {
+      tol = 1e-8;
+   }
+
+   // add column of ones for estimation of intercept
+   const Xr = cbind(Vector.ones(n), X);
+
+   // initial values for the mean response
+   let mu = new Vector(y.v.map((v, i) => f.init(v, w.v[i])));
+   let eta = mu.apply(f.linkfun);
+   let dev = f.deviance(y.v, mu.v, w.v);
+
+   let R, estimate;
+   let iter = 0;
+   let converged = false;
+   while (iter < maxiter && !converged) {
+      iter++;
+
+      // working response and square root of working weights
+      const z = Vector.zeros(n);
+      const sw = Vector.zeros(n);
+      for (let i = 0; i < n; i++) {
+         const d = f.mueta(eta.v[i]);
+         z.v[i] = eta.v[i] + (y.v[i] - mu.v[i]) / d;
+         sw.v[i] = d * Math.sqrt(w.v[i] / f.variance(mu.v[i]));
+      }
+
+      // weighted least squares step
+      const Xw = Xr.op(sw, (a, b) => a * b, 1);
+      R = crossprod(Xw).inv();
+      estimate = reshape(R.dot(Xw.t()).dot(z.mult(sw)), X.ncols + 1);
+
+      eta = reshape(Xr.dot(estimate), n);
+      mu = eta.apply(f.linkinv);
+
+      const devOld = dev;
+      dev = f.deviance(y.v, mu.v, w.v);
+      converged = Math.abs(dev - devOld) / (Math.abs(dev) + 0.1) < tol;
+   }
+
+   // inverse of Fisher information matrix for the final estimates
+   const sw = new Vector(mu.v.map((v, i) => f.mueta(eta.v[i]) * Math.sqrt(w.v[i] / f.variance(v))));
+   R = crossprod(Xr.op(sw, (a, b) => a * b, 1)).inv();
+
+   // deviance of the model with intercept only
+   const mu0 = sum(y.mult(w)) / sum(w);
+   const nullDeviance = f.deviance(y.v, new Float64Array(n).fill(mu0), w.v);
+
+   // standard error and z-values for regression coefficients, H0: beta = 0
+   const coeffse = R.diag().apply(Math.sqrt);
+   const zstat = estimate.divide(coeffse);
+   const errMargin = coeffse.mult(qnorm(0.975));
+
+   const logLik = f.loglik(y.v, mu.v, w.v);
+   const m = {
+      class: ['glm'],
+      family: family,
+      link: f.link,
+      data: {X: X, y: y, w: w},
+      R: R,
+      coeffs: {
+         estimate: estimate,
+         se: coeffse,
+         zstat: zstat,
+         p: zstat.apply(z => 2 * pnorm(-Math.abs(z))),
+         lower: estimate.subtract(errMargin),
+         upper: estimate.add(errMargin)
+      },
+      fitted: mu,
+      linear: eta,
+      iter: iter,
+      converged: converged,
+      stat: {
+         deviance: dev,
+         nullDeviance: nullDeviance,
+         DoF: n - X.ncols - 1,
+         nullDoF: n - 1,
+         logLik: logLik,
+         AIC: -2 * logLik + 2 * (X.ncols + 1)
+      }
+   };
+
+   if (mm) {
+      m.colNames = mm.colNames;
+      m.terms = mm.terms;
+      m.design = mm.design;
+   }
+
+   return m;
+}
+
+
+/**
+ * Predicts response values based on the generalized linear model and predictors.
+ *
+ * @param {JSON} m - model (object returned by 'glmfit()').
+ * @param {Vector|Matrix|JSON} X - vector or matrix with predictors (or object with variables if
+ * model was fitted using design matrix from 'modelmatrix()').
+ * @param {string} [type='response'] - type of predictions, 'response' for probabilities (binomial
+ * family) or rates (poisson family) and 'link' for values of the linear predictor.
+ *
+ * @return {Vector} vector with predicted values.
+ *
+ */
+export function glmpredict(m, X, type) {
+
+   if (!isa(m, 'glm')) {
+      throw Error('glmpredict: argument "m" must be object with "glm" model.');
+   }
+
+   if (m.design && !isvector(X) && !ismatrix(X)) {
+      X = isa(X, 'modelmatrix') ? X.X : mmbuild(m.design, X, false).X;
+   }
+
+   if (isvector(X)) {
+      X = reshape(X, X.length, 1);
+   }
+
+   if (!ismatrix(X)) {
+      throw Error('glmpredict: argument "X" must be a matrix or a vector.');
+   }
+
+   if (X.ncols !== (m.coeffs.estimate.length - 1)) {
+      throw Error('glmpredict: number of columns in "X" does not match number of coefficients in model.');
+   }
+
+   if (type === undefined) {
+      type = 'response';
+   }
+
+   if (!['response', 'link'].includes(type)) {
+      throw Error('glmpredict: parameter "type" must be either "response" or "link".');
+   }
+
+   const n = X.nrows;
+   const eta = reshape(cbind(Vector.ones(n), X).dot(m.coeffs.estimate), n);
+
+   return type === 'link' ? eta : eta.apply(glmgetfamily(m.family, m.link).linkinv);
+}
+
+
+/**
+ * Get functions for the family and the link of generalized linear model.
+ *
+ * @param {string} family - name of the family ('binomial' or 'poisson').
+ * @param {string} [link] - name of the link function (if not provided, canonical link is used).
+ *
+ * @returns {JSON} object with name of the link, the link function and its inverse, derivative of
+ * the mean with respect to the linear predictor, variance function, function for initial mean values,
+ * deviance and log-likelihood (the last two take arrays with responses, mean values and weights).
+ *
+ */
+function glmgetfamily(family, link) {
+
+   // limits for probabilities to avoid infinite values of the linear predictor
+   const eps = 1e-10;
+   const clamp = (p) => Math.min(Math.max(p, eps), 1 - eps);
+
+   // y * log(y / mu) with 0 * log(0) = 0
+   const ylogy = (y, mu) => y > 0 ? y * Math.log(y / mu) : 0;
+
+   // logarithm of factorial for counts
+   const lfact = (k) => {
+      let s = 0;
+      for (let i = 2; i <= k; i++) s += Math.log(i);
+      return s;
+   };
+
+   // logarithm of binomial coefficient
+   const lchoose = (n, k) => lfact(n) - lfact(k) - lfact(n - k);
+
+   if (family === 'binomial') {
+
+      if (link === undefined) {
+         link = 'logit';
+      }
+
+      const links = {
+         logit: {
+            linkfun: (mu) => Math.log(mu / (1 - mu)),
+            linkinv: (eta) => clamp(1 / (1 + Math.exp(-eta))),
+            mueta: (eta) => Math.max(Math.exp(-Math.abs(eta)) / Math.pow(1 + Math.exp(-Math.abs(eta)), 2), Number.EPSILON)
+         },
+         probit: {
+            linkfun: (mu) => qnorm(mu),
+            linkinv: (eta) => clamp(pnorm(eta)),
+            mueta: (eta) => Math.max(dnorm(eta), Number.EPSILON)
+         }
+      };
+
+      if (!links[link]) {
+         throw Error('glmfit: wrong value for "link" parameter (must be "logit" or "probit" for binomial family and "log" for poisson family).');
+      }
+
+      return {
+         link: link,
+         ...links[link],
+         variance: (mu) => mu * (1 - mu),
+         init: (y, w) => (w * y + 0.5) / (w + 1),
+         deviance: (y, mu, w) => 2 * sum(y.map((v, i) => w[i] * (ylogy(v, mu[i]) + ylogy(1 - v, 1 - mu[i])))),
+         loglik: (y, mu, w) => sum(y.map((v, i) => {
+            const m = Math.round(w[i]);
+            const k = Math.round(m * v);
+            return lchoose(m, k) + k * Math.log(mu[i]) + (m - k) * Math.log(1 - mu[i]);
+         }))
+      };
+   }
+
+   if (family === 'poisson') {
+
+      if (link === undefined) {
+         link = 'log';
+      }
+
+      if (link !== 'log') {
+         throw Error('glmfit: wrong value for "link" parameter (must be "logit" or "probit" for binomial family and "log" for poisson family).');
+      }
+
+      return {
+         link: link,
+         linkfun: (mu) => Math.log(mu),
+         linkinv: (eta) => Math.max(Math.exp(eta), Number.EPSILON),
+         mueta: (eta) => Math.max(Math.exp(eta), Number.EPSILON),
+         variance: (mu) => mu,
+         init: (y) => y + 0.1,
+         deviance: (y, mu, w) => 2 * sum(y.map((v, i) => w[i] * (ylogy(v, mu[i]) - (v - mu[i])))),
+         loglik: (y, mu, w) => sum(y.map((v, i) => w[i] * (v * Math.log(mu[i]) - mu[i] - lfact(Math.round(v)))))
+      };
+   }
+
+   throw Error('glmfit: parameter "family" must be either "binomial" or "poisson".');
+}
+
+
+/**
+ * Fit penalized linear regression model (ridge, lasso or elastic net) for a sequence of lambda values.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Vector} y - vector with responses.
+ * @param {number} [alpha=1] - mixing parameter, '1' for lasso, '0' for ridge regression and values
+ * between them for elastic net.
+ * @param {number|Vector} [lambda=100] - number of lambda values in the sequence or vector with the values.
+ * @param {boolean} [scale=true] - logical, standardize predictors or not (predictors are always centered).
+ * @param {number|Array|Index} [cv] - cross-validation settings (see 'crossval()') for selection of lambda.
+ *
+ * @description The coefficients minimize '1/(2n) * RSS + lambda * (alpha * |b|_1 + (1 - alpha) / 2 * |b|_2^2)'
+ * for centered (and standardized) predictors and centered responses. The model is fitted using
+ * coordinate descent, starting from the largest lambda (the smallest value, which gives all coefficients
+ * equal to zero) and using the estimates as initial values for the next lambda. If number of values is
+ * provided, they are evenly spaced on log scale down to 0.0001 of the largest value (0.01 if there are
+ * more predictors than objects).
+ *
+ * With cross-validation the model contains object with cross-validated predictions and RMSE for every
+ * lambda ('cv'), as well as lambda with the smallest MSE ('lambdaMin') and the largest lambda with MSE
+ * within one standard error of the minimum ('lambda1se'). The lambda with the smallest error is used as
+ * the selected one ('lambdaSelected'), without cross-validation it is the smallest lambda.
+ *
+ * @returns {JSON} object with model parameters: vector with lambda values ('lambda'), matrix with
+ * coefficients in original units ('coeffs', one column for each lambda, intercept in the first row),
+ * number of non-zero coefficients ('df') and explained variance of the responses ('R2') for every lambda.
+ *
+ */
+export function enetfit(X, y, alpha, lambda, scale, cv) {
+
+   if (!ismatrix(X)) {
+      throw Error('enetfit: argument "X" must be a matrix.');
+   }
+
+   if (!isvector(y)) {
+      throw Error('enetfit: argument "y" must be a vector.');
+   }
+
+   const n = X.nrows;
+   const p = X.ncols;
+
+   if (y.length !== n) {
+      throw Error('enetfit: arguments "X" and "y" must have the same number of objects.');
+   }
+
+   if (n < 3) {
+      throw Error('enetfit: number of objects must be at least three.');
+   }
 
-   if (!ismatrix(X) || X.nrows < 1) {
-      throw Error('pcapredict: parameter "X" must be a matrix.');
+   if (alpha === undefined) alpha = 1;
+   if (lambda === undefined || lambda === null) lambda = 100;
+   if (scale === undefined) scale = true;
+
+   if (!isnumber(alpha) || alpha < 0 || alpha > 1) {
+      throw Error('enetfit: parameter "alpha" must be a number between 0 and 1.');
    }
 
-   if (X.ncols != m.P.nrows) {
-      throw Error('pcapredict: parameter "X" has wrong number of columns.');
+   if (!(isnumber(lambda) && Number.isInteger(lambda) && lambda > 0) && !(isvector(lambda) && lambda.length > 0 &&
+         lambda.v.every(v => v > 0))) {
+      throw Error('enetfit: parameter "lambda" must be a number of values or a vector with positive values.');
    }
 
-   const Xp = prep_scale(X, m.mX, m.sX);
-   const res = pcagetmainres(Xp, Xp.dot(m.P), m.P, m.eigenvals);
-   res.name = name;
+   // center and scale predictors (constant predictors are not scaled) and center responses
+   const sX = scale ? X.apply(sd, 2).apply(v => v > 0 ? v : 1) : false;
+   const [Xp, mX, sXp] = prep_scale(X, true, sX, true);
+   const mY = mean(y);
+   const yp = y.subtract(mY);
+
+   // lambda sequence
+   if (isnumber(lambda)) {
+      const lambdaMax = max(vector(Array.from({length: p}, (v, j) => Math.abs(_dot(Xp.getcolref(j + 1), yp.v, 1, n, n, 1)[0]) / n))) /
+         Math.max(alpha, 0.001);
+      const ratio = n < p ? 0.01 : 0.0001;
+      lambda = lambda === 1 ? vector([lambdaMax]) :
+         Vector.seq(0, lambda - 1).apply(k => lambdaMax * Math.pow(ratio, k / (lambda - 1)));
+   } else {
+      lambda = lambda.sort(true);
+   }
 
-   return res;
+   const B = enetgetpath(Xp, yp, alpha, lambda);
+
+   // coefficients in original units
+   const nlambda = lambda.length;
+   const coeffs = Matrix.zeros(p + 1, nlambda);
+   for (let l = 0; l < nlambda; l++) {
+      let b0 = mY;
+      for (let j = 0; j < p; j++) {
+         const b = B.v[l * p + j] / sXp.v[j];
+         coeffs.v[l * (p + 1) + j + 1] = b;
+         b0 -= b * mX.v[j];
+      }
+      coeffs.v[l * (p + 1)] = b0;
+   }
+
+   const ssy = ssq(yp);
+   const fitted = cbind(Vector.ones(n), X).dot(coeffs);
+   const m = {
+      class: ['enetmodel'],
+      alpha: alpha,
+      scale: scale,
+      lambda: lambda,
+      coeffs: coeffs,
+      df: B.apply(b => b.reduce((s, v) => v !== 0 ? s + 1 : s, 0), 2),
+      R2: fitted.apply(yh => 1 - yh.reduce((s, v, i) => s + (y.v[i] - v) * (y.v[i] - v), 0) / ssy, 2),
+      lambdaSelected: lambda.v[nlambda - 1]
+   };
+
+   if (cv === undefined || cv === null) {
+      return m;
+   }
+
+   m.cv = enetcv(X, y, alpha, lambda, scale, cv);
+   m.lambdaSelected = m.cv.lambdaMin;
+
+   return m;
 }
 
 
 /**
- * For given vector 'x' and number 'd' returns matrix with power of x values from 1 to d as columns.
+ * Predicts response values using penalized regression model.
  *
- * @param {Vector} x - vector with values.
- * @param {number} d - polynomial degree.
+ * @param {JSON} m - model (object returned by 'enetfit()').
+ * @param {Matrix} X - matrix with predictors.
+ * @param {number|Vector} [lambda] - lambda value or vector with values (by default 'm.lambdaSelected').
  *
- * @returns a matrix with 'd' columns.
+ * @description If lambda value is not in the sequence used to fit the model, the coefficients are
+ * interpolated linearly between the two closest values.
+ *
+ * @returns {Vector|Matrix} vector with predicted response values or, if vector with lambda values is
+ * provided, matrix with predictions for every lambda (in columns).
  *
  */
-export function polymat(x, d) {
+export function enetpredict(m, X, lambda) {
 
-   if (!isvector(x)) {
-      throw Error('polymat: argument "x" must be a vector.');
+   if (!isa(m, 'enetmodel')) {
+      throw Error('enetpredict: argument "m" must be object with "enetmodel" model.');
    }
 
-   const X = Matrix.zeros(x.length, d);
-   for (let i = 1; i <= d; i++) {
-      X.v.set(x.apply(v => v ** i).v, x.length * (i - 1));
+   if (!ismatrix(X)) {
+      throw Error('enetpredict: argument "X" must be a matrix.');
    }
 
-   return X;
-}
+   if (X.ncols !== m.coeffs.nrows - 1) {
+      throw Error('enetpredict: number of columns in "X" does not match number of coefficients in model.');
+   }
 
+   if (lambda === undefined) {
+      lambda = m.lambdaSelected;
+   }
 
-/**
- * Fitting a univariate polynomial model.
- *
- * @param {Vector} x - vector with predictors.
- * @param {Vector} y - vector with responses.
- * @param {number} d - polynomial degree.
- *
- * @return JSON with model parameters and performance statistics.
- *
- */
-export function polyfit(x, y, d) {
+   const Xr = cbind(Vector.ones(X.nrows), X);
+   if (isnumber(lambda)) {
+      return reshape(Xr.dot(enetgetcoeffs(m, lambda)), X.nrows);
+   }
 
-   if (d < 1 || d >= x.length) {
-      throw Error('polyfit: polynomial degree "d" must a positive value smaller than number of measurements.');
+   if (!isvector(lambda)) {
+      throw Error('enetpredict: parameter "lambda" must be a number or a vector.');
    }
 
-   let model = lmfit(polymat(x, d), y);
-   model.pdegree = d;
-   model.class = "pm";
+   const B = Matrix.zeros(m.coeffs.nrows, lambda.length);
+   lambda.v.forEach((l, i) => B.v.set(enetgetcoeffs(m, l).v, i * B.nrows));
 
-   return model;
+   return Xr.dot(B);
 }
 
 
 /**
- * Predicts response values based on the fitted model and predictors.
+ * Get coefficients of penalized regression model for given lambda value.
  *
- * @param {JSON} m - regression model (object returned by 'polyfit()').
- * @param {vector} x - vector with predictors.
+ * @param {JSON} m - model (object returned by 'enetfit()').
+ * @param {number} lambda - lambda value.
  *
- * @return vector with predicted response values.
+ * @returns {Vector} vector with coefficients in original units (intercept first).
  *
  */
-export function polypredict(m, x) {
+function enetgetcoeffs(m, lambda) {
 
-   if (!isvector(x)) {
-      throw Error('polypredict: Argument "x" must be a vector.');
+   const l = m.lambda.v;
+   const nlambda = l.length;
+
+   if (!isnumber(lambda) || lambda > l[0] * (1 + 1e-10) || lambda < l[nlambda - 1] * (1 - 1e-10)) {
+      throw Error('enetpredict: parameter "lambda" must be within the range of values used to fit the model.');
    }
 
-   if (m.class !== "pm") {
-      throw Error('polypredict: argument "m" must be object with "pm" model.');
+   // lambda values are sorted in decreasing order
+   let i = 0;
+   while (i < nlambda - 1 && l[i + 1] >= lambda) i++;
+
+   const b = m.coeffs.getcolumn(i + 1);
+   if (i === nlambda - 1 || l[i] === lambda) {
+      return b;
    }
 
-   return lmpredict(m, polymat(x, m.pdegree));
+   const f = (l[i] - lambda) / (l[i] - l[i + 1]);
+   return b.mult(1 - f).add(m.coeffs.getcolumn(i + 2).mult(f));
 }
 
 
 /**
- * Fit a linear model (SLR or MLR).
+ * Compute coefficients of penalized regression using coordinate descent.
  *
- * @param {Vector|Matrix} X - vector or matrix with predictors.
- * @param {Vector} y - vector with responses.
+ * @param {Matrix} X - matrix with centered (and scaled) predictors.
+ * @param {Vector} y - vector with centered responses.
+ * @param {number} alpha - mixing parameter.
+ * @param {Vector} lambda - vector with lambda values (in decreasing order).
+ * @param {number} [maxiter=10000] - maximum number of passes over the predictors for every lambda.
+ * @param {number} [tol=1e-7] - tolerance for convergence.
  *
- * @return JSON with model parameters and performance statistics.
+ * @returns {Matrix} matrix with coefficients (one column for each lambda).
  *
  */
-export function lmfit(X, y) {
+function enetgetpath(X, y, alpha, lambda, maxiter, tol) {
 
-   if (isvector(X)) {
-      X = reshape(X, X.length, 1);
-   }
+   if (maxiter === undefined) maxiter = 10000;
+   if (tol === undefined) tol = 1e-7;
 
-   if (!ismatrix(X)) {
-      throw Error('lmfit: argument "X" must be a matrix or a vector.');
-   }
+   const n = X.nrows;
+   const p = X.ncols;
+   const B = Matrix.zeros(p, lambda.length);
 
-   if (!isvector(y)) {
-      throw Error('lmfit: argument "y" must be a vector.');
-   }
+   // mean squares of the predictors and the residuals
+   const xx = Array.from({length: p}, (v, j) => _dot(X.getcolref(j + 1), X.getcolref(j + 1), 1, n, n, 1)[0] / n);
+   const r = Float64Array.from(y.v);
+   const b = new Float64Array(p);
+   const thresh = tol * ssq(y) / n;
 
-   const n = X.nrows;
-   if (y.length !== n) {
-      throw Error('lmfit: arguments "X" and "y" must have the same number of objects.');
-   }
+   for (let l = 0; l < lambda.length; l++) {
 
-   if (n <= X.ncols) {
-      throw Error('lmfit: number of objects must be larger than number of predictors.');
-   }
+      const l1 = lambda.v[l] * alpha;
+      const l2 = lambda.v[l] * (1 - alpha);
 
-   // add column of ones for estimation of intercept
-   const Xr = cbind(Vector.ones(n), X);
+      for (let iter = 0; iter < maxiter; iter++) {
+         let maxChange = 0;
 
-   // compute inverse of variance-covariance matrix
-   const R = crossprod(Xr).inv();
+         for (let j = 0; j < p; j++) {
+            if (xx[j] === 0) continue;
 
-   // estimate regression coefficients
-   const estimate = reshape(R.dot(Xr.t()).dot(y), X.ncols + 1);
+            const x = X.getcolref(j + 1);
+            const g = _dot(x, r, 1, n, n, 1)[0] / n + xx[j] * b[j];
+            const bj = Math.sign(g) * Math.max(Math.abs(g) - l1, 0) / (xx[j] + l2);
+            const d = bj - b[j];
 
-   // compute predicted y-values and performance statistics
-   const fitted = reshape(Xr.dot(estimate), n);
-   const stat = regstat(y, fitted, X.ncols);
+            if (d === 0) continue;
 
-   // compute standard error and t-values for regression coefficients, H0: beta = 0
-   const coeffse = R.mult(stat.se * stat.se).diag().apply(Math.sqrt);
-   const tstat = estimate.divide(coeffse);
+            for (let i = 0; i < n; i++) {
+               r[i] -= d * x[i];
+            }
 
-   // compute critical t-value for confidence intervals
-   const tCrit = qt(0.975, stat.DoF);
+            b[j] = bj;
+            maxChange = Math.max(maxChange, xx[j] * d * d);
+         }
 
-   // return JSON with all results
-   const errMargin = coeffse.mult(tCrit);
-   return {
-      class: "lm",
-      data: {X: X, y: y},
-      coeffs: {
-         estimate: estimate,
-         se: coeffse,
-         tstat: tstat,
-         p: tstat.apply(t => t > 0 ? 2 * pt(-t, stat.DoF) : 2 * pt(t, stat.DoF)),
-         lower: estimate.subtract(errMargin),
-         upper: estimate.add(errMargin)
-      },
-      fitted: fitted,
-      stat: stat
+         if (maxChange < thresh) break;
+      }
+
+      B.v.set(b, l * p);
    }
+
+   return B;
 }
 
 
 /**
- * Predicts response values based on the fitted model and predictors
- * @param {JSON} m - regression model (object returned by 'limfit()')
- * @param {number[]} X - vector or matrix with predictors
- * @return vector with predicted response values
+ * Cross-validate penalized regression model.
+ *
+ * @param {Matrix} X - matrix with predictors.
+ * @param {Vector} y - vector with responses.
+ * @param {number} alpha - mixing parameter.
+ * @param {Vector} lambda - vector with lambda values.
+ * @param {boolean} scale - logical, standardize predictors or not.
+ * @param {number|Array|Index} cv - cross-validation settings (see 'crossval()').
+ *
+ * @returns {JSON} object with cross-validated predictions ('Ypred'), RMSE, MSE and its standard error
+ * ('rmse', 'mse', 'mseSE') for every lambda as well as lambda with the smallest MSE ('lambdaMin')
+ * and the largest lambda with MSE within one standard error from the smallest ('lambda1se').
+ *
  */
-export function lmpredict(m, X) {
+function enetcv(X, y, alpha, lambda, scale, cv) {
 
-   if (isvector(X)) {
-      X = reshape(X, X.length, 1);
-   }
+   const seg = crossval(X.nrows, cv);
+   const nseg = max(seg);
+   const nlambda = lambda.length;
+   const Ypred = Matrix.zeros(X.nrows, nlambda);
 
-   if (!ismatrix(X)) {
-      throw Error('lmpredict: argument "X" must be a matrix or a vector.');
-   }
+   // MSE for every segment and lambda
+   const E = [];
+   for (let s = 1; s <= nseg; s++) {
 
-   if (!(m.class === 'lm' || m.class === 'pm') || !m.coeffs.estimate || m.coeffs.estimate.length < 1) {
-      throw Error('lmpredict: argument "m" must be object with "lm" model.');
-   }
+      const ind = getcvind(seg, s, 1);
+      if (ind === null) continue;
 
-   if (X.ncols !== (m.coeffs.estimate.length - 1)) {
-      throw Error('lmpredict: number of columns in "X" does not match number of coefficients in model.');
+      const m = enetfit(X.subset(ind[0], []), y.subset(ind[0]), alpha, lambda, scale);
+      const yv = y.subset(ind[1]);
+      const Yv = cbind(Vector.ones(ind[1].length), X.subset(ind[1], [])).dot(m.coeffs);
+      Ypred.replace(Yv, ind[1], []);
+      E.push(Yv.apply(yp => yp.reduce((s, v, i) => s + (yv.v[i] - v) * (yv.v[i] - v), 0) / yp.length, 2).v);
    }
 
+   const mse = Ypred.apply(yp => yp.reduce((s, v, i) => s + (y.v[i] - v) * (y.v[i] - v), 0) / yp.length, 2);
+   const mseSE = vector(Array.from({length: nlambda}, (v, l) => sd(vector(E.map(e => e[l]))) / Math.sqrt(E.length)));
 
-   // add column of ones for estimation of intercept
-   const n = X.nrows;
-   const Xr = cbind(Vector.ones(n), X);
-   return reshape(Xr.dot(m.coeffs.estimate), n);
-}
-
-
-/**
- * Computes performance statistics for predicted and reference response values
- * @param {number[]} y — vector with reference response values
- * @param {number[]} yp — vector with predicted response values
- * @return JSON with statistics (adjusted R2, R2, s(e), F-value, p-value)
- */
-export function regstat(y, yp, p) {
-
-   const n = y.length;
-   if (!p) p = 1;
-   const e = y.subtract(yp);
-   const SSe = ssq(e);
-   const SSy = variance(y) * (n - 1);
-   const R2 = (1 - SSe / SSy);
-   const DoF = n - p - 1
-   const F = ((SSy - SSe)/p) / (SSe/DoF);
+   const imin = minind(mse);
+   const i1se = mse.v.findIndex(v => v <= mse.v[imin - 1] + mseSE.v[imin - 1]);
 
    return {
-      R2: R2,
-      R2adj: 1 - (1 - R2) * (n - 1) / DoF,
-      Fstat: F,
-      p: 1 - pf(F, p, DoF),
-      DoF: DoF,
-      se: Math.sqrt(SSe/DoF)
+      class: ['cvres'],
+      name: 'cv',
+      cvSegments: seg,
+      Ypred: Ypred,
+      rmse: mse.apply(Math.sqrt),
+      mse: mse,
+      mseSE: mseSE,
+      lambdaMin: lambda.v[imin - 1],
+      lambda1se: lambda.v[i1se]
    };
 }
 
 
+
 /**
  * Split matrix with data values into matrix of predictors (X) and and matrix with responses (Y).
  *
@@ -874,55 +5481,127 @@ export function splitregdata(data) {
 
 
 /**
- * Make predictions based on x-scores and y-loadings (for PCR or PLS1) and compute
+ * Make predictions based on x-scores and y-loadings (for PCR or PLS) and compute
  * performance statistics if reference y-values are provided.
  *
  * @param {Matrix} T - matrix with X-scores.
- * @param {Matrix} C - matrix with y-loadings.
- * @param {number} mY - number to use for centering y-values (from the model).
- * @param {number} sY - number to use for scaling y-values (from the model).
- * @param {Vector} [y] - vector with reference response values.
+ * @param {Matrix} C - matrix with y-loadings (one row for each response).
+ * @param {Vector} mY - vector with values used for centering y-values (from the model).
+ * @param {Vector} sY - vector with values used for scaling y-values (from the model).
+ * @param {Matrix} [Yref] - matrix with reference response values.
+ *
+ * @description Predictions are returned as matrix 'Ypred' with 'nresp x ncomp' columns, organised
+ * as blocks of 'ncomp' columns, one block for each response. So predictions for response 'r' made
+ * by model with 'a' components are located in column '(r - 1) * ncomp + a'. Performance statistics
+ * ('rmse', 'r2', 'bias') are matrices with 'nresp' rows and 'ncomp' columns.
+ *
+ * @returns {JSON} object with predictions and performance statistics.
+ *
  */
 export function reggetmainres(T, C, mY, sY, Yref) {
 
    const nrows = T.nrows;
    const ncomp = T.ncols;
+   const nresp = C.nrows;
 
-   // prepare variables for predictions and statistics
-   const Ypred = Matrix.zeros(nrows, ncomp);
+   // prepare variables for predictions
+   const Ypred = Matrix.zeros(nrows, ncomp * nresp);
+   const hasRef = !(Yref === undefined || Yref === null || Yref.length === 0);
 
-   // if no reference values, compute predictions and return
-   if (Yref === undefined || Yref === null || Yref.length === 0) {
-      for (let a = 1; a <= ncomp; a++) {
-         // compute predictions
-         const cind = Index.seq(1, a);
-         const Ypreda = prep_unscale(tcrossprod(T.subset([], cind), C.subset([], cind)), mY, sY);
-         Ypred.v.set(Ypreda.v, (a - 1) * nrows);
+   if (hasRef && (!ismatrix(Yref) || Yref.ncols !== nresp || Yref.nrows !== nrows)) {
+      throw Error('reggetmainres: parameter "Yref" must be a matrix with one column for each response.');
+   }
+
+   for (let a = 1; a <= ncomp; a++) {
+
+      // compute predictions
+      const cind = Index.seq(1, a);
+      const Ypreda = prep_unscale(tcrossprod(T.subset([], cind), C.subset([], cind)), mY, sY);
+
+      for (let r = 1; r <= nresp; r++) {
+         Ypred.v.set(Ypreda.getcolref(r), ((r - 1) * ncomp + a - 1) * nrows);
       }
+   }
 
+   // if no reference values, return predictions only
+   if (!hasRef) {
       return {'Ypred': Ypred};
    }
 
    // otherwise compute statistics as well
-   const rmse = Vector.zeros(ncomp);
-   const r2 = Vector.zeros(ncomp);
-   const bias = Vector.zeros(ncomp);
+   return getregstat(Ypred, Yref, ncomp);
+}
 
-   // total y-variance
-   const ssy = variance(Yref.v) * (Yref.nrows - 1);
-   for (let a = 1; a <= ncomp; a++) {
 
-      // compute predictions
-      const cind = Index.seq(1, a);
-      const Ypreda = prep_unscale(tcrossprod(T.subset([], cind), C.subset([], cind)), mY, sY);
-      Ypred.v.set(Ypreda.v, (a - 1) * nrows);
+/**
+ * Get predictions for given number of components.
+ *
+ * @param {Matrix} Ypred - matrix with predicted response values (see 'reggetmainres()' for details).
+ * @param {number} ncomp - number of components in the model.
+ * @param {number} a - number of components to get the predictions for.
+ *
+ * @returns {Matrix} matrix with predictions (one column for each response).
+ *
+ */
+function reggetypred(Ypred, ncomp, a) {
+   const nresp = Ypred.ncols / ncomp;
+   return Ypred.subset([], index(Array.from({length: nresp}, (v, r) => r * ncomp + a)));
+}
+
+
+/**
+ * Compute performance statistics for predictions made by models with different number of components.
+ *
+ * @param {Matrix} Ypred - matrix with predicted response values (see 'reggetmainres()' for details).
+ * @param {Matrix} Yref - matrix with reference response values.
+ * @param {number} ncomp - number of components.
+ *
+ * @returns {JSON} object with reference and predicted values as well as RMSE, R2 and bias (vectors
+ * with value for each component if there is one response, otherwise matrices with one row for each
+ * response and one column for each component).
+ *
+ */
+function getregstat(Ypred, Yref, ncomp) {
+
+   const nrows = Yref.nrows;
+   const nresp = Yref.ncols;
+
+   const rmse = Matrix.zeros(nresp, ncomp);
+   const r2 = Matrix.zeros(nresp, ncomp);
+   const bias = Matrix.zeros(nresp, ncomp);
+
+   for (let r = 1; r <= nresp; r++) {
+
+      // total y-variance
+      const yref = Yref.getcolref(r);
+      const ssy = variance(yref) * (nrows - 1);
+
+      for (let a = 1; a <= ncomp; a++) {
+         const ypreda = Ypred.getcolref((r - 1) * ncomp + a);
+         let sse = 0;
+         let se = 0;
+         for (let i = 0; i < nrows; i++) {
+            const e = yref[i] - ypreda[i];
+            sse += e * e;
+            se += e;
+         }
+
+         const ind = (a - 1) * nresp + r - 1;
+         bias.v[ind] = se / nrows;
+         rmse.v[ind] = Math.sqrt(sse / nrows);
+         r2.v[ind] = 1 - sse / ssy;
+      }
+   }
 
-      // compute performance statistics
-      const e = Yref.subtract(Ypreda);
-      const sse = ssq(e.v);
-      bias.v[a - 1] = mean(e.v);
-      rmse.v[a - 1] = Math.sqrt(sse / nrows);
-      r2.v[a - 1] = 1 - sse / ssy;
+   // statistics for one response are returned as vectors
+   if (nresp === 1) {
+      return {
+         "Yref": Yref,
+         "Ypred": Ypred,
+         "rmse": new Vector(rmse.v),
+         "r2": new Vector(r2.v),
+         "bias": new Vector(bias.v)
+      };
    }
 
    return {
@@ -935,6 +5614,144 @@ export function reggetmainres(T, C, mY, sY, Yref) {
 }
 
 
+/**
+ * Compute regression coefficients for PCR or PLS model with different number of components.
+ *
+ * @param {Matrix} R - matrix with weights, which converts preprocessed X-values to scores (T = XR).
+ * @param {Matrix} C - matrix with y-loadings (one row for each response).
+ * @param {Vector} mX - vector with values used for centering X.
+ * @param {Vector} sX - vector with values used for scaling X.
+ * @param {Vector} mY - vector with values used for centering Y.
+ * @param {Vector} sY - vector with values used for scaling Y.
+ *
+ * @description Coefficients are organised in the same way as predictions (see 'reggetmainres()'),
+ * as matrices with a block of 'ncomp' columns for each response. So coefficients for response 'r'
+ * and model with 'a' components are located in column '(r - 1) * ncomp + a'. Matrix with intercepts
+ * has 'nresp' rows and 'ncomp' columns.
+ *
+ * @returns {JSON} object with coefficients for preprocessed values ('values'), for original values
+ * ('valuesOrig') and intercepts for original values ('intercept').
+ *
+ */
+function reggetcoeffs(R, C, mX, sX, mY, sY) {
+
+   const nvars = R.nrows;
+   const ncomp = R.ncols;
+   const nresp = C.nrows;
+
+   const values = Matrix.zeros(nvars, ncomp * nresp);
+   const valuesOrig = Matrix.zeros(nvars, ncomp * nresp);
+   const intercept = Matrix.zeros(nresp, ncomp);
+
+   for (let a = 1; a <= ncomp; a++) {
+      const cind = Index.seq(1, a);
+      const Ba = tcrossprod(R.subset([], cind), C.subset([], cind));
+
+      for (let r = 1; r <= nresp; r++) {
+         const col = (r - 1) * ncomp + a;
+         const b = Ba.getcolref(r);
+         const bo = valuesOrig.getcolref(col);
+
+         let b0 = mY.v[r - 1];
+         for (let j = 0; j < nvars; j++) {
+            bo[j] = b[j] * sY.v[r - 1] / sX.v[j];
+            b0 -= bo[j] * mX.v[j];
+         }
+
+         values.v.set(b, (col - 1) * nvars);
+         intercept.v[(a - 1) * nresp + r - 1] = b0;
+      }
+   }
+
+   return {
+      values: values,
+      valuesOrig: valuesOrig,
+      intercept: intercept
+   };
+}
+
+
+/**
+ * Compute VIP (Variable Importance in Projection) scores for PLS model.
+ *
+ * @param {Matrix} R - matrix with PLS weights.
+ * @param {Matrix} C - matrix with y-loadings (one row for each response).
+ * @param {Vector} xeigenvals - vector with variance of X-scores.
+ * @param {number} nobj - number of objects in calibration set.
+ *
+ * @returns {Matrix} matrix with VIP scores (columns are organised as for regression coefficients).
+ *
+ */
+function plsgetvipscores(R, C, xeigenvals, nobj) {
+
+   const nvars = R.nrows;
+   const ncomp = R.ncols;
+   const nresp = C.nrows;
+   const vipscores = Matrix.zeros(nvars, ncomp * nresp);
+
+   // squared normalized weights
+   const W2 = R.divide(R.apply(norm2, 2)).apply(v => v * v, 0);
+
+   for (let r = 1; r <= nresp; r++) {
+
+      // explained sum of squares of y for each component
+      const ssy = Vector.zeros(ncomp);
+      for (let a = 1; a <= ncomp; a++) {
+         const c = C.v[(a - 1) * nresp + r - 1];
+         ssy.v[a - 1] = c * c * xeigenvals.v[a - 1] * (nobj - 1);
+      }
+
+      const s = Vector.zeros(nvars);
+      let ssyt = 0;
+      for (let a = 1; a <= ncomp; a++) {
+         const w2 = W2.getcolref(a);
+         const vip = vipscores.getcolref((r - 1) * ncomp + a);
+         ssyt += ssy.v[a - 1];
+         for (let j = 0; j < nvars; j++) {
+            s.v[j] += w2[j] * ssy.v[a - 1];
+            vip[j] = Math.sqrt(nvars * s.v[j] / ssyt);
+         }
+      }
+   }
+
+   return vipscores;
+}
+
+
+/**
+ * Compute selectivity ratio for every variable using target projection.
+ *
+ * @param {Matrix} Xp - matrix with preprocessed predictors.
+ * @param {Matrix} B - matrix with regression coefficients for preprocessed values.
+ *
+ * @returns {Matrix} matrix with selectivity ratio values (columns are organised as in 'B').
+ *
+ */
+function plsgetselratio(Xp, B) {
+
+   const nvars = Xp.ncols;
+   const selratio = Matrix.zeros(nvars, B.ncols);
+   const xssq = Xp.apply(ssq, 2);
+
+   for (let c = 1; c <= B.ncols; c++) {
+
+      // target projection scores and loadings
+      const b = B.getcolumn(c);
+      const t = Xp.dot(b.divide(norm2(b)));
+      const tt = ssq(t.v);
+      const p = crossprod(Xp, t).divide(tt);
+
+      const sr = selratio.getcolref(c);
+      for (let j = 0; j < nvars; j++) {
+         const expl = p.v[j] * p.v[j] * tt;
+         sr[j] = expl / (xssq.v[j] - expl);
+      }
+   }
+
+   return selratio;
+}
+
+
 /**
  * Implementation of SIMPLS algorithm.
  *
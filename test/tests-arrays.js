@@ -1235,6 +1235,24 @@ describe('Tests of methods for generating vectors and matrices and static method
       testMatrixStructure(d3c.values.t(), 3, 4, [
          10.1, 20.2, 30.3, 5.5, 6.61, -7.22, 3.8, 2.99, 1.11, 1.9, -1.991, 1.9994
       ]);
+
+      // values with missing cells and header
+      const csvStr4a = "A,B,C\n10.1,,30.3\n5.5,6.61,NA\n ,2.99,1.11\n1.9,NaN,1.9994\n";
+      const d4a = Matrix.parseCSV(csvStr4a);
+      expect(d4a.header).to.be.deep.equal(["A", "B", "C"]);
+      expect(d4a.values.nrows).to.be.equal(4);
+      expect(d4a.values.ncols).to.be.equal(3);
+      expect(Array.from(d4a.values.v)).to.be.deep.equal([10.1, 5.5, NaN, 1.9, NaN, 6.61, 2.99, NaN, 30.3, NaN, 1.11, 1.9994]);
+
+      // values with missing cells in the first row, no header (sep = ";", dec = ",")
+      const csvStr4b = ";20,2;30,3\n5,5;;-7,22\n";
+      const d4b = Matrix.parseCSV(csvStr4b, ";");
+      expect(d4b.header.length).to.be.equal(0);
+      expect(Array.from(d4b.values.v)).to.be.deep.equal([NaN, 5.5, 20.2, NaN, 30.3, -7.22]);
+
+      // values which can not be converted to numbers
+      expect(() => Matrix.parseCSV("1,2,3\n4,a,6\n")).to.throw(Error,
+         "Some of the values can not be converted to numbers, check your CSV file and try again.");
    });
 
    it('tests for method "seq"', function() {
@@ -20,9 +20,10 @@ import {default as chai} from 'chai';
 import {default as chaiAlmost} from 'chai-almost';
 import { crossprod, tcrossprod, reshape, isvector, vector, Vector,
    ismatrix, matrix, Matrix, Index } from '../src/arrays/index.js';
+import { sd, ssq } from '../src/stat/index.js';
 
 // import methods to test
-import { rsvd, qr, lu, svd, rot, bidiag, householder } from '../src/decomp/index.js';
+import { rsvd, qr, lu, svd, rot, bidiag, householder, nipals, eigsym } from '../src/decomp/index.js';
 
 // set up test settings
 const expect = chai.expect;
@@ -86,7 +87,8 @@ function svdtests(X, r, ncomp) {
 }
 
 // create simulated dataset as a linear combination of 6 sinus curves
-function simdata(m, n) {
+// (matrix with concentrations, C, is generated randomly if not provided)
+function simdata(m, n, C) {
    let x = new Float64Array(n);
    x = x.map((v, i) => i + 1.);
    const s1 = x.map(v => 9. * Math.sin(v));
@@ -97,7 +99,10 @@ function simdata(m, n) {
    const s6 = x.map(v => 4. * Math.sin(v / 6.));
    const S = new Matrix(new Float64Array([...s1, ...s2, ...s3, ...s4, ...s5, ...s6]), n, 6);
 
-   const C = Matrix.rand(m, 6);
+   if (C === undefined) {
+      C = Matrix.rand(m, 6);
+   }
+
    return tcrossprod(C, S);
 }
 
@@ -171,6 +176,81 @@ describe('Tests for matrix decompositions.', function () {
 
    }).timeout(200000);
 
+   it('tests for method "nipals".', function() {
+
+      // simple example to compare with SVD results
+      const A0a = matrix([1, 3, 17, 19, 10, 14, 7, 13, 9, 11, 2, 15, 8, 6, 4, 12, 22, 18], 6, 3);
+      const r0a = nipals(A0a, 3);
+      const s0a = svd(A0a);
+      expect(r0a.T.nrows).to.be.equal(6);
+      expect(r0a.T.ncols).to.be.equal(3);
+      expect(r0a.P.nrows).to.be.equal(3);
+      expect(r0a.P.ncols).to.be.equal(3);
+      expect(r0a.P.apply(Math.abs, 0)).to.be.deep.almost(s0a.V.apply(Math.abs, 0), 1e-6);
+      expect(r0a.T.apply(Math.abs, 0)).to.be.deep.almost(s0a.U.dot(Matrix.diagm(s0a.s)).apply(Math.abs, 0), 1e-6);
+      expect(tcrossprod(r0a.T, r0a.P)).to.be.deep.almost(A0a, 1e-6);
+
+      // simulated data with missing values (deterministic, so the results do not vary between runs)
+      let seed = 1;
+      const rand = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+      const A1 = simdata(30, 20, new Matrix(Float64Array.from({length: 30 * 6}, rand), 30, 6));
+      const A1m = A1.copy();
+      const ind = Array.from({length: 30}, (v, i) => i * 20 + (i * 7) % 20 + 1);
+      ind.forEach(i => A1m.v[i - 1] = NaN);
+
+      const r1 = nipals(A1m, 6);
+      expect(r1.T.v.every(v => !isNaN(v))).to.be.true;
+      expect(r1.P.v.every(v => !isNaN(v))).to.be.true;
+      expect(crossprod(r1.P).diag()).to.be.deep.almost(Vector.ones(6), 1e-8);
+
+      // reconstructed missing values must be close to the original ones
+      const A1r = tcrossprod(r1.T, r1.P);
+      const rmse = Math.sqrt(ind.reduce((s, i) => s + (A1r.v[i - 1] - A1.v[i - 1]) ** 2, 0) / 30);
+      expect(rmse < 0.3 * sd(A1.v)).to.be.true;
+
+      // for data with one component the missing values are reconstructed exactly
+      const A2 = tcrossprod(new Matrix(Float64Array.from({length: 30}, () => 1 + rand()), 30, 1),
+         new Matrix(Float64Array.from({length: 20}, () => 1 + rand()), 20, 1));
+      const A2m = A2.copy();
+      ind.forEach(i => A2m.v[i - 1] = NaN);
+      const r2 = nipals(A2m, 1);
+      expect(tcrossprod(r2.T, r2.P)).to.be.deep.almost(A2, 1e-8);
+   });
+
+   it('tests for method "eigsym".', function() {
+
+      // errors
+      expect(() => eigsym(matrix([1, 2, 3, 4, 5, 6], 3, 2))).to.throw(Error, 'eigsym: parameter "S" must be a square matrix.');
+      expect(() => eigsym(vector([1, 2, 3]))).to.throw(Error, 'eigsym: parameter "S" must be a square matrix.');
+
+      // tridiagonal matrix with known eigenvalues and eigenvectors
+      const S1 = matrix([2, 1, 0, 1, 2, 1, 0, 1, 2], 3, 3);
+      const r1 = eigsym(S1);
+      expect(r1.values).to.be.deep.almost.equal(vector([2 + Math.SQRT2, 2, 2 - Math.SQRT2]));
+      expect(r1.vectors.apply(Math.abs, 0)).to.be.deep.almost.equal(matrix([
+         0.5, Math.SQRT1_2, 0.5,
+         Math.SQRT1_2, 0, Math.SQRT1_2,
+         0.5, Math.SQRT1_2, 0.5
+      ], 3, 3));
+
+      // matrix with negative and zero eigenvalues
+      const r2 = eigsym(matrix([0, 1, 1, 0], 2, 2));
+      expect(r2.values).to.be.deep.almost.equal(vector([1, -1]));
+      expect(eigsym(reshape(Vector.ones(9), 3, 3)).values).to.be.deep.almost.equal(vector([3, 0, 0]));
+
+      // eigenvalues of crossproduct are squared singular values
+      const X = simdata(50, 20);
+      const S3 = crossprod(X);
+      const r3 = eigsym(S3);
+      const s3 = svd(X);
+      expect(r3.values.v.map(v => v / r3.values.v[0])).to.be.deep.almost.equal(s3.s.v.map(v => (v / s3.s.v[0]) ** 2));
+      expect(r3.values.v.every((v, i) => i === 0 || v <= r3.values.v[i - 1])).to.be.true;
+
+      // eigenvectors are orthonormal and SV = VD
+      expect(crossprod(r3.vectors)).to.be.deep.almost.equal(Matrix.eye(20));
+      expect(ssqdiff(S3.dot(r3.vectors), r3.vectors.dot(Matrix.diagm(r3.values))) / ssq(S3.v) < ZERO).to.be.true;
+   });
+
    it('tests for method "qr.', function() {
 
       // test function, checks that:
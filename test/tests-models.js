@@ -5,14 +5,18 @@
 // import dependencies
 import {default as chai} from 'chai';
 import {default as chaiAlmost} from 'chai-almost';
-import { factor, cbind, vector, matrix, tcrossprod, Vector, Matrix } from '../src/arrays/index.js';
-import { variance, median, mean, sd, sum } from '../src/stat/index.js';
+import { factor, cbind, rbind, reshape, vector, matrix, index, tcrossprod, crossprod, Vector, Matrix, Index } from '../src/arrays/index.js';
+import { variance, median, mean, sd, sum, max, norm2, ssq, minind } from '../src/stat/index.js';
 import { svd } from '../src/decomp/index.js';
 import { scale as prep_scale } from '../src/prep/index.js';
+import { pt, qt, rnorm, pnorm, dnorm } from '../src/distributions/index.js';
 
 // import of functions to test
 import {simcapredict, getclassres, simpls, plsfit, plspredict, splitregdata, pcrfit, pcrpredict, pcafit, pcapredict, lmfit,
-   lmpredict, polyfit, polypredict, getsimcaparams} from '../src/models/index.js';
+   lmpredict, polyfit, polypredict, polymat, anova, getsimcaparams, crossval, plsdafit, plsdapredict,
+   simcamfit, simcampredict, pcacategorize, robpcafit, ipls, plsrandtest, selectcompnum, oplsfit, oplspredict,
+   serializeModel, modelmatrix, glmfit, glmpredict, enetfit, enetpredict, lmstepwise, lmbestsubset, ldafit, ldapredict,
+   qdafit, qdapredict, knnpredict, knnloo, deserializeModel} from '../src/models/index.js';
 
 // set up test settings
 const expect = chai.expect;
@@ -143,6 +147,163 @@ describe('Tests for SIMCA methods.', function () {
       const c = simcapredict(mpca, params, X2)
    });
 
+   it ('tests for method "pcacategorize".', function () {
+      const X = Matrix.rand(50, 10);
+      const m = pcafit(X, 4);
+
+      // errors
+      expect(() => pcacategorize(m.results.cal, m.results.cal)).to.throw(Error, 'pcacategorize: parameter "m" must be an object with PCA model.');
+      expect(() => pcacategorize(m, m)).to.throw(Error, 'pcacategorize: parameter "res" must be an object with PCA results.');
+      expect(() => pcacategorize(m, m.results.cal, 1.1)).to.throw(Error, 'pcacategorize: wrong value for "alpha" parameter.');
+      expect(() => pcacategorize(m, m.results.cal, 0.05, 0)).to.throw(Error, 'pcacategorize: wrong value for "gamma" parameter.');
+      expect(() => pcacategorize(m, m.results.cal, 0.05, 0.01, 'abc')).to.throw(Error, 'pcacategorize: wrong value for "limType" parameter (must be either "classic" or "robust").');
+      expect(() => pcacategorize(m, m.results.cal, 0.05, 0.01, 'classic', 5)).to.throw(Error, 'pcacategorize: wrong value for "ncomp" parameter.');
+
+      // regular objects must be the same as accepted by SIMCA classifier
+      const res = pcapredict(m, X);
+      for (let limType of ['classic', 'robust']) {
+         for (let ncomp of [2, 4]) {
+            const r = pcacategorize(m, res, 0.05, 0.01, limType, ncomp);
+            expect(r.class).to.be.deep.equal(['pcacategories']);
+            expect(r.categories.labels).to.be.deep.equal(['regular', 'extreme', 'outlier']);
+            expect(r.categories.length).to.be.equal(50);
+            expect(r.fCritOutlier > r.fCritExtreme).to.be.true;
+
+            const s = simcapredict(m, getsimcaparams('A', 0.05, limType), X).classres.cPred[ncomp - 1];
+            const regular = Array.from(r.categories.v).map(v => r.categories.labels[v] === 'regular');
+            expect(regular).to.be.deep.equal(Array.from(s.v).map(v => s.labels[v] === 'A'));
+
+            // check the categories
+            for (let i = 0; i < 50; i++) {
+               const f = r.f.v[i];
+               const c = r.categories.v[i];
+               expect(c === 0 ? f <= r.fCritExtreme : c === 1 ? f > r.fCritExtreme && f <= r.fCritOutlier : f > r.fCritOutlier).to.be.true;
+            }
+
+            // points of the boundary curves must have full distance equal to the critical limits
+            const h0 = m.hParams[limType][0].v[ncomp - 1];
+            const Nh = m.hParams[limType][1].v[ncomp - 1];
+            const q0 = m.qParams[limType][0].v[ncomp - 1];
+            const Nq = m.qParams[limType][1].v[ncomp - 1];
+            const lim = r.limits.extreme;
+            expect(lim.h.v[0]).to.be.equal(0);
+            expect(lim.q.v[99]).to.be.almost.equal(0);
+            for (let i = 0; i < 100; i++) {
+               expect(lim.h.v[i] * Nh / h0 + lim.q.v[i] * Nq / q0).to.be.almost.equal(r.fCritExtreme);
+            }
+            expect(r.limits.outlier.q.v[0] > lim.q.v[0]).to.be.true;
+         }
+      }
+
+      // objects far from the model must be outliers
+      const Xt = X.subset(Index.seq(1, 5), []).apply(v => v + 10, 0);
+      const rt = pcacategorize(m, pcapredict(m, Xt));
+      expect(rt.ncomp).to.be.equal(4);
+      expect(rt.categories.which('outlier')).to.be.deep.equal(Index.seq(1, 5));
+   });
+
+   // creates calibration set for a class with offset for given variable,
+   // main variation is located in the last two variables
+   function getclassdata(nrows, offsetVar) {
+      const X = Matrix.rand(nrows, 6, -0.1, 0.1);
+      const xc = X.getcolref(offsetVar);
+      const x5 = X.getcolref(5);
+      const x6 = X.getcolref(6);
+      for (let i = 0; i < nrows; i++) {
+         xc[i] += 10;
+         x5[i] += 2 * Math.random();
+         x6[i] += 4 * Math.random();
+      }
+      return X;
+   }
+
+   it ('tests for method "simcamfit".', function () {
+
+      const X = [getclassdata(20, 1), getclassdata(20, 2), getclassdata(20, 3)];
+      const models = X.map(x => pcafit(x, 2));
+      const params = ['A', 'B', 'C'].map(v => getsimcaparams(v, 0.05, 'classic'));
+
+      // errors
+      expect(() => simcamfit([models[0]], [params[0]], [X[0]])).to.throw(Error, 'simcamfit: parameter "models" must be an array with at least two PCA models.');
+      expect(() => simcamfit(models, params.slice(1), X)).to.throw(Error, 'simcamfit: parameter "params" must be an array with SIMCA parameters for each model.');
+      expect(() => simcamfit(models, params, X.slice(1))).to.throw(Error, 'simcamfit: parameter "X" must be an array with calibration set for each model.');
+      expect(() => simcamfit(models, params, [X[0], X[1], X[2].subset([], [1, 2, 3])])).to.throw(Error, 'simcamfit: all models and calibration sets must have the same number of variables.');
+      expect(() => simcamfit(models, [params[0], params[0], params[1]], X)).to.throw(Error, 'simcamfit: class names of the models must be unique.');
+
+      const m = simcamfit(models, params, X);
+      expect(m.class).to.be.deep.equal(['simcam']);
+      expect(m.classNames).to.be.deep.equal(['A', 'B', 'C']);
+
+      // model distance is symmetric, equal to one for the same model and large for different models
+      expect(m.modelDistance.t()).to.be.deep.almost.equal(m.modelDistance);
+      expect(m.modelDistance.diag()).to.be.deep.almost.equal(Vector.ones(3));
+      expect(m.modelDistance.v.every(v => v >= 1)).to.be.true;
+      expect(m.modelDistance.v[1] > 10).to.be.true;
+
+      // discrimination power is symmetric and is the largest for variables with offset
+      expect(m.discrPower[0][1]).to.be.deep.almost.equal(m.discrPower[1][0]);
+      expect(m.discrPower[2][2]).to.be.deep.almost.equal(Vector.ones(6));
+      expect(m.discrPower[0][1].v[0] > 10).to.be.true;
+      expect(m.discrPower[0][1].v[1] > 10).to.be.true;
+      expect(m.discrPower[0][1].v[3] < 10).to.be.true;
+      expect(m.discrPower[1][2].v[2] > m.discrPower[1][2].v[0]).to.be.true;
+
+      // statistics are computed from residuals in original units with correction for degrees of freedom
+      const sModels = X.map(x => pcafit(x, 2, true, true));
+      const sm = simcamfit(sModels, params, X);
+      const s2 = function(k, l, dof) {
+         const mk = sModels[k];
+         const Xp = prep_scale(X[l], mk.mX, mk.sX);
+         const E = Xp.subtract(tcrossprod(Xp.dot(mk.P), mk.P));
+         return E.apply(e => ssq(e) / dof, 2).mult(mk.sX.apply(v => v * v));
+      }
+      const sb = s2(0, 1, 20).add(s2(1, 0, 20));
+      const sw = s2(0, 0, 17).add(s2(1, 1, 17));
+      expect(sm.discrPower[0][1]).to.be.deep.almost.equal(sb.divide(sw).apply(Math.sqrt));
+      expect(sm.modelDistance.v[1]).to.be.closeTo(Math.sqrt(sum(sb.v) / sum(sw.v)), 1e-8);
+   });
+
+   it ('tests for method "simcampredict".', function () {
+
+      const X = [getclassdata(20, 1), getclassdata(20, 2), getclassdata(20, 3)];
+      const models = X.map(x => pcafit(x, 2));
+      const params = ['A', 'B', 'C'].map(v => getsimcaparams(v, 0.05, 'classic'));
+      const m = simcamfit(models, params, X);
+
+      // errors
+      expect(() => simcampredict(models[0], X[0])).to.throw(Error, 'simcampredict: parameter "m" must be an object with SIMCAM model.');
+      expect(() => simcampredict(m, X[0], factor(['A', 'B']))).to.throw(Error, 'simcampredict: parameter "cRef" must be a factor with the same number of values as rows in "X".');
+
+      // test set with objects from the three classes and from unknown class
+      const Xt = rbind(getclassdata(5, 1), getclassdata(5, 2), getclassdata(5, 3), getclassdata(5, 4));
+      const ct = factor([...Array(5).fill('A'), ...Array(5).fill('B'), ...Array(5).fill('C'), ...Array(5).fill('D')]);
+
+      const r1 = simcampredict(m, Xt);
+      expect(r1.class).to.be.deep.equal(['simcamres']);
+      expect(r1.membership.nrows).to.be.equal(20);
+      expect(r1.membership.ncols).to.be.equal(3);
+      expect(r1.confusion === undefined).to.be.true;
+
+      // membership must be the same as for individual SIMCA models
+      for (let k = 0; k < 3; k++) {
+         const cp = simcapredict(models[k], params[k], Xt).classres.cPred[1];
+         expect(r1.classres[params[k].className].cPred).to.be.deep.equal([cp]);
+         expect(r1.membership.getcolumn(k + 1)).to.be.deep.equal(vector(Array.from(cp.v).map(v => cp.labels[v] === 'none' ? 0 : 1)));
+      }
+
+      // objects from other classes are never accepted
+      expect(r1.membership.subset(Index.seq(16, 20), []).v.every(v => v === 0)).to.be.true;
+
+      const r2 = simcampredict(m, Xt, ct);
+      expect(r2.confusion.rowNames).to.be.deep.equal(['A', 'B', 'C', 'D']);
+      expect(r2.confusion.colNames).to.be.deep.equal(['A', 'B', 'C', 'none']);
+      expect(r2.confusion.values.apply(sum, 1)).to.be.deep.equal(vector([5, 5, 5, 5]));
+      expect(r2.confusion.values.getrow(4)).to.be.deep.equal(vector([0, 0, 0, 5]));
+      expect(r2.confusion.values.v[1] + r2.confusion.values.v[2] + r2.confusion.values.v[4]).to.be.equal(0);
+      expect(r2.classres['A'].TP.v[0]).to.be.equal(r2.confusion.values.v[0]);
+      expect(r2.classres['A'].FP.v[0]).to.be.equal(0);
+   });
+
 });
 
 describe('Tests for PLS methods.', function () {
@@ -310,6 +471,141 @@ describe('Tests for PLS methods.', function () {
       expect(m1.hParams['classic'][0]).to.be.deep.almost.equal(h01);
    });
 
+   it ('tests for regression coefficients, VIP scores and selectivity ratio of PLS model', function () {
+
+      // common dataset for all tests
+      const data = matrix([
+         32, 150, 41, 28000, 119,
+         35, 160, 48, 31000, 129,
+         36, 166, 47, 28000, 112,
+         37, 166, 49, 14000, 123,
+         42, 175, 67, 38000, 105,
+         43, 180, 80, 30000, 129,
+         43, 181, 75, 31000, 105,
+         44, 180, 81, 42000, 113
+      ], 5, 8).t();
+
+      const [Xc, Yc] = splitregdata(data);
+      const Y2 = cbind(Yc, Xc.subset([], 1));
+      const X2 = Xc.subset([], [2, 3, 4]);
+
+      for (let [X, Y, scale] of [[Xc, Yc, true], [Xc, Yc, false], [X2, Y2, true]]) {
+
+         const ncomp = 3;
+         const nresp = Y.ncols;
+         const m = plsfit(X, Y, ncomp, true, scale);
+         const r = plspredict(m, X);
+
+         expect(m.coeffs.values.nrows).to.be.equal(X.ncols);
+         expect(m.coeffs.values.ncols).to.be.equal(ncomp * nresp);
+         expect(m.coeffs.intercept.nrows).to.be.equal(nresp);
+         expect(m.vipscores.ncols).to.be.equal(ncomp * nresp);
+         expect(m.selratio.ncols).to.be.equal(ncomp * nresp);
+
+         // coefficients for preprocessed values must give same predictions as scores and loadings
+         const Xp = prep_scale(X, m.mX, m.sX);
+         expect(tcrossprod(Xp.dot(m.R), m.C)).to.be.deep.almost.equal(Xp.dot(m.coeffs.values.subset([], Index.seq(ncomp, ncomp * nresp, ncomp))));
+
+         // coefficients for original values must give same predictions as the model
+         for (let col = 1; col <= ncomp * nresp; col++) {
+            const b0 = m.coeffs.intercept.getrow(Math.floor((col - 1) / ncomp) + 1).v[(col - 1) % ncomp];
+            const yp = X.dot(m.coeffs.valuesOrig.getcolumn(col)).add(b0);
+            expect(yp.getcolumn(1)).to.be.deep.almost.equal(r.Ypred.getcolumn(col));
+         }
+
+         // sum of squared VIP scores is equal to number of variables
+         expect(m.vipscores.apply(v => v * v, 0).apply(sum, 2)).to.be.deep.almost.equal(Vector.fill(X.ncols, ncomp * nresp));
+
+         // for first component VIP scores are proportional to the weights
+         expect(m.vipscores.getcolumn(1)).to.be.deep.almost.equal(m.R.getcolumn(1).apply(Math.abs).divide(norm2(m.R.getcolumn(1))).mult(Math.sqrt(X.ncols)));
+
+         // selectivity ratio computed manually for the last column
+         const b = m.coeffs.values.getcolumn(ncomp * nresp);
+         const t = Xp.dot(b);
+         const Xtp = tcrossprod(t, crossprod(Xp, t).divide(sum(t.v.map(v => v * v))));
+         const sr = Xtp.apply(v => v * v, 0).apply(sum, 2).divide(Xp.subtract(Xtp).apply(v => v * v, 0).apply(sum, 2));
+         expect(m.selratio.getcolumn(ncomp * nresp)).to.be.deep.almost.equal(sr);
+      }
+   });
+
+   it ('tests for methods "plsfit" and "plspredict" with several responses (PLS2)', function () {
+
+      // common dataset for all tests
+      const data = matrix([
+         32, 150, 41, 28000, 119,
+         35, 160, 48, 31000, 129,
+         36, 166, 47, 28000, 112,
+         37, 166, 49, 14000, 123,
+         42, 175, 67, 38000, 105,
+         43, 180, 80, 30000, 129,
+         43, 181, 75, 31000, 105,
+         44, 180, 81, 42000, 113
+      ], 5, 8).t();
+
+      const [Xc, Yc] = splitregdata(data);
+
+      // wrong number of response columns in predictions
+      const m0 = plsfit(Xc, cbind(Yc, Yc), 2);
+      expect(() => plspredict(m0, Xc, Yc)).to.throw(Error, 'plspredict: parameter "Y" must be a matrix with the same number of columns as responses in the model or null/undefined.');
+
+      // two linearly dependent responses must give the same results as PLS1
+      const Y1 = cbind(Yc, Yc.apply(v => 2 * v + 3, 0));
+      const m1 = plsfit(Xc, Y1, 3, true, true);
+      const m2 = plsfit(Xc, Yc, 3, true, true);
+
+      // number of components is limited by rank of the data
+      expect(plsfit(Xc, Yc, 40).ncomp).to.be.equal(4);
+      expect(plsfit(Xc.subset([1, 2, 3], []), Yc.subset([1, 2, 3], []), 40).ncomp).to.be.equal(2);
+
+      m1.nresp.should.be.equal(2);
+      m2.nresp.should.be.equal(1);
+      expect(m1.C.nrows).to.be.equal(2);
+      expect(m1.mY).to.be.deep.almost.equal(Y1.apply(mean, 2));
+      expect(m1.sY).to.be.deep.almost.equal(Y1.apply(sd, 2));
+      expect(m1.R.apply(Math.abs, 0)).to.be.deep.almost.equal(m2.R.apply(Math.abs, 0));
+
+      const r1 = plspredict(m1, Xc, Y1);
+      const r2 = plspredict(m2, Xc, Yc);
+
+      expect(r1.Ypred.nrows).to.be.equal(8);
+      expect(r1.Ypred.ncols).to.be.equal(6);
+      expect(r1.Ypred.subset([], [1, 2, 3])).to.be.deep.almost.equal(r2.Ypred);
+      expect(r1.Ypred.subset([], [4, 5, 6])).to.be.deep.almost.equal(r2.Ypred.apply(v => 2 * v + 3, 0));
+
+      // statistics for one response are vectors, for several responses — matrices
+      expect(r2.rmse.constructor).to.be.equal(Vector);
+      expect(r2.r2.constructor).to.be.equal(Vector);
+      expect(r2.bias.constructor).to.be.equal(Vector);
+      expect(r2.rmse.length).to.be.equal(3);
+      expect(pcrpredict(pcrfit(Xc, Yc, 3), Xc, Yc).rmse.constructor).to.be.equal(Vector);
+
+      expect(r1.rmse.nrows).to.be.equal(2);
+      expect(r1.rmse.ncols).to.be.equal(3);
+      expect(r1.rmse.getrow(1)).to.be.deep.almost.equal(r2.rmse);
+      expect(r1.rmse.getrow(2)).to.be.deep.almost.equal(r2.rmse.mult(2));
+      expect(r1.bias.getrow(2)).to.be.deep.almost.equal(r2.bias.mult(2));
+      expect(r1.r2.getrow(1)).to.be.deep.almost.equal(r2.r2);
+      expect(r1.r2.getrow(2)).to.be.deep.almost.equal(r2.r2);
+
+      // predictions without reference values
+      const r3 = plspredict(m1, Xc);
+      expect(r3.Ypred).to.be.deep.almost.equal(r1.Ypred);
+      expect(r3.rmse === undefined).to.be.true;
+
+      // two independent responses with maximum number of components must give MLR predictions
+      const X4 = Xc.subset([], [2, 3, 4]);
+      const Y4 = cbind(Yc, Xc.subset([], 1));
+      const m4 = plsfit(X4, Y4, 3, true, false);
+      const r4 = plspredict(m4, X4, Y4);
+
+      expect(m4.sY).to.be.deep.equal(vector([1, 1]));
+      expect(r4.Ypred.getcolumn(3)).to.be.deep.almost.equal(lmfit(X4, Yc.getcolumn(1)).fitted);
+      expect(r4.Ypred.getcolumn(6)).to.be.deep.almost.equal(lmfit(X4, Xc.getcolumn(1)).fitted);
+      expect(r4.r2.getcolumn(3)).to.be.deep.almost.equal(vector([
+         lmfit(X4, Yc.getcolumn(1)).stat.R2, lmfit(X4, Xc.getcolumn(1)).stat.R2
+      ]));
+   });
+
    it ('tests for method "simpls"', function () {
 
       // common dataset for all tests
@@ -389,6 +685,613 @@ describe('Tests for PLS methods.', function () {
       expect(sum(Yp.subtract(tcrossprod(m2.T, m2.C)).apply(v => v * v, 0).v) / sum(Yp.apply(v => v * v, 0).v) < 0.05).to.been.true;
 
    });
+   it ('tests for method "plsrandtest".', function () {
+
+      const n = 40;
+      const T = Matrix.rand(n, 2, -1, 1);
+      const X = T.dot(Matrix.rand(2, 15, -1, 1)).add(Matrix.rand(n, 15, -0.05, 0.05));
+      const Y = T.dot(matrix([1, 1], 2, 1)).add(Matrix.rand(n, 1, -0.05, 0.05));
+
+      // errors
+      expect(() => plsrandtest(Y, Y, 2)).to.throw(Error, 'plsrandtest: parameter "X" must be a matrix with at least three rows and two columns.');
+      expect(() => plsrandtest(X, cbind(Y, Y), 2)).to.throw(Error, 'plsrandtest: parameter "Y" must be a matrix with one column and the same number of rows as "X".');
+      expect(() => plsrandtest(X, Y, 16)).to.throw(Error, 'plsrandtest: wrong value for "ncomp" parameter.');
+      expect(() => plsrandtest(X, Y, 4, true, false, 0)).to.throw(Error, 'plsrandtest: parameter "nperm" must be a positive number.');
+      expect(() => plsrandtest(X, Y, 4, true, false, 100, 1)).to.throw(Error, 'plsrandtest: wrong value for "alpha" parameter.');
+
+      const r = plsrandtest(X, Y, 4, true, false, 500);
+      expect(r.class).to.be.deep.equal(['randtest']);
+      expect(r.ncomp).to.be.equal(4);
+      expect(r.nperm).to.be.equal(500);
+      expect(r.alpha).to.be.equal(0.01);
+      expect(r.statPerm.nrows).to.be.equal(500);
+      expect(r.statPerm.ncols).to.be.equal(4);
+
+      // statistic for the first component is covariance between PLS scores and y
+      const m = plsfit(X, Y, 1);
+      const Yc = prep_scale(Y, true, false);
+      expect(r.statistic.v[0]).to.be.almost.equal(Math.abs(crossprod(m.results.cal.T, Yc).v[0]) / (n - 1));
+
+      // statistic for every component is computed from y-loadings of SIMPLS model with normalized scores
+      const c = simpls(prep_scale(X, true, false), Yc, 4).C;
+      expect(r.statistic.v).to.be.deep.almost(c.v.map(v => Math.abs(v) / (n - 1)), 1e-8);
+
+      // p-values are proportions of permutations with the same or larger statistic
+      for (let a = 1; a <= 4; a++) {
+         const p = r.statPerm.getcolumn(a).v.filter(v => v >= r.statistic.v[a - 1]).length / 500;
+         expect(r.pvalues.v[a - 1]).to.be.equal(p);
+      }
+
+      // the first component is always significant
+      expect(r.pvalues.v[0]).to.be.equal(0);
+      expect(r.ncompSelected >= 1).to.be.true;
+      expect(r.pvalues.v.slice(0, r.ncompSelected).every(v => v <= 0.01)).to.be.true;
+      expect(r.ncompSelected === 4 || r.pvalues.v[r.ncompSelected] > 0.01).to.be.true;
+
+      // for noise data p-values of the later components are not close to one
+      let seed = 11;
+      const rand = () => (seed = seed * 16807 % 2147483647, seed / 2147483647 - 0.5);
+      const Xn = new Matrix(Float64Array.from({length: n * 15}, rand), n, 15);
+      const Yn = new Matrix(Float64Array.from({length: n}, rand), n, 1);
+      const rn = plsrandtest(Xn, Yn, 5, true, false, 200);
+      expect(rn.pvalues.v.slice(1).some(v => v < 0.9)).to.be.true;
+      expect(mean(rn.pvalues.subset(index([2, 3, 4, 5]))) < 0.9).to.be.true;
+   });
+
+});
+
+describe('Tests for iPLS methods.', function () {
+
+   // data where response depends only on variables from 11 to 20
+   function getdata() {
+      const X = Matrix.rand(60, 40);
+      const b = Vector.seq(1, 10).apply(v => 1 + v / 10);
+      const y = X.subset([], Index.seq(11, 20)).dot(b).add(Matrix.rand(60, 1, -0.01, 0.01));
+      return [X, y];
+   }
+
+   it ('tests for method "ipls".', function () {
+
+      const [X, y] = getdata();
+
+      // errors
+      expect(() => ipls(X.subset([], [1, 2, 3]), y, 5)).to.throw(Error, 'ipls: parameter "X" must be a matrix with at least three rows and four columns.');
+      expect(() => ipls(X, cbind(y, y), 5)).to.throw(Error, 'ipls: parameter "Y" must be a matrix with one column and the same number of rows as "X".');
+      expect(() => ipls(X, y, 5, true, false, 5, 10, 'abc')).to.throw(Error, 'ipls: parameter "method" must be either "forward" or "backward".');
+      expect(() => ipls(X, y, 5, true, false, 5, 1)).to.throw(Error, 'ipls: width of intervals must be between 2 and half of number of variables (20 for this dataset).');
+      expect(() => ipls(X, y, 0)).to.throw(Error, 'ipls: parameter "ncomp" must be a positive integer.');
+      expect(() => ipls(X, y, 2.5)).to.throw(Error, 'ipls: parameter "ncomp" must be a positive integer.');
+      expect(() => ipls(X, y, 5, true, false, 5, [[1, 20], [20, 50]])).to.throw(Error, 'ipls: parameter "int" must be a number or an array with first and last variable of every interval.');
+
+      // forward selection
+      const r1 = ipls(X, y, 5, true, false, ['ven', 5], 10, 'forward');
+      expect(r1.class).to.be.deep.equal(['ipls']);
+      expect(r1.method).to.be.equal('forward');
+      expect(r1.intLimits).to.be.deep.equal(matrix([1, 11, 21, 31, 10, 20, 30, 40], 4, 2));
+      expect(r1.intStat.rmse.length).to.be.equal(4);
+      expect(r1.intStat.ncomp.length).to.be.equal(4);
+      expect(r1.intStat.r2.length).to.be.equal(4);
+
+      // interval with relevant variables must be the best and selected first
+      expect(r1.intStat.rmse.v.indexOf(Math.min(...r1.intStat.rmse.v))).to.be.equal(1);
+      expect(r1.intStat.r2.v[1] > 0.99).to.be.true;
+      expect(r1.trace.intervals.v[0]).to.be.equal(2);
+      expect(r1.selectedIntervals.v.includes(2)).to.be.true;
+      expect(r1.trace.rmse.v[0]).to.be.almost.equal(r1.intStat.rmse.v[1]);
+
+      // RMSECV decreases during the selection and final model uses selected variables
+      for (let i = 1; i < r1.trace.rmse.length; i++) {
+         expect(r1.trace.rmse.v[i] < r1.trace.rmse.v[i - 1]).to.be.true;
+      }
+      expect(r1.model.class).to.be.deep.equal(['plsmodel', 'regmodel', 'pcamodel']);
+      expect(r1.model.mX.length).to.be.equal(r1.selectedVars.length);
+      expect(r1.model.ncomp).to.be.equal(r1.trace.ncomp.v[r1.trace.ncomp.length - 1]);
+      expect(r1.model.results.cv.rmse.v[r1.model.ncomp - 1]).to.be.almost.equal(r1.trace.rmse.v[r1.trace.rmse.length - 1]);
+      expect(r1.selectedVars).to.be.deep.equal(index(Array.from(r1.selectedIntervals.v).flatMap(i => Array.from(Index.seq(i * 10 - 9, i * 10).v))));
+
+      // backward selection with user defined intervals
+      const r2 = ipls(X, y, 5, true, false, ['ven', 5], [[1, 10], [11, 20], [21, 25], [26, 40]], 'backward');
+      expect(r2.method).to.be.equal('backward');
+      expect(r2.intLimits).to.be.deep.equal(matrix([1, 11, 21, 26, 10, 20, 25, 40], 4, 2));
+      expect(r2.selectedIntervals.v.includes(2)).to.be.true;
+      expect(r2.selectedIntervals.length < 4).to.be.true;
+      expect(r2.glob.rmse > r2.trace.rmse.v[0]).to.be.true;
+      expect(r2.selectedIntervals.length).to.be.equal(4 - r2.trace.intervals.length);
+
+      // default number of components and width of intervals for data with few variables
+      const r3 = ipls(X.subset([], Index.seq(5, 20)), y, undefined, true, false, ['ven', 5]);
+      expect(r3.intLimits.nrows).to.be.equal(8);
+      expect(r3.intStat.ncomp.v.every(v => v >= 1 && v <= 2)).to.be.true;
+      expect(r3.glob.ncomp <= 10).to.be.true;
+
+      // number of components is limited by size of cross-validation calibration sets
+      const r4 = ipls(X.subset(Index.seq(1, 12), []), y.subset(Index.seq(1, 12), []), 20, true, false, 2, 10);
+      expect(r4.glob.ncomp <= 5).to.be.true;
+   }).timeout(20000);
+});
+
+describe('Tests for PLS-DA methods.', function () {
+
+   // three well separated classes with four objects in each
+   const X = matrix([
+      1.0, 1.1, 0.9, 1.0,   5.0, 5.2, 4.9, 5.1,   1.0, 0.8, 1.2, 1.1,
+      0.1, 0.0, 0.2, 0.1,   0.2, 0.1, 0.0, 0.3,   4.0, 4.2, 3.9, 4.1,
+      2.0, 2.2, 1.8, 2.1,   2.1, 1.9, 2.0, 2.2,   2.0, 1.9, 2.1, 2.2
+   ], 12, 3);
+   const c = factor(['A', 'A', 'A', 'A', 'B', 'B', 'B', 'B', 'C', 'C', 'C', 'C']);
+
+   it ('tests for method "plsdafit"', function () {
+
+      // errors
+      expect(() => plsdafit(X, vector([1, 2]), 2)).to.throw(Error, 'plsdafit: parameter "c" must be a factor with at least two classes.');
+      expect(() => plsdafit(X, factor(['A', 'A', 'A']), 2)).to.throw(Error, 'plsdafit: parameter "c" must be a factor with at least two classes.');
+      expect(() => plsdafit(X, factor(['A', 'B', 'A']), 2)).to.throw(Error, 'plsdafit: number of values in "c" must be the same as number of rows in "X".');
+
+      const m = plsdafit(X, c, 2, true, false, ['ven', 4]);
+
+      expect(m.class).to.be.deep.equal(['plsdamodel', 'plsmodel', 'regmodel', 'pcamodel']);
+      expect(m.classNames).to.be.deep.equal(['A', 'B', 'C']);
+      expect(m.nresp).to.be.equal(3);
+      expect(m.mY).to.be.deep.almost.equal(vector([-1/3, -1/3, -1/3]));
+
+      // calibration results must be perfect with two components
+      for (let name of ['cal', 'cv']) {
+         const r = m.results[name];
+         expect(r.class[0]).to.be.equal('plsdares');
+         expect(Object.keys(r.classres)).to.be.deep.equal(['A', 'B', 'C']);
+         for (let className of m.classNames) {
+            expect(r.classres[className].className).to.be.equal(className);
+            expect(r.classres[className].cRef).to.be.deep.equal(c);
+            expect(r.classres[className].sensitivity.v[1]).to.be.equal(1);
+            expect(r.classres[className].specificity.v[1]).to.be.equal(1);
+         }
+      }
+   });
+
+   it ('tests for method "plsdapredict"', function () {
+
+      const m = plsdafit(X, c, 2);
+
+      // errors
+      expect(() => plsdapredict(plsfit(X, X.subset([], 1), 2), X)).to.throw(Error, 'plsdapredict: parameter "m" must be an object with PLS-DA model.');
+      expect(() => plsdapredict(m, X.subset([], [1, 2]))).to.throw(Error, 'plsdapredict: parameter "X" has wrong number of columns.');
+      expect(() => plsdapredict(m, vector([1, 2, 3]))).to.throw(Error, 'plsdapredict: parameter "X" must be a matrix.');
+      expect(() => plsdapredict(m, X, c, 'abc')).to.throw(Error, 'plsdapredict: parameter "rule" must be either "threshold" or "max".');
+      expect(() => plsdapredict(m, X, factor(['A', 'B']))).to.throw(Error, 'plsdapredict: parameter "cRef" must be a factor with the same number of values as rows in "X".');
+
+      // new objects, the last one is between classes A and B
+      const Xt = matrix([1.05, 5.05, 1.0, 3.0,  0.1, 0.1, 4.1, 0.1,  2.0, 2.1, 2.0, 2.0], 4, 3);
+      const ct = factor(['A', 'B', 'C', 'D']);
+
+      // threshold rule
+      const r1 = plsdapredict(m, Xt, ct, 'threshold', 'test');
+      expect(r1.name).to.be.equal('test');
+      expect(r1.Ypred.ncols).to.be.equal(6);
+      expect(r1.Yref).to.be.deep.equal(matrix([1, -1, -1, -1,  -1, 1, -1, -1,  -1, -1, 1, -1], 4, 3));
+      expect(r1.classres['A'].TP.v[1]).to.be.equal(1);
+      expect(r1.classres['B'].TP.v[1]).to.be.equal(1);
+      expect(r1.classres['C'].TP.v[1]).to.be.equal(1);
+      expect(r1.classres['C'].FP.v[1]).to.be.equal(0);
+
+      // max rule — every object belongs to one class only
+      const r2 = plsdapredict(m, Xt, ct, 'max');
+      for (let a = 0; a < 2; a++) {
+         const n = ['A', 'B', 'C'].reduce((acc, k) => acc + r2.classres[k].TP.v[a] + r2.classres[k].FP.v[a], 0);
+         expect(n).to.be.equal(4);
+      }
+      expect(r2.classres['A'].cPred[1].labels).to.include('A');
+
+      // no reference values
+      const r3 = plsdapredict(m, Xt);
+      expect(r3.classres['A'].cRef === undefined).to.be.true;
+      expect(r3.classres['A'].cPred).to.be.deep.equal(r1.classres['A'].cPred);
+   });
+
+});
+
+describe('Tests for discriminant analysis methods.', function () {
+
+   // three classes with two variables, the third class has larger spread
+   const n = 20;
+   let seed = 7;
+   const rand = () => (seed = seed * 16807 % 2147483647, seed / 2147483647 - 0.5);
+   const centers = [[0, 0], [3, 0], [0, 3]];
+   const spread = [1, 1, 3];
+   const X = new Matrix(Float64Array.from({length: 3 * n * 2}, (v, i) => {
+      const k = Math.floor((i % (3 * n)) / n);
+      return centers[k][Math.floor(i / (3 * n))] + spread[k] * 2 * rand();
+   }), 3 * n, 2);
+   const c = factor(Array.from({length: 3 * n}, (v, i) => ['A', 'B', 'C'][Math.floor(i / n)]));
+
+   // density of bivariate normal distribution
+   const dnorm2 = (x, m, S) => {
+      const d = [x[0] - m[0], x[1] - m[1]];
+      const det = S.v[0] * S.v[3] - S.v[1] * S.v[2];
+      const q = (d[0] * d[0] * S.v[3] - 2 * d[0] * d[1] * S.v[1] + d[1] * d[1] * S.v[0]) / det;
+      return Math.exp(-0.5 * q) / (2 * Math.PI * Math.sqrt(det));
+   };
+
+   // posterior probabilities computed directly
+   const posterior = (m, x, cov) => {
+      const p = [0, 1, 2].map(k => m.prior.v[k] * dnorm2(x, Array.from(m.means.getrow(k + 1).v), cov(k)));
+      return p.map(v => v / p.reduce((a, b) => a + b));
+   };
+
+   it('tests for method "ldafit".', function () {
+
+      // errors
+      expect(() => ldafit(c, c)).to.throw(Error, 'ldafit: parameter "X" must be a matrix.');
+      expect(() => ldafit(X, factor(Array(60).fill('A')))).to.throw(Error, 'ldafit: parameter "c" must be a factor with at least two classes.');
+      expect(() => ldafit(X, factor(['A', 'B', 'A', 'B']))).to.throw(Error, 'ldafit: number of values in "c" must be the same as number of rows in "X".');
+      expect(() => ldafit(X, c, vector([1, 2]))).to.throw(Error, 'ldafit: parameter "prior" must be "equal" or a vector with positive value for every class.');
+      expect(() => ldafit(X, factor(['A', ...Array(59).fill('B')]))).to.throw(Error, 'ldafit: class "A" must have at least two objects.');
+      expect(() => ldafit(cbind(X, X.getcolumn(1).mult(X.getcolumn(2))).subset(Index.seq(1, 4), []), factor(['A', 'A', 'B', 'B']))).to.throw(Error,
+         'ldafit: number of objects minus number of classes must not be smaller than number of variables.');
+      expect(() => ldafit(cbind(X.getcolumn(1), X.getcolumn(1)), c)).to.throw(Error, 'ldafit: covariance matrix is singular.');
+
+      const m = ldafit(X, c);
+      expect(m.class).to.be.deep.equal(['ldamodel']);
+      expect(m.classNames).to.be.deep.equal(['A', 'B', 'C']);
+      expect(m.prior).to.be.deep.almost(Vector.fill(1 / 3, 3));
+      expect(Array.from(m.nobj.v)).to.be.deep.equal([20, 20, 20]);
+      expect(m.means.getrow(2)).to.be.deep.almost(X.subset(Index.seq(21, 40), []).apply(mean, 2));
+
+      // pooled covariance
+      const S = [1, 2, 3].map(k => {
+         const Xk = X.subset(Index.seq(k * n - n + 1, k * n), []);
+         return crossprod(prep_scale(Xk, true, false));
+      });
+      expect(m.cov).to.be.deep.almost(S[0].add(S[1]).add(S[2]).divide(3 * n - 3));
+
+      // discriminant scores have unit pooled within-class variance and are not correlated
+      const r = m.results.cal;
+      expect(r.scores.ncols).to.be.equal(2);
+      expect(m.eigenvals.v[0] >= m.eigenvals.v[1]).to.be.true;
+      const Sw = [1, 2, 3].map(k => crossprod(prep_scale(r.scores.subset(Index.seq(k * n - n + 1, k * n), []), true, false)));
+      expect(Sw[0].add(Sw[1]).add(Sw[2]).divide(3 * n - 3)).to.be.deep.almost(Matrix.eye(2));
+
+      // posterior probabilities
+      for (let i of [0, 25, 47]) {
+         const p = posterior(m, [X.v[i], X.v[i + 3 * n]], () => m.cov);
+         expect(Array.from(r.posterior.getrow(i + 1).v)).to.be.deep.almost(p);
+      }
+      expect(r.posterior.apply(sum, 1)).to.be.deep.almost(Vector.ones(3 * n));
+
+      // priors change posterior probabilities
+      const me = ldafit(X, c, vector([1, 1, 2]));
+      expect(me.prior).to.be.deep.almost(vector([0.25, 0.25, 0.5]));
+      expect(ldafit(X, c, 'equal').prior).to.be.deep.almost(Vector.fill(1 / 3, 3));
+      const pe = posterior(me, [X.v[25], X.v[25 + 3 * n]], () => me.cov);
+      expect(Array.from(me.results.cal.posterior.getrow(26).v)).to.be.deep.almost(pe);
+   });
+
+   it('tests for method "qdafit".', function () {
+
+      // errors
+      expect(() => qdafit(X, c, 'prop')).to.throw(Error, 'qdafit: parameter "prior" must be "equal" or a vector with positive value for every class.');
+      expect(() => qdafit(X.subset(Index.seq(1, 5), []), factor(['A', 'A', 'B', 'B', 'B']))).to.throw(Error,
+         'qdafit: every class must have more objects than variables.');
+
+      const m = qdafit(X, c);
+      expect(m.class).to.be.deep.equal(['qdamodel']);
+      expect(m.cov.length).to.be.equal(3);
+      expect(m.cov[2]).to.be.deep.almost(crossprod(prep_scale(X.subset(Index.seq(41, 60), []), true, false)).divide(n - 1));
+      expect(m.cov[2].v[0] > 4 * m.cov[0].v[0]).to.be.true;
+
+      // inverse and log-determinant of the covariance matrices
+      for (let k = 0; k < 3; k++) {
+         const S = m.cov[k];
+         expect(m.covInv[k].dot(S)).to.be.deep.almost(Matrix.eye(2), 1e-8);
+         expect(m.logdet.v[k]).to.be.almost(Math.log(S.v[0] * S.v[3] - S.v[1] * S.v[2]));
+      }
+
+      const r = m.results.cal;
+      for (let i of [0, 25, 47]) {
+         const p = posterior(m, [X.v[i], X.v[i + 3 * n]], k => m.cov[k]);
+         expect(Array.from(r.posterior.getrow(i + 1).v)).to.be.deep.almost(p);
+      }
+      expect(r.scores).to.be.undefined;
+   });
+
+   it('tests for methods "ldapredict" and "qdapredict".', function () {
+
+      const m = ldafit(X, c);
+      const mq = qdafit(X, c);
+
+      // errors
+      expect(() => ldapredict(mq, X)).to.throw(Error, 'ldapredict: parameter "m" must be an object with LDA model.');
+      expect(() => qdapredict(m, X)).to.throw(Error, 'qdapredict: parameter "m" must be an object with QDA model.');
+      expect(() => ldapredict(m, X.subset([], 1))).to.throw(Error, 'ldapredict: parameter "X" must be a matrix with the same number of columns as the calibration set.');
+      expect(() => qdapredict(mq, X, factor(['A', 'B']))).to.throw(Error, 'qdapredict: parameter "cRef" must be a factor with the same number of values as rows in "X".');
+
+      // new objects close to class centers
+      const Xt = matrix([0, 3, 0, 0.1, 0, 3], 3, 2);
+      for (let r of [ldapredict(m, Xt, null, 'test'), qdapredict(mq, Xt)]) {
+         expect(r.class).to.be.deep.equal(['dares']);
+         expect(r.cPred.labels).to.be.deep.equal(['A', 'B', 'C']);
+         expect(Array.from(r.cPred.v)).to.be.deep.equal([0, 1, 2]);
+         expect(r.confusion).to.be.undefined;
+         expect(r.classres.A.cPred[0].labels).to.be.deep.equal(['A', 'none']);
+      }
+
+      // levels of predicted classes are the classes of the model, even if some of them are not predicted
+      const Xb = matrix([3.1, 2.9, 0.1, -0.1], 2, 2);
+      for (let r of [ldapredict(m, Xb), qdapredict(mq, Xb)]) {
+         expect(r.cPred.labels).to.be.deep.equal(['A', 'B', 'C']);
+         expect(Array.from(r.cPred.v)).to.be.deep.equal([1, 1]);
+      }
+      expect(ldapredict(m, Xt).scores).to.be.deep.almost(Xt.op(m.center, (a, b) => a - b, 2).dot(m.scaling));
+
+      // classification statistics and confusion matrix
+      for (let r of [m.results.cal, mq.results.cal]) {
+         const C = r.confusion.values;
+         expect(r.confusion.rowNames).to.be.deep.equal(['A', 'B', 'C']);
+         expect(r.confusion.colNames).to.be.deep.equal(['A', 'B', 'C']);
+         expect(C.apply(sum, 1)).to.be.deep.equal(Vector.fill(n, 3));
+         for (let k = 1; k <= 3; k++) {
+            const cr = r.classres[['A', 'B', 'C'][k - 1]];
+            expect(cr.TP.v[0]).to.be.equal(C.v[(k - 1) * 3 + k - 1]);
+            expect(cr.sensitivity.v[0]).to.be.almost(C.v[(k - 1) * 3 + k - 1] / n);
+            expect(cr.FP.v[0]).to.be.equal(sum(C.getcolumn(k)) - cr.TP.v[0]);
+         }
+         expect(C.v[0]).to.be.equal(n);
+         expect(C.v[4]).to.be.equal(n);
+      }
+
+      // QDA takes into account the larger spread of the third class
+      expect(mq.results.cal.classres.C.sensitivity.v[0] > m.results.cal.classres.C.sensitivity.v[0]).to.be.true;
+   });
+
+});
+
+
+describe('Tests for kNN methods.', function () {
+
+   // three groups of objects
+   const Xc = matrix([0, 0, 1, 5, 5, 6, 10, 10, 0, 1, 0, 5, 6, 5, 0, 1], 8, 2);
+   const cc = factor(['A', 'A', 'A', 'B', 'B', 'B', 'C', 'C']);
+   const yc = vector([1, 2, 3, 10, 11, 12, 20, 21]);
+   const X = matrix([0.2, 5.5, 9, 0.3, 5.5, 0.5], 3, 2);
+
+   it('tests for method "knnpredict" (classification).', function () {
+
+      // errors
+      expect(() => knnpredict(cc, cc, X)).to.throw(Error, 'knnpredict: parameter "Xc" must be a matrix with at least two rows.');
+      expect(() => knnpredict(Xc, X, X)).to.throw(Error, 'knnpredict: parameter "yc" must be a factor or a vector with value for every row of "Xc".');
+      expect(() => knnpredict(Xc, cc, X.subset([], 1))).to.throw(Error, 'knnpredict: parameter "X" must be a matrix with the same number of columns as "Xc".');
+      expect(() => knnpredict(Xc, cc, X, 9)).to.throw(Error, 'knnpredict: parameter "k" must be an integer between 1 and number of objects in "Xc".');
+      expect(() => knnpredict(Xc, cc, X, 3, 'manhattan')).to.throw(Error, 'knnpredict: parameter "distance" must be "euclidean", "mahalanobis" or PCA model.');
+      expect(() => knnpredict(Xc, cc, X, 3, 'euclidean', false, yc)).to.throw(Error,
+         'knnpredict: parameter "yRef" must be a factor (classification) or a vector (regression) with value for every row of "X".');
+
+      const r = knnpredict(Xc, cc, X);
+      expect(r.class).to.be.deep.equal(['knnres']);
+      expect(r.type).to.be.equal('classification');
+      expect(r.k).to.be.equal(3);
+      expect(r.classNames).to.be.deep.equal(['A', 'B', 'C']);
+      expect(r.cPred.labels).to.be.deep.equal(['A', 'B', 'C']);
+      expect(Array.from(r.cPred.v)).to.be.deep.equal([0, 1, 2]);
+
+      // neighbours are sorted by distance (and by index if distances are equal)
+      expect(Array.from(r.nnind.getrow(1).v)).to.be.deep.equal([1, 2, 3]);
+      expect(Array.from(r.nnind.getrow(2).v)).to.be.deep.equal([4, 5, 6]);
+      expect(r.nndist.getrow(1).v[0]).to.be.almost(Math.sqrt(0.2 * 0.2 + 0.3 * 0.3));
+      expect(r.prob.getrow(3)).to.be.deep.almost(vector([0, 1 / 3, 2 / 3]));
+      expect(r.classres).to.be.undefined;
+
+      // ties are resolved by the closest neighbour
+      const rt = knnpredict(Xc, cc, matrix([3.2, 2.4], 1, 2), 2);
+      expect(rt.prob).to.be.deep.almost(matrix([0.5, 0.5, 0], 1, 3));
+      expect(Array.from(rt.nnind.v)).to.be.deep.equal([4, 3]);
+      expect(Array.from(rt.cPred.v)).to.be.deep.equal([1]);
+
+      // weighted votes
+      const rw = knnpredict(Xc, cc, matrix([9, 0.5], 1, 2), 5, 'euclidean', true);
+      const d = rw.nndist.getrow(1).v;
+      const w = Array.from(d, v => 1 / v);
+      expect(rw.prob.v[2]).to.be.almost((w[0] + w[1]) / w.reduce((a, b) => a + b));
+      expect(knnpredict(Xc, cc, matrix([5, 5], 1, 2), 5, 'euclidean', true).prob).to.be.deep.almost(matrix([0, 1, 0], 1, 3));
+
+      // classification results and confusion matrix
+      const cRef = factor(['A', 'B', 'B']);
+      const rr = knnpredict(Xc, cc, X, 3, 'euclidean', false, cRef);
+      expect(rr.classres.B.TP.v[0]).to.be.equal(1);
+      expect(rr.classres.B.FN.v[0]).to.be.equal(1);
+      expect(rr.classres.C.FP.v[0]).to.be.equal(1);
+      expect(rr.confusion.rowNames).to.be.deep.equal(['A', 'B']);
+      expect(rr.confusion.colNames).to.be.deep.equal(['A', 'B', 'C']);
+      expect(rr.confusion.values).to.be.deep.equal(matrix([1, 0, 0, 1, 0, 1], 2, 3));
+   });
+
+   it('tests for method "knnpredict" (regression and distances).', function () {
+
+      const r = knnpredict(Xc, yc, X, 2);
+      expect(r.type).to.be.equal('regression');
+      expect(r.ypred).to.be.deep.almost(vector([1.5, 10.5, 20.5]));
+      expect(r.rmse).to.be.undefined;
+
+      // weighted mean and statistics for reference values
+      const yRef = vector([2, 11, 20]);
+      const rw = knnpredict(Xc, yc, X, 3, 'euclidean', true, yRef);
+      const d = rw.nndist.getrow(1).v;
+      const ind = rw.nnind.getrow(1).v;
+      expect(rw.ypred.v[0]).to.be.almost(Array.from(ind).reduce((s, j, a) => s + yc.v[j - 1] / d[a], 0) /
+         Array.from(d).reduce((s, v) => s + 1 / v, 0));
+      const e = yRef.subtract(rw.ypred);
+      expect(rw.rmse).to.be.almost(Math.sqrt(ssq(e) / 3));
+      expect(rw.bias).to.be.almost(mean(e));
+      expect(rw.r2).to.be.almost(1 - ssq(e) / (variance(yRef) * 2));
+
+      // Mahalanobis distance
+      const rm = knnpredict(Xc, yc, X, 8, 'mahalanobis');
+      const S = crossprod(prep_scale(Xc, true, false)).divide(7).inv();
+      for (let a = 1; a <= 8; a++) {
+         const j = rm.nnind.v[(a - 1) * 3];
+         const dv = matrix([X.v[0] - Xc.v[j - 1], X.v[3] - Xc.v[j + 7]], 1, 2);
+         expect(rm.nndist.v[(a - 1) * 3]).to.be.almost(Math.sqrt(dv.dot(S).dot(dv.t()).v[0]));
+      }
+      expect(rm.nndist.getrow(1).v.every((v, a) => a === 0 || v >= rm.nndist.getrow(1).v[a - 1])).to.be.true;
+      expect(() => knnpredict(cbind(Xc.getcolumn(1), Xc.getcolumn(1)), yc, X, 3, 'mahalanobis')).to.throw(Error,
+         'knnpredict: covariance matrix of "Xc" is singular, use PCA model for computing distances.');
+
+      // distance in space of all PCA scores is Euclidean, with one component — distance along the first PC
+      const m = pcafit(Xc, 2);
+      const rp = knnpredict(Xc, yc, X, 4, m);
+      expect(rp.nndist).to.be.deep.almost(knnpredict(Xc, yc, X, 4).nndist);
+      const m1 = selectcompnum(m, 1);
+      const rp1 = knnpredict(Xc, yc, X, 8, m1);
+      const Tc = pcapredict(m, Xc).T.getcolumn(1);
+      const T = pcapredict(m, X).T.getcolumn(1);
+      expect(rp1.nndist.v[0]).to.be.almost(Math.min(...Array.from(Tc.v, v => Math.abs(v - T.v[0]))));
+      const X3 = cbind(Xc, Xc.getcolumn(1));
+      expect(() => knnpredict(X3, yc, X3, 1, m)).to.throw(Error, 'knnpredict: PCA model must be created for data with the same number of variables as "Xc".');
+   });
+
+   it('tests for method "knnloo".', function () {
+
+      // errors
+      expect(() => knnloo(Xc, cc, 8)).to.throw(Error, 'knnloo: parameter "kmax" must be an integer between 1 and number of objects in "Xc" minus one.');
+      expect(() => knnloo(Xc, yc.subset([1, 2]))).to.throw(Error, 'knnloo: parameter "yc" must be a factor or a vector with value for every row of "Xc".');
+
+      // classification — with three neighbours objects of class "C" (two objects) are misclassified
+      const r = knnloo(Xc, cc, 7);
+      expect(r.class).to.be.deep.equal(['knnloo']);
+      expect(r.type).to.be.equal('classification');
+      expect(r.k).to.be.deep.equal(Index.seq(1, 7));
+      expect(Array.from(r.error.v.subarray(0, 2))).to.be.deep.equal([0, 0]);
+      expect(r.error.v[2]).to.be.almost(2 / 8);
+      expect(r.error.v[4]).to.be.almost(5 / 8);
+      expect(r.kSelected).to.be.equal(1);
+
+      // prediction for every object is the same as for training set without this object
+      const rr = knnloo(Xc, yc, 3);
+      expect(rr.type).to.be.equal('regression');
+      let e = 0;
+      for (let i = 1; i <= 8; i++) {
+         const ind = Index.seq(1, 8).filter(v => v !== i);
+         const yp = knnpredict(Xc.subset(ind, []), yc.subset(ind), Xc.subset(i, []), 2).ypred.v[0];
+         e += (yp - yc.v[i - 1]) * (yp - yc.v[i - 1]);
+      }
+      expect(rr.rmse.v[1]).to.be.almost(Math.sqrt(e / 8));
+      expect(rr.kSelected).to.be.equal(minind(rr.rmse));
+   });
+
+});
+
+
+describe('Tests for OPLS methods.', function () {
+
+   // response and orthogonal variation with large variance
+   const y = Matrix.rand(30, 1, -1, 1);
+   const z = Matrix.rand(30, 1, -1, 1);
+   const X = y.dot(Matrix.rand(1, 10, 0, 1)).add(z.dot(Matrix.rand(1, 10, 1, 3))).add(Matrix.rand(30, 10, -0.01, 0.01));
+
+   it ('tests for method "oplsfit"', function () {
+
+      // errors
+      expect(() => oplsfit(y, y)).to.throw(Error, 'oplsfit: parameter "X" must be a matrix with at least two rows and two columns.');
+      expect(() => oplsfit(X, y.getcolumn(1))).to.throw(Error, 'oplsfit: parameter "Y" must be a matrix with at least one column or a factor.');
+      expect(() => oplsfit(X, factor(Array(30).fill('A')))).to.throw(Error, 'oplsfit: parameter "Y" must be a factor with at least two classes.');
+      expect(() => oplsfit(X, y.subset(Index.seq(1, 20), []))).to.throw(Error, 'oplsfit: number of rows in "X" and "Y" do not match.');
+      expect(() => oplsfit(X, y, 0)).to.throw(Error, 'oplsfit: wrong value for "northo" parameter.');
+      expect(() => oplsfit(X, y, 10)).to.throw(Error, 'oplsfit: wrong value for "northo" parameter.');
+
+      const m = oplsfit(X, y, 2);
+      expect(m.class).to.be.deep.equal(['oplsmodel', 'regmodel']);
+      expect(m.npred).to.be.equal(1);
+      expect(m.northo).to.be.equal(2);
+      expect(m.nresp).to.be.equal(1);
+      expect(m.Wortho.ncols).to.be.equal(2);
+      expect(m.Portho.ncols).to.be.equal(2);
+      expect(crossprod(m.Wortho)).to.be.deep.almost.equal(Matrix.eye(2));
+
+      // orthogonal scores are not correlated with y and with predictive scores
+      const r = m.results.cal;
+      const yc = prep_scale(y, true, false);
+      expect(r.class).to.be.deep.equal(['oplsres', 'regres']);
+      expect(r.name).to.be.equal('cal');
+      expect(Array.from(crossprod(r.Tortho, yc).v)).to.be.deep.almost.equal([0, 0]);
+      expect(Array.from(crossprod(r.Tortho, r.T).v)).to.be.deep.almost.equal([0, 0]);
+      expect(r.R2Y.ortho.v[0]).to.be.almost.equal(0);
+      expect(r.R2Y.pred.v[0]).to.be.almost.equal(r.r2.v[0]);
+
+      // orthogonal part explains most of X variation, both parts together — almost all
+      expect(r.R2X.ortho > 0.5).to.be.true;
+      expect(r.R2X.pred + r.R2X.ortho).to.be.almost.equal(1);
+      expect(r.R2X.ortho).to.be.almost.equal(sum(r.xexpvarOrtho.v) / 100);
+
+      // OPLS with one predictive component gives the same predictions as PLS with all components
+      const mp = plsfit(X, y, 3);
+      expect(r.Ypred).to.be.deep.almost.equal(mp.results.cal.Ypred.subset([], 3));
+      expect(r.rmse.v[0]).to.be.almost.equal(mp.results.cal.rmse.v[2]);
+   });
+
+   it ('tests for method "oplspredict"', function () {
+
+      const m = oplsfit(X, y, 1, true, true);
+
+      // errors
+      expect(() => oplspredict(plsfit(X, y, 2), X)).to.throw(Error, 'oplspredict: parameter "m" must be an object with OPLS model.');
+      expect(() => oplspredict(m, y)).to.throw(Error, 'oplspredict: parameter "X" has wrong number of columns.');
+      expect(() => oplspredict(m, X.subset([], Index.seq(1, X.ncols - 1)))).to.throw(Error, 'oplspredict: parameter "X" has wrong number of columns.');
+      expect(() => oplspredict(m, vector([1, 2, 3]))).to.throw(Error, 'oplspredict: parameter "X" must be a matrix.');
+      expect(() => oplspredict(m, X, y, 'abc')).to.throw(Error, 'oplspredict: parameter "rule" must be either "threshold" or "max".');
+      expect(() => oplspredict(m, X, cbind(y, y))).to.throw(Error, 'oplspredict: parameter "Y" must be a matrix with the same number of columns as responses in the model or null/undefined.');
+
+      // predictions for calibration set are the same as calibration results
+      const r = oplspredict(m, X, y, 'threshold', 'test');
+      expect(r.name).to.be.equal('test');
+      expect(r.T).to.be.deep.almost.equal(m.results.cal.T);
+      expect(r.Tortho).to.be.deep.almost.equal(m.results.cal.Tortho);
+      expect(r.Ypred).to.be.deep.almost.equal(m.results.cal.Ypred);
+      expect(r.rmse.v[0] < 0.05).to.be.true;
+
+      // predictions are made using all predictive components
+      expect(r.ypred).to.be.deep.equal(r.Ypred.subset([], m.npred));
+
+      // no reference values
+      const r2 = oplspredict(m, X);
+      expect(r2.Ypred).to.be.deep.almost.equal(r.Ypred);
+      expect(r2.rmse === undefined).to.be.true;
+      expect(r2.R2Y === undefined).to.be.true;
+   });
+
+   it ('tests for OPLS-DA', function () {
+
+      // three well separated classes with four objects in each (same as for PLS-DA)
+      const Xc = matrix([
+         1.0, 1.1, 0.9, 1.0,   5.0, 5.2, 4.9, 5.1,   1.0, 0.8, 1.2, 1.1,
+         0.1, 0.0, 0.2, 0.1,   0.2, 0.1, 0.0, 0.3,   4.0, 4.2, 3.9, 4.1,
+         2.0, 2.2, 1.8, 2.1,   2.1, 1.9, 2.0, 2.2,   2.0, 1.9, 2.1, 2.2
+      ], 12, 3);
+      const c = factor(['A', 'A', 'A', 'A', 'B', 'B', 'B', 'B', 'C', 'C', 'C', 'C']);
+
+      const m = oplsfit(Xc, c, 1);
+      expect(m.class).to.be.deep.equal(['oplsdamodel', 'oplsmodel', 'regmodel']);
+      expect(m.classNames).to.be.deep.equal(['A', 'B', 'C']);
+      expect(m.npred).to.be.equal(2);
+      expect(m.nresp).to.be.equal(3);
+
+      const r = m.results.cal;
+      expect(r.class[0]).to.be.equal('oplsdares');
+      expect(Object.keys(r.classres)).to.be.deep.equal(['A', 'B', 'C']);
+      for (let className of m.classNames) {
+         expect(r.classres[className].cRef).to.be.deep.equal(c);
+         expect(r.classres[className].sensitivity.v[1]).to.be.equal(1);
+         expect(r.classres[className].specificity.v[1]).to.be.equal(1);
+      }
+
+      // errors and predictions for new objects
+      expect(() => oplspredict(m, Xc, factor(['A', 'B']))).to.throw(Error, 'oplspredict: parameter "Y" must be a factor with the same number of values as rows in "X".');
+      const Xt = matrix([1.05, 5.05, 1.0,  0.1, 0.1, 4.1,  2.0, 2.1, 2.0], 3, 3);
+      const rt = oplspredict(m, Xt, factor(['A', 'B', 'C']), 'max');
+      for (let className of m.classNames) {
+         expect(rt.classres[className].TP.v[1]).to.be.equal(1);
+         expect(rt.classres[className].FP.v[1]).to.be.equal(0);
+         expect(rt.cPred[className]).to.be.deep.equal(rt.classres[className].cPred[m.npred - 1]);
+      }
+   });
+
 });
 
 describe('Tests for PCR methods.', function () {
@@ -473,6 +1376,328 @@ describe('Tests for PCR methods.', function () {
 
 });
 
+describe('Tests for cross-validation methods.', function () {
+
+   // common dataset for all tests
+   const data = matrix([
+      32, 150, 41, 28000, 119,
+      35, 160, 48, 31000, 129,
+      36, 166, 47, 28000, 112,
+      37, 166, 49, 14000, 123,
+      42, 175, 67, 38000, 105,
+      43, 180, 80, 30000, 129,
+      43, 181, 75, 31000, 105,
+      44, 180, 81, 42000, 113
+   ], 5, 8).t();
+
+   const [Xc, Yc] = splitregdata(data);
+
+   // computes leave-one-out residuals for MLR model analytically, e / (1 - h)
+   function getlooresiduals(X, y) {
+      const m = lmfit(X, y);
+      const Xr = cbind(Vector.ones(X.nrows), X);
+      const h = Xr.dot(crossprod(Xr).inv()).mult(Xr).apply(sum, 1);
+      return y.subtract(m.fitted).divide(h.apply(v => 1 - v));
+   }
+
+   it ('tests for method "crossval"', function () {
+
+      // errors
+      expect(() => crossval(8, ['abc', 2])).to.throw(Error, 'crossval: wrong type of cross-validation (must be "loo", "rand" or "ven").');
+      expect(() => crossval(8, ['ven', 1])).to.throw(Error, 'crossval: number of segments must be an integer between 2 and number of objects.');
+      expect(() => crossval(8, 10)).to.throw(Error, 'crossval: number of segments must be an integer between 2 and number of objects.');
+      expect(() => crossval(8, [1, 2, 3])).to.throw(Error, 'crossval: parameter "cv" must be a number, an array with settings or a vector with segment number for every object.');
+      expect(() => crossval(4, [0, 1, 2, 3])).to.throw(Error, 'crossval: segment numbers must start from 1.');
+
+      // full cross-validation
+      expect(crossval(8, 1)).to.be.deep.equal(Index.seq(1, 8));
+      expect(crossval(8, ['loo'])).to.be.deep.equal(Index.seq(1, 8));
+
+      // venetian blinds
+      expect(crossval(8, ['ven', 3])).to.be.deep.equal(index([1, 2, 3, 1, 2, 3, 1, 2]));
+
+      // random segments
+      const s1 = crossval(10, 4);
+      const s2 = crossval(10, ['rand', 4]);
+      expect(s1.sort()).to.be.deep.equal(index([1, 1, 1, 2, 2, 2, 3, 3, 4, 4]));
+      expect(s2.sort()).to.be.deep.equal(index([1, 1, 1, 2, 2, 2, 3, 3, 4, 4]));
+
+      // user defined segments
+      expect(crossval(4, [2, 1, 1, 2])).to.be.deep.equal(index([2, 1, 1, 2]));
+      expect(crossval(4, index([2, 1, 1, 2]))).to.be.deep.equal(index([2, 1, 1, 2]));
+   });
+
+   it ('tests for cross-validation of PLS and PCR models', function () {
+
+      // models without cross-validation have only calibration results
+      const m0 = plsfit(Xc, Yc, 2);
+      expect(m0.results.cal.name).to.be.equal('cal');
+      expect(m0.results.cal.rmse).to.be.deep.almost.equal(plspredict(m0, Xc, Yc).rmse);
+      expect(m0.results.cv === undefined).to.be.true;
+      expect(() => plsfit(Xc, Yc, 4, true, false, ['ven', 2])).to.throw(Error, 'crossval: number of components is too large for the cross-validation segments.');
+
+      // with all components PLS and PCR are equivalent to MLR, so LOO residuals can be computed analytically
+      const e = getlooresiduals(Xc, Yc.getcolumn(1));
+      const rmsecv = Math.sqrt(sum(e.apply(v => v * v)) / e.length);
+      const q2 = 1 - sum(e.apply(v => v * v)) / (variance(Yc.getcolumn(1)) * (e.length - 1));
+
+      const m1 = plsfit(Xc, Yc, 4, true, false, 1);
+      const m2 = pcrfit(Xc, Yc, 4, true, false, ['loo']);
+
+      for (let m of [m1, m2]) {
+         const r = m.results.cv;
+         expect(r.class).to.be.deep.equal(['regres', 'cvres']);
+         expect(r.name).to.be.equal('cv');
+         expect(r.cvSegments).to.be.deep.equal(Index.seq(1, 8));
+         expect(r.Ypred.getcolumn(4)).to.be.deep.almost.equal(Yc.getcolumn(1).subtract(e));
+         expect(r.rmse.v[3]).to.be.almost.equal(rmsecv);
+         expect(r.r2.v[3]).to.be.almost.equal(q2);
+         expect(r.bias.v[3]).to.be.almost.equal(mean(e));
+         expect(r.rmse.v[0] >= m.results.cal.rmse.v[0]).to.be.true;
+      }
+
+      // user defined segments — compare with models computed manually
+      const seg = [1, 2, 2, 1, 2, 1, 2, 1];
+      const m3 = plsfit(Xc, cbind(Yc, Xc.subset([], 1)), 2, true, true, seg);
+      const ind1 = index([1, 4, 6, 8]);
+      const ind2 = index([2, 3, 5, 7]);
+      const m31 = plsfit(Xc.subset(ind2, []), cbind(Yc, Xc.subset([], 1)).subset(ind2, []), 2, true, true);
+      const m32 = plsfit(Xc.subset(ind1, []), cbind(Yc, Xc.subset([], 1)).subset(ind1, []), 2, true, true);
+      expect(m3.results.cv.Ypred.subset(ind1, [])).to.be.deep.almost.equal(plspredict(m31, Xc.subset(ind1, [])).Ypred);
+      expect(m3.results.cv.Ypred.subset(ind2, [])).to.be.deep.almost.equal(plspredict(m32, Xc.subset(ind2, [])).Ypred);
+      expect(m3.results.cv.rmse.nrows).to.be.equal(2);
+      expect(m3.results.cv.rmse.ncols).to.be.equal(2);
+   });
+
+   it ('tests for Jack-knife statistics for regression coefficients', function () {
+
+      // models without cross-validation do not have the statistics
+      const m0 = pcrfit(Xc, Yc, 2);
+      expect(m0.coeffs.valuesOrig.nrows).to.be.equal(4);
+      expect(m0.coeffs.se === undefined).to.be.true;
+
+      // PCR coefficients must give the same predictions as the model
+      expect(Xc.dot(m0.coeffs.valuesOrig).add(vector([m0.coeffs.intercept.v[0], m0.coeffs.intercept.v[1]]), 2))
+         .to.be.deep.almost.equal(m0.results.cal.Ypred);
+
+      const seg = [1, 2, 3, 4, 1, 2, 3, 4];
+      for (let [fitfun, ncomp] of [[plsfit, 2], [pcrfit, 3]]) {
+
+         const m = fitfun(Xc, Yc, ncomp, true, true, seg);
+         const B = m.coeffs.valuesOrig;
+
+         // compute coefficients for local models manually
+         const jkcoeffs = [1, 2, 3, 4].map(s => {
+            const ind = index(seg.map((v, i) => v !== s ? i + 1 : 0).filter(v => v > 0));
+            return fitfun(Xc.subset(ind, []), Yc.subset(ind, []), ncomp, true, true).coeffs.valuesOrig;
+         });
+
+         const Bm = jkcoeffs.reduce((acc, cur) => acc.add(cur)).divide(4);
+         const se = jkcoeffs.reduce((acc, cur) => acc.add(cur.subtract(Bm).apply(v => v * v, 0)), Matrix.zeros(4, ncomp))
+            .apply(v => Math.sqrt(v * 3 / 4), 0);
+
+         expect(m.coeffs.DoF).to.be.equal(3);
+         expect(m.coeffs.se).to.be.deep.almost.equal(se);
+         expect(m.coeffs.tstat).to.be.deep.almost.equal(B.divide(se));
+         expect(m.coeffs.p).to.be.deep.almost.equal(B.divide(se).apply(t => 2 * (1 - pt(Math.abs(t), 3)), 0));
+         expect(m.coeffs.lower).to.be.deep.almost.equal(B.subtract(se.mult(qt(0.975, 3))));
+         expect(m.coeffs.upper).to.be.deep.almost.equal(B.add(se.mult(qt(0.975, 3))));
+         expect(m.coeffs.p.v.every(v => v >= 0 && v <= 1)).to.be.true;
+      }
+   });
+
+   it ('tests for cross-validation of PCA models', function () {
+
+      const m = pcafit(Xc, 3, true, true, ['ven', 4]);
+      const r = m.results.cv;
+
+      expect(r.class).to.be.deep.equal(['pcares', 'cvres']);
+      expect(r.cvSegments).to.be.deep.equal(index([1, 2, 3, 4, 1, 2, 3, 4]));
+      expect(r.H.nrows).to.be.equal(8);
+      expect(r.Q.ncols).to.be.equal(3);
+
+      // compare with local model computed manually for the first segment
+      const indc = index([2, 3, 4, 6, 7, 8]);
+      const indv = index([1, 5]);
+      const m1 = pcafit(Xc.subset(indc, []), 3, true, true);
+      const r1 = pcapredict(m1, Xc.subset(indv, []));
+      expect(r.H.subset(indv, [])).to.be.deep.almost.equal(r1.H);
+      expect(r.Q.subset(indv, [])).to.be.deep.almost.equal(r1.Q);
+
+      // explained variance must be consistent with residual distances
+      expect(r.cumexpvar.v[2] > r.cumexpvar.v[0]).to.be.true;
+      expect(r.expvar.v[0]).to.be.almost.equal(r.cumexpvar.v[0]);
+      expect(r.expvar.v[1]).to.be.almost.equal(r.cumexpvar.v[1] - r.cumexpvar.v[0]);
+      expect(r.cumexpvar.v[2] < m.results.cal.cumexpvar.v[2]).to.be.true;
+   });
+
+});
+
+describe('Tests for selection of number of components.', function () {
+
+   // data with three latent components
+   const n = 60;
+   const T = new Matrix(Float64Array.from({length: 3 * n}, (v, i) => (i < n ? Math.sin : i < 2 * n ? Math.cos : Math.sin)((Math.floor(i / n) + 1) * (i % n + 1) + 1)), n, 3);
+   const P = new Matrix(Float64Array.from({length: 60}, (v, i) => Math.sin((i % 3 + 1) * (i + 1))), 3, 20);
+
+   // deterministic noise so the selected number of components does not depend on random values
+   const noise = (nrows, ncols, seed) => new Matrix(Float64Array.from({length: nrows * ncols},
+      () => (seed = seed * 16807 % 2147483647, 0.1 * seed / 2147483647 - 0.05)), nrows, ncols);
+   const X = T.dot(P).add(noise(n, 20, 1));
+   const Y = T.dot(matrix([1, 1, 1], 3, 1)).add(noise(n, 1, 2));
+
+   it ('tests for method "selectcompnum" (regression models)', function () {
+
+      const m = plsfit(X, Y, 8, true, false, ['ven', 6]);
+      expect(m.ncompSelected).to.be.equal(8);
+      expect(pcrfit(X, Y, 5).ncompSelected).to.be.equal(5);
+
+      // errors
+      expect(() => selectcompnum(lmfit(X, Y.getcolumn(1)))).to.throw(Error, 'selectcompnum: parameter "m" must be an object with PCA, PCR or PLS model.');
+      expect(() => selectcompnum(m, 9)).to.throw(Error, 'selectcompnum: wrong value for number of components.');
+      expect(() => selectcompnum(m, 'abc')).to.throw(Error, 'selectcompnum: wrong value for "method" parameter.');
+      expect(() => selectcompnum(m, 'brokenstick')).to.throw(Error, 'selectcompnum: methods "brokenstick" and "parallel" can be used with PCA models only.');
+      expect(() => selectcompnum(plsfit(X, Y, 8), 'min')).to.throw(Error, 'selectcompnum: model does not have cross-validation results, parameter "res" must be provided.');
+      expect(() => selectcompnum(m, 'min', plspredict(m, X))).to.throw(Error, 'selectcompnum: parameter "res" must be an object with regression results and reference values.');
+
+      // number of components set explicitly, the original model is not changed
+      const m2 = selectcompnum(m, 2);
+      expect(m2.ncompSelected).to.be.equal(2);
+      expect(m.ncompSelected).to.be.equal(8);
+      expect(m2.P).to.be.equal(m.P);
+
+      // cross-validation results, the errors are at noise level after the third component
+      expect(selectcompnum(m, '1se').ncompSelected).to.be.equal(3);
+      expect(selectcompnum(m).ncompSelected >= 3).to.be.true;
+      expect(selectcompnum(m, 'wold').ncompSelected >= 3).to.be.true;
+
+      // test set results and PCR model
+      const ind = Index.seq(1, 40);
+      const indt = Index.seq(41, 60);
+      const mr = pcrfit(X.subset(ind, []), Y.subset(ind, []), 6);
+      const rt = pcrpredict(mr, X.subset(indt, []), Y.subset(indt, []));
+      expect(selectcompnum(mr, '1se', rt).ncompSelected).to.be.equal(3);
+
+      // results with known errors: local minimum for two components, global — for four
+      const d = [1.0, 0.5, 0.6, 0.2, 0.3];
+      const m5 = plsfit(X, Y, 5);
+      const Ypred = new Matrix(Float64Array.from({length: 5 * n}, (v, i) => Y.v[i % n] + d[Math.floor(i / n)] * (i % 2 ? 1 : -1)), n, 5);
+      const res = {Yref: Y, Ypred: Ypred};
+      expect(selectcompnum(m5, 'min', res).ncompSelected).to.be.equal(2);
+      expect(selectcompnum(m5, '1se', res).ncompSelected).to.be.equal(4);
+      expect(selectcompnum(m5, 'wold', res).ncompSelected).to.be.equal(2);
+      expect(selectcompnum(m5, 'wold', res, 0.2).ncompSelected).to.be.equal(1);
+   }).timeout(10000);
+
+   it ('tests for method "selectcompnum" (PCA models)', function () {
+
+      const m = pcafit(X, 8, true, false, ['ven', 6]);
+
+      // errors
+      expect(() => selectcompnum(m, 'parallel')).to.throw(Error, 'selectcompnum: parameter "res" must be a matrix with calibration set for parallel analysis.');
+      expect(() => selectcompnum(m, 'parallel', X, 0)).to.throw(Error, 'selectcompnum: number of simulations must be a positive number.');
+      expect(() => selectcompnum(m, 'min')).to.throw(Error, 'selectcompnum: methods "min", "1se" and "wold" can be used with PCR and PLS models only.');
+      expect(() => selectcompnum(m, '1se', pcafit(X, 5).results.cal)).to.throw(Error, 'selectcompnum: methods "min", "1se" and "wold" can be used with PCR and PLS models only.');
+      expect(() => selectcompnum(m, 'wold')).to.throw(Error, 'selectcompnum: methods "min", "1se" and "wold" can be used with PCR and PLS models only.');
+
+      expect(selectcompnum(m, 'brokenstick').ncompSelected).to.be.equal(3);
+      expect(selectcompnum(m).ncompSelected).to.be.equal(3);
+      expect(selectcompnum(m, 'parallel', X).ncompSelected).to.be.equal(3);
+      expect(selectcompnum(m, 'parallel', X, 20).ncompSelected).to.be.equal(3);
+   }).timeout(10000);
+
+   it ('tests for results of model with selected number of components', function () {
+
+      // regression model, calibration and cross-validation results are updated
+      const m = plsfit(X, Y, 6, true, false, ['ven', 6]);
+      expect(m.results.cal.class).to.be.deep.equal(['pcares', 'regres', 'plsres']);
+      expect(pcrpredict(pcrfit(X, Y, 6), X).class).to.be.deep.equal(['pcares', 'regres', 'pcrres']);
+      expect(m.results.cal.ncompSelected).to.be.equal(6);
+      expect(m.results.cv.ncompSelected).to.be.equal(6);
+      expect(m.results.cv.ypred).to.be.deep.equal(m.results.cv.Ypred.subset([], 6));
+
+      const m2 = selectcompnum(m, 2);
+      for (let name of ['cal', 'cv']) {
+         expect(m2.results[name].ncompSelected).to.be.equal(2);
+         expect(m2.results[name].ypred).to.be.deep.equal(m2.results[name].Ypred.subset([], 2));
+         expect(m2.results[name].Ypred).to.be.equal(m.results[name].Ypred);
+      }
+      expect(m2.results.cal.ypred).to.be.deep.equal(plspredict(m2, X).ypred);
+
+      // the original model is not changed
+      expect(m.results.cal.ncompSelected).to.be.equal(6);
+      expect(m.results.cal.ypred).to.be.deep.equal(m.results.cal.Ypred.subset([], 6));
+
+      // PLS-DA model
+      const ymed = median(Y.v);
+      const c = factor(Array.from(Y.v).map(v => v > ymed ? 'high' : 'low'));
+      const mda = plsdafit(X, c, 6, true, false, ['ven', 6]);
+      expect(mda.results.cal.cPred.high).to.be.deep.equal(mda.results.cal.classres.high.cPred[5]);
+
+      const mda3 = selectcompnum(mda, 3);
+      for (let name of ['cal', 'cv']) {
+         expect(mda3.results[name].ncompSelected).to.be.equal(3);
+         for (let className of mda.classNames) {
+            expect(mda3.results[name].cPred[className]).to.be.deep.equal(mda3.results[name].classres[className].cPred[2]);
+         }
+      }
+      expect(mda3.results.cal.cPred).to.be.deep.equal(plsdapredict(mda3, X, c).cPred);
+   }).timeout(10000);
+
+   it ('tests for use of selected number of components in SIMCA', function () {
+
+      const m = selectcompnum(pcafit(X, 6), 3);
+      const params = getsimcaparams('A', 0.05, 'classic');
+
+      const r = simcapredict(m, params, X);
+      expect(r.ncompSelected).to.be.equal(3);
+      expect(r.cPred).to.be.deep.equal(r.classres.cPred[2]);
+
+      expect(pcacategorize(m, m.results.cal).ncomp).to.be.equal(3);
+      expect(pcacategorize(m, m.results.cal, 0.05, 0.01, 'classic', 6).ncomp).to.be.equal(6);
+
+      const mb = selectcompnum(pcafit(X.add(1), 6), 3);
+      const mm = simcamfit([m, mb], [params, getsimcaparams('B')], [X, X.add(1)]);
+      const rm = simcampredict(mm, X);
+      expect(Array.from(rm.membership.getcolref(1))).to.be.deep.equal(Array.from(r.cPred.v).map(v => r.cPred.labels[v] === 'A' ? 1 : 0));
+   });
+
+   it ('tests for use of selected number of components in predictions', function () {
+
+      // by default all components are used
+      const m = plsfit(X, Y, 6);
+      const r = plspredict(m, X, Y);
+      expect(r.ncompSelected).to.be.equal(6);
+      expect(r.ypred).to.be.deep.equal(r.Ypred.subset([], 6));
+
+      // PLS and PCR models
+      const ypls = plspredict(selectcompnum(m, 3), X, Y);
+      expect(ypls.ncompSelected).to.be.equal(3);
+      expect(ypls.ypred).to.be.deep.equal(ypls.Ypred.subset([], 3));
+      expect(ypls.Ypred).to.be.deep.equal(r.Ypred);
+
+      const ypcr = pcrpredict(selectcompnum(pcrfit(X, Y, 6), 2), X);
+      expect(ypcr.ncompSelected).to.be.equal(2);
+      expect(ypcr.ypred).to.be.deep.equal(ypcr.Ypred.subset([], 2));
+
+      // PLS2 model has one column with predictions for each response
+      const Y2 = cbind(Y, Y.apply(v => 2 * v, 0));
+      const ypls2 = plspredict(selectcompnum(plsfit(X, Y2, 6), 4), X);
+      expect(ypls2.ypred).to.be.deep.equal(ypls2.Ypred.subset([], [4, 10]));
+
+      // PLS-DA model
+      const ymed = median(Y.v);
+      const c = factor(Array.from(Y.v).map(v => v > ymed ? 'high' : 'low'));
+      const mda = selectcompnum(plsdafit(X, c, 6), 3);
+      const rda = plsdapredict(mda, X, c);
+      expect(rda.ncompSelected).to.be.equal(3);
+      expect(Object.keys(rda.cPred)).to.be.deep.equal(mda.classNames);
+      expect(rda.cPred.high).to.be.deep.equal(rda.classres.high.cPred[2]);
+      expect(rda.cPred.low).to.be.deep.equal(rda.classres.low.cPred[2]);
+   });
+
+});
+
 describe('Tests for PCA methods.', function () {
 
    it ('tests for method "pcafit"', function () {
@@ -554,6 +1779,207 @@ describe('Tests for PCA methods.', function () {
 
    });
 
+   it ('tests for method "pcafit" with exclusion of outliers', function () {
+
+      // data with two latent variables, small noise and three outliers (generated without
+      // random numbers so the results are reproducible)
+      const X = Matrix.zeros(50, 10);
+      const d = [1, -1, -1, 1, 1, -1, -1, 1, 0, 0];
+      for (let r = 1; r <= 50; r++) {
+         const t1 = 5 * Math.sin(r);
+         const t2 = 5 * Math.cos(2.3 * r);
+         const a = r === 5 || r === 17 ? 1 : (r === 30 ? 3 : 0);
+         for (let c = 1; c <= 10; c++) {
+            const e = (Math.sin(r * 12.9898 + c * 78.233) * 43758.5453) % 1;
+            X.v[(c - 1) * 50 + r - 1] = t1 + t2 * (c - 5.5) / 5 + 0.2 * e + a * d[c - 1];
+         }
+      }
+
+      // errors
+      expect(() => pcafit(X, 2, true, false, null, 'classic')).to.throw(Error,
+         'pcafit: parameter "outliers" must be an array with type of limits ("classic" or "robust") and significance level.');
+      expect(() => pcafit(X, 2, true, false, null, ['classic', 2])).to.throw(Error,
+         'pcafit: parameter "outliers" must be an array with type of limits ("classic" or "robust") and significance level.');
+      expect(() => pcafit(X, 2, true, false, null, ['classic', 0.01, 0])).to.throw(Error,
+         'pcafit: maximum number of iterations for exclusion of outliers must be a positive number.');
+
+      // classic limits are inflated by the remaining outliers, so only the largest is excluded
+      const expected = {'classic': [[30], [30]], 'robust': [[30], [5, 17, 30], [5, 17, 30]]};
+      for (let limType of ['classic', 'robust']) {
+         const m = pcafit(X, 2, true, false, null, [limType, 0.01]);
+         expect(m.outliers.limType).to.be.equal(limType);
+         expect(m.outliers.gamma).to.be.equal(0.01);
+         expect(m.outliers.converged).to.be.true;
+         expect(m.outliers.iterations).to.be.deep.equal(expected[limType].map(index));
+         expect(m.outliers.excluded).to.be.deep.equal(index(expected[limType][expected[limType].length - 1]));
+
+         // final model must be the same as model fitted without the excluded rows
+         const included = Index.seq(1, 50).which(v => !m.outliers.excluded.v.includes(v));
+         const m2 = pcafit(X.subset(included, []), 2);
+         expect(m.nCalObj).to.be.equal(included.length);
+         expect(m.eigenvals).to.be.deep.almost.equal(m2.eigenvals);
+         expect(m.results.cal.H).to.be.deep.almost.equal(m2.results.cal.H);
+         expect(m.hParams).to.be.deep.almost.equal(m2.hParams);
+         expect(m.qParams).to.be.deep.almost.equal(m2.qParams);
+
+         // cross-validation with segment numbers for all objects
+         const seg = crossval(50, ['ven', 4]);
+         const mcv = pcafit(X, 2, true, false, seg, [limType, 0.01]);
+         expect(mcv.results.cv.cvSegments).to.be.deep.equal(seg.subset(included));
+         expect(mcv.results.cv.Q.nrows).to.be.equal(included.length);
+      }
+
+      // limit on number of iterations
+      const m1 = pcafit(X, 2, true, false, null, ['robust', 0.01, 2]);
+      expect(m1.outliers.iterations).to.be.deep.equal([index([30]), index([5, 17, 30])]);
+      expect(m1.outliers.converged).to.be.false;
+      expect(m1.outliers.excluded).to.be.deep.equal(index([5, 17, 30]));
+      expect(m1.nCalObj).to.be.equal(47);
+
+      // SIMCAM model uses calibration sets without excluded outliers
+      const Xb = X.apply(v => v + 10, 0);
+      const mb = pcafit(Xb, 2);
+      const m = pcafit(X, 2, true, false, null, ['robust', 0.01]);
+      const included = Index.seq(1, 50).which(v => !m.outliers.excluded.v.includes(v));
+      const params = [getsimcaparams('A'), getsimcaparams('B')];
+      const sm1 = simcamfit([m, mb], params, [X, Xb]);
+      const sm2 = simcamfit([m, mb], params, [X.subset(included, []), Xb]);
+      expect(sm1.modelDistance).to.be.deep.equal(sm2.modelDistance);
+      expect(() => simcamfit([m, mb], params, [X.subset(Index.seq(1, 40), []), Xb])).to.throw(Error,
+         'simcamfit: calibration set for a model with excluded outliers must contain all objects used to fit it.');
+   });
+
+   it ('tests for method "robpcafit"', function () {
+
+      // data with two normally distributed latent variables and 20 outliers
+      const T = cbind(rnorm(200, 0, 5), rnorm(200, 0, 2));
+      const P = Matrix.rand(8, 2, -1, 1);
+      const X = tcrossprod(T, P).add(Matrix.rand(200, 8, -0.5, 0.5));
+      for (let r = 1; r <= 20; r++) {
+         for (let c = 1; c <= 8; c++) {
+            X.v[(c - 1) * 200 + r - 1] += c % 2 ? 15 : -15;
+         }
+      }
+
+      // errors
+      expect(() => robpcafit(X.subset([1, 2], []), 1)).to.throw(Error, 'robpcafit: parameter "X" must be a matrix with at least three rows and two columns.');
+      expect(() => robpcafit(X, 9)).to.throw(Error, 'robpcafit: wrong value for "ncomp" parameter.');
+      expect(() => robpcafit(X, 2, false, 0.4)).to.throw(Error, 'robpcafit: wrong value for "alpha" parameter (must be between 0.5 and 1).');
+      expect(() => robpcafit(X, 2, false, 0.75, 0)).to.throw(Error, 'robpcafit: wrong value for "seed" parameter (must be a positive integer).');
+      expect(() => robpcafit(X, 2, false, 0.75, 1.5)).to.throw(Error, 'robpcafit: wrong value for "seed" parameter (must be a positive integer).');
+
+      // robust model must be close to the model created without outliers
+      const m = robpcafit(X, 2);
+      const m0 = pcafit(X.subset(Index.seq(21, 200), []), 2);
+      const mc = pcafit(X, 2);
+
+      expect(m.class).to.be.deep.equal(['pcamodel']);
+      expect(m.method).to.be.equal('robust');
+      expect(Object.keys(m).filter(k => k !== 'method')).to.be.deep.equal(Object.keys(mc));
+      expect(m.ncomp).to.be.equal(2);
+      expect(m.nCalObj).to.be.equal(200);
+
+      // sum of squared cosines between the loadings is 2 if both models have the same subspace
+      expect(ssq(crossprod(m.P, m0.P).v) > 1.98).to.be.true;
+      expect(crossprod(m.P)).to.be.deep.almost.equal(Matrix.eye(2));
+      expect(m.eigenvals.v[0] > m.eigenvals.v[1]).to.be.true;
+      expect(Math.abs(m.eigenvals.v[0] / m0.eigenvals.v[0] - 1) < 0.3).to.be.true;
+      m.mX.v.forEach((v, i) => expect(Math.abs(v - m0.mX.v[i]) < 1).to.be.true);
+
+      // the same seed gives the same model
+      expect(robpcafit(X, 2)).to.be.deep.equal(m);
+      expect(robpcafit(X, 2, false, 0.75, 5)).to.be.deep.equal(robpcafit(X, 2, false, 0.75, 5));
+
+      // outliers are detected using the robust model
+      const r = pcacategorize(m, m.results.cal, 0.05, 0.01, 'robust');
+      expect(r.categories.which('outlier').subset(Index.seq(1, 20))).to.be.deep.equal(Index.seq(1, 20));
+
+      // model can be used for predictions and SIMCA classification
+      const res = pcapredict(m, X);
+      expect(res.T).to.be.deep.almost.equal(m.results.cal.T);
+      expect(res.Q).to.be.deep.almost.equal(m.results.cal.Q);
+      const c = simcapredict(m, getsimcaparams('A', 0.05, 'robust'), X);
+      expect(c.classres.cPred[1].which('none').subset(Index.seq(1, 20))).to.be.deep.equal(Index.seq(1, 20));
+
+      // data with more variables than objects and scaling
+      const Xw = tcrossprod(Matrix.rand(20, 3, -5, 5), Matrix.rand(50, 3, -1, 1)).add(Matrix.rand(20, 50, -0.5, 0.5));
+      const mw = robpcafit(Xw, 3, true);
+      expect(mw.P.nrows).to.be.equal(50);
+      expect(mw.P.ncols).to.be.equal(3);
+      expect(crossprod(mw.P)).to.be.deep.almost.equal(Matrix.eye(3));
+      expect(mw.sX.v.every(v => v > 0)).to.be.true;
+      expect(mw.results.cal.cumexpvar.v[2] > 80).to.be.true;
+   });
+
+   it ('tests for method "pcafit" with missing values', function () {
+
+      // data with three components and 5% of missing values (seeded generator so the test is repeatable)
+      let seed = 5;
+      const rand = (a, b) => (seed = seed * 16807 % 2147483647, a + (b - a) * seed / 2147483647);
+      const mrand = (nrows, ncols, a, b) => new Matrix(Float64Array.from({length: nrows * ncols}, () => rand(a, b)), nrows, ncols);
+      const X = tcrossprod(mrand(40, 3, -5, 5), mrand(12, 3, -1, 1)).add(mrand(40, 12, -0.05, 0.05));
+      const Xm = X.copy();
+      const ind = Array.from({length: 24}, (v, k) => Math.floor(k * 20 + rand(0, 20)) + 1);
+      ind.forEach(i => Xm.v[i - 1] = NaN);
+
+      // model without missing values does not have imputed values
+      const m0 = pcafit(X, 3, true, true);
+      expect(m0.results.cal.Ximputed).to.be.undefined;
+      expect(pcapredict(m0, X).Ximputed).to.be.undefined;
+
+      const m = pcafit(Xm, 3, true, true, ['ven', 4]);
+      expect(m.P.nrows).to.be.equal(12);
+      expect(m.P.ncols).to.be.equal(3);
+      expect(m.P.v.every(v => !isNaN(v))).to.be.true;
+      expect(m.eigenvals.v.every(v => !isNaN(v) && v > 0)).to.be.true;
+      expect(m.mX.v.every(v => !isNaN(v))).to.be.true;
+      expect(m.sX.v.every(v => !isNaN(v))).to.be.true;
+
+      // main results and distances do not have missing values
+      const cal = m.results.cal;
+      for (let name of ['T', 'H', 'Q']) {
+         expect(cal[name].v.every(v => !isNaN(v))).to.be.true;
+         expect(m.results.cv[name] === undefined || m.results.cv[name].v.every(v => !isNaN(v))).to.be.true;
+      }
+      expect(cal.cumexpvar.v[2] > 99).to.be.true;
+      expect(m.results.cv.expvar.v.every(v => !isNaN(v))).to.be.true;
+      expect(m.results.cv.cumexpvar.v[2] > 95).to.be.true;
+
+      // Q distance for rows with missing values is scaled by the number of observed variables
+      const Xp = prep_scale(Xm, m.mX, m.sX);
+      const E = Xp.subtract(tcrossprod(cal.T, m.P));
+      for (let r = 0; r < 40; r++) {
+         const e = E.v.filter((v, i) => i % 40 === r && !isNaN(v));
+         expect(cal.Q.v[80 + r]).to.be.closeTo(ssq(e) * 12 / e.length, 1e-10);
+      }
+
+      // loadings and explained variance are close to the ones from model without missing values
+      expect(ssq(crossprod(m.P, m0.P).v) > 2.95).to.be.true;
+      cal.cumexpvar.v.forEach((v, i) => expect(Math.abs(v - m0.results.cal.cumexpvar.v[i]) < 2).to.be.true);
+
+      // imputed values are close to the original ones
+      const Xi = cal.Ximputed;
+      expect(Xi.nrows).to.be.equal(40);
+      expect(Xi.ncols).to.be.equal(12);
+      for (let i = 0; i < X.v.length; i++) {
+         if (Xm.v[i] === Xm.v[i]) {
+            expect(Xi.v[i]).to.be.equal(Xm.v[i]);
+         }
+      }
+      const rmse = Math.sqrt(ind.reduce((s, i) => s + (Xi.v[i - 1] - X.v[i - 1]) ** 2, 0) / ind.length);
+      expect(rmse < 0.35 * sd(X.v)).to.be.true;
+
+      // predictions for the calibration set give the same results
+      const r = pcapredict(m, Xm);
+      expect(r.T).to.be.deep.almost.equal(cal.T);
+      expect(r.Q).to.be.deep.almost.equal(cal.Q);
+      expect(r.Ximputed).to.be.deep.almost.equal(cal.Ximputed);
+
+      // SIMCA classification works for data with missing values
+      const c = simcapredict(m, getsimcaparams('A', 0.05, 'classic'), Xm);
+      expect(c.classres.cPred.length).to.be.equal(3);
+   });
+
    it ('tests for method "pcapredict"', function () {
 
       const X1 = Matrix.rand(50, 10);
@@ -709,6 +2135,13 @@ describe('Tests for polynomial regression methods.', function () {
 
       const yp = polypredict(m, x);
       expect(yp).to.be.deep.almost(y);
+
+      // intervals
+      const r = polypredict(m, vector([2.5]), 'confidence', 0.99);
+      const rl = lmpredict(m, polymat(vector([2.5]), 3), 'confidence', 0.99);
+      expect(r.ypred).to.be.deep.almost(vector([16.25]));
+      expect(r.lower).to.be.deep.almost(rl.lower);
+      expect(r.upper).to.be.deep.almost(rl.upper);
    });
 
 });
@@ -781,6 +2214,212 @@ describe('Tests for lm (MLR) methods.', function () {
 
    });
 
+   it ('tests for method "lmfit" with weights.', function () {
+
+      const X = vector([1, 2, 3, 4, 5]);
+      const y = vector([10, 19, 31, 39, 55]);
+      const w = X.apply(v => 1 / (v * v));
+
+      // errors
+      expect(() => lmfit(X, y, vector([1, 1, 1]))).to.throw(Error,
+         'lmfit: argument "w" must be a vector with positive weight for every object.');
+      expect(() => lmfit(X, y, vector([1, 1, 0, 1, 1]))).to.throw(Error,
+         'lmfit: argument "w" must be a vector with positive weight for every object.');
+
+      // unit weights give ordinary least squares
+      const m0 = lmfit(X, y);
+      const m1 = lmfit(X, y, Vector.ones(5));
+      expect(m1.coeffs.estimate).to.be.deep.almost(m0.coeffs.estimate);
+      expect(m1.coeffs.se).to.be.deep.almost(m0.coeffs.se);
+      expect(m1.stat.R2).to.be.almost(m0.stat.R2);
+      expect(m0.data.w).to.be.deep.equal(Vector.ones(5));
+
+      // weights 1/x^2
+      const m = lmfit(X, y, w);
+      expect(m.data.w).to.be.deep.equal(w);
+      expect(m.coeffs.estimate).to.be.deep.almost(vector([-0.6362, 10.4072]));
+      expect(m.coeffs.se).to.be.deep.almost(vector([0.9688, 0.5242]));
+      expect(m.coeffs.tstat).to.be.deep.almost(vector([-0.6567, 19.8544]));
+      expect(m.coeffs.p).to.be.deep.almost(m.coeffs.tstat.apply(t => 2 * pt(-Math.abs(t), 3)));
+      expect(m.coeffs.lower).to.be.deep.almost(m.coeffs.estimate.subtract(m.coeffs.se.mult(qt(0.975, 3))));
+      expect(m.fitted).to.be.deep.almost(X.mult(10.4072).add(-0.6362));
+      expect(m.stat.DoF).to.be.equal(3);
+      expect(m.stat.se).to.be.almost(0.6285);
+      expect(m.stat.R2).to.be.almost(0.9924);
+      expect(m.stat.R2adj).to.be.almost(0.9899);
+      expect(m.stat.Fstat).to.be.almost(394.197);
+
+      // scaling of weights does not change estimates and their statistics
+      const m2 = lmfit(X, y, w.mult(100));
+      expect(m2.coeffs.estimate).to.be.deep.almost(m.coeffs.estimate);
+      expect(m2.coeffs.se).to.be.deep.almost(m.coeffs.se);
+      expect(m2.coeffs.p).to.be.deep.almost(m.coeffs.p);
+      expect(m2.stat.R2).to.be.almost(m.stat.R2);
+      expect(m2.stat.se).to.be.almost(m.stat.se * 10);
+
+      // integer weights give the same estimates as replicated observations
+      const mr = lmfit(vector([1, 1, 2, 3, 3, 3, 4, 5]), vector([10, 10, 19, 31, 31, 31, 39, 55]));
+      expect(lmfit(X, y, vector([2, 1, 3, 1, 1])).coeffs.estimate).to.be.deep.almost(mr.coeffs.estimate);
+
+      // weighted polynomial model
+      const mp = polyfit(X, y, 1, w);
+      expect(mp.coeffs.estimate).to.be.deep.almost(m.coeffs.estimate);
+   });
+
+   it ('tests for regression diagnostics of "lmfit".', function () {
+
+      const X = vector([1, 2, 3, 4, 5]);
+      const y = vector([10, 19, 31, 39, 55]);
+      const m = lmfit(X, y);
+      const d = m.diagnostics;
+
+      expect(d.hat).to.be.deep.almost(vector([0.6, 0.3, 0.2, 0.3, 0.6]));
+      expect(d.residuals).to.be.deep.almost(y.subtract(m.fitted));
+      expect(d.stdres).to.be.deep.almost(vector([0.8542, -0.4305, 0.1007, -1.5067, 1.5661]));
+      expect(d.studres).to.be.deep.almost(vector([0.8018, -0.3629, 0.0823, -2.4944, 2.9938]));
+      expect(d.cooksd).to.be.deep.almost(vector([0.5473, 0.0397, 0.0013, 0.4865, 1.8395]));
+      expect(d.dffits).to.be.deep.almost(vector([0.9820, -0.2376, 0.0412, -1.6330, 3.6667]));
+      expect(d.dfbetas.nrows).to.be.equal(5);
+      expect(d.dfbetas.ncols).to.be.equal(2);
+      expect(d.dfbetas.getcolumn(1)).to.be.deep.almost(vector([0.9670, -0.2068, 0.0176, 0.2843, -1.8053]));
+      expect(d.dfbetas.getcolumn(2)).to.be.deep.almost(vector([-0.8018, 0.1372, 0.0, -0.9428, 2.9938]));
+
+      // sum of hat values is equal to number of coefficients
+      const X2 = matrix([1, 2, 3, 4, 5, 6, 7, 10, 20, 10, 20, 10, 30, 20], 7, 2);
+      const y2 = vector([10, 19, 31, 39, 55, 60, 72]);
+      const w2 = vector([1, 2, 1, 2, 1, 2, 1]);
+      const m2 = lmfit(X2, y2, w2);
+      expect(sum(m2.diagnostics.hat)).to.be.almost(3);
+
+      // change of coefficients when an observation is removed
+      const ind = Index.seq(1, 6);
+      const m2i = lmfit(X2.subset(ind, []), y2.subset(ind), w2.subset(ind));
+      const si = m2i.stat.se;
+      const db = m2.coeffs.estimate.subtract(m2i.coeffs.estimate);
+      const sb = m2.coeffs.se.divide(m2.stat.se);
+      expect(m2.diagnostics.dfbetas.getrow(7)).to.be.deep.almost(db.divide(sb.mult(si)));
+
+      // studentized residual is based on standard error without the observation
+      const e7 = m2.diagnostics.residuals.v[6];
+      const h7 = m2.diagnostics.hat.v[6];
+      expect(m2.diagnostics.studres.v[6]).to.be.almost(e7 / (si * Math.sqrt(1 - h7)));
+   });
+
+   it('tests for method "lmpredict" with intervals.', function () {
+
+      const X = vector([1, 2, 3, 4, 5]);
+      const y = vector([10, 19, 31, 39, 55]);
+      const m = lmfit(X, y);
+      const Xt = vector([3, 6]);
+
+      // errors
+      expect(() => lmpredict(m, Xt, 'abc')).to.throw(Error, 'lmpredict: parameter "interval" must be either "confidence" or "prediction".');
+      expect(() => lmpredict(m, Xt, 'confidence', 1.5)).to.throw(Error, 'lmpredict: parameter "level" must be a number between 0 and 1.');
+      expect(() => lmpredict(m, Xt, 'prediction', 0.95, vector([1]))).to.throw(Error, 'lmpredict: argument "w" must be a vector with positive weight for every object.');
+
+      // confidence intervals for mean response
+      const r1 = lmpredict(m, Xt, 'confidence');
+      expect(r1.interval).to.be.equal('confidence');
+      expect(r1.level).to.be.equal(0.95);
+      expect(r1.ypred).to.be.deep.almost(lmpredict(m, Xt));
+      expect(r1.se).to.be.deep.almost(vector([0.9933, 2.3295]));
+      expect(r1.lower).to.be.deep.almost(vector([27.6388, 56.3864]));
+      expect(r1.upper).to.be.deep.almost(vector([33.9612, 71.2136]));
+
+      // prediction intervals for new observations
+      const r2 = lmpredict(m, Xt, 'prediction');
+      expect(r2.se).to.be.deep.almost(r1.se);
+      expect(r2.lower).to.be.deep.almost(vector([23.0568, 53.5567]));
+      expect(r2.upper).to.be.deep.almost(vector([38.5432, 74.0433]));
+
+      // smaller confidence level gives narrower intervals
+      const r3 = lmpredict(m, Xt, 'prediction', 0.90);
+      expect(r3.upper.subtract(r3.lower).v.every((v, i) => v < r2.upper.v[i] - r2.lower.v[i])).to.be.true;
+
+      // weights of new observations for weighted model
+      const mw = lmfit(X, y, X.apply(v => 1 / v));
+      const r4 = lmpredict(mw, Xt, 'prediction', 0.95, Xt.apply(v => 1 / v));
+      const tCrit = qt(0.975, 3);
+      const s = mw.stat.se;
+      expect(r4.upper.subtract(r4.ypred)).to.be.deep.almost(r4.se.apply(v => v * v).add(Xt.mult(s * s)).apply(Math.sqrt).mult(tCrit));
+   });
+
+   it('tests for method "anova".', function () {
+
+      const X = matrix([1, 2, 3, 4, 5, 6, 7, 10, 20, 10, 20, 10, 30, 20, 3, 1, 4, 1, 5, 9, 2], 7, 3);
+      const y = vector([10, 19, 31, 39, 55, 60, 72]);
+      const m = lmfit(X, y);
+
+      // residual sum of squares for model with selected columns
+      const rss = (cols) => {
+         const mc = lmfit(X.subset([], cols), y);
+         return mc.stat.se * mc.stat.se * mc.stat.DoF;
+      };
+      const ssy = variance(y) * 6;
+
+      // errors
+      expect(() => anova({})).to.throw(Error, 'anova: parameter "m" must be object with "lm" model.');
+      expect(() => anova(m, 4)).to.throw(Error, 'anova: parameter "type" must be 1, 2, 3 or another linear model.');
+      expect(() => anova(m, lmfit(X, y.add(1)))).to.throw(Error, 'anova: models must be fitted for the same response values.');
+      expect(() => anova(m, lmfit(X.subset([], [3, 2, 1]), y))).to.throw(Error, 'anova: models must have different number of parameters.');
+
+      // type I — sequential sums of squares
+      const a1 = anova(m);
+      expect(a1.class).to.be.deep.equal(['anova']);
+      expect(a1.type).to.be.equal(1);
+      expect(a1.rowNames).to.be.deep.equal(['X1', 'X2', 'X3', 'Residuals']);
+      expect(a1.DoF).to.be.deep.equal(vector([1, 1, 1, 3]));
+      expect(a1.SS).to.be.deep.almost(vector([ssy - rss([1]), rss([1]) - rss([1, 2]), rss([1, 2]) - rss([1, 2, 3]), rss([1, 2, 3])]));
+      expect(sum(a1.SS)).to.be.almost(ssy);
+      expect(a1.MS.v[3]).to.be.almost(m.stat.se * m.stat.se);
+      expect(isNaN(a1.Fstat.v[3])).to.be.true;
+      expect(isNaN(a1.p.v[3])).to.be.true;
+
+      // type III — F-values are squared t-values of the coefficients
+      const a3 = anova(m, 3);
+      expect(a3.type).to.be.equal(3);
+      expect(a3.Fstat.subset([1, 2, 3])).to.be.deep.almost(m.coeffs.tstat.subset([2, 3, 4]).apply(v => v * v));
+      expect(a3.p.subset([1, 2, 3])).to.be.deep.almost(m.coeffs.p.subset([2, 3, 4]));
+      expect(a3.SS.v[2]).to.be.almost(a1.SS.v[2]);
+
+      // type II without interactions is the same as type III
+      const a2 = anova(m, 2);
+      expect(a2.SS).to.be.deep.almost(a3.SS);
+
+      // type II with interaction term, main effects are added before the interaction
+      const Xi = cbind(X.subset([], [1, 2]), X.subset([], 1).mult(X.subset([], 2)));
+      const mi = lmfit(Xi, y);
+      mi.terms = [
+         {name: 'A', columns: [1], vars: ['A']},
+         {name: 'B', columns: [2], vars: ['B']},
+         {name: 'A:B', columns: [3], vars: ['A', 'B']}
+      ];
+      const rssi = (cols) => {
+         const mc = lmfit(Xi.subset([], cols), y);
+         return mc.stat.se * mc.stat.se * mc.stat.DoF;
+      };
+      const ai = anova(mi, 2);
+      expect(ai.rowNames).to.be.deep.equal(['A', 'B', 'A:B', 'Residuals']);
+      expect(ai.SS.v[0]).to.be.almost(rssi([2]) - rssi([1, 2]));
+      expect(ai.SS.v[1]).to.be.almost(rssi([1]) - rssi([1, 2]));
+      expect(ai.SS.v[2]).to.be.almost(rssi([1, 2]) - rssi([1, 2, 3]));
+      expect(anova(mi, 3).SS.v[0]).to.be.almost(rssi([2, 3]) - rssi([1, 2, 3]));
+
+      // comparison of nested models (order of the models does not matter)
+      const m1 = lmfit(X.subset([], 1), y);
+      const an = anova(m1, m);
+      expect(an.type).to.be.equal('nested');
+      expect(an.resDoF).to.be.deep.equal(vector([5, 3]));
+      expect(an.RSS).to.be.deep.almost(vector([rss([1]), rss([1, 2, 3])]));
+      expect(an.DoF.v[1]).to.be.equal(2);
+      expect(an.SS.v[1]).to.be.almost(rss([1]) - rss([1, 2, 3]));
+      expect(an.Fstat.v[1]).to.be.almost((rss([1]) - rss([1, 2, 3])) / 2 / (m.stat.se * m.stat.se));
+      expect(anova(m, m1)).to.be.deep.equal(an);
+
+      // model with one more term — F is the same as for type I
+      expect(anova(lmfit(X.subset([], [1, 2]), y), m).Fstat.v[1]).to.be.almost(a1.Fstat.v[2]);
+   });
+
    it('tests for method "lmpredict".', function () {
 
       // vector - vector
@@ -805,4 +2444,556 @@ describe('Tests for lm (MLR) methods.', function () {
       yp2.should.be.eql(m2.fitted);
    });
 
+   it('tests for method "modelmatrix".', function () {
+
+      const data = {
+         y: vector([10, 19, 31, 39, 55, 60, 72, 80, 95]),
+         x1: vector([1, 2, 3, 4, 5, 6, 7, 8, 9]),
+         x2: vector([3, 1, 4, 1, 5, 9, 2, 6, 5]),
+         group: factor(['A', 'B', 'C', 'A', 'B', 'C', 'A', 'B', 'C'])
+      };
+
+      // errors
+      expect(() => modelmatrix(1, data)).to.throw(Error, 'modelmatrix: parameter "formula" must be a string.');
+      expect(() => modelmatrix('y ~ x1', null)).to.throw(Error, 'modelmatrix: parameter "data" must be an object with variables.');
+      expect(() => modelmatrix('y ~ x1 ~ x2', data)).to.throw(Error, 'modelmatrix: wrong formula.');
+      expect(() => modelmatrix('y ~ x1 + (x2)', data)).to.throw(Error, 'modelmatrix: wrong formula.');
+      expect(() => modelmatrix('y ~ 0 + x1', data)).to.throw(Error, 'modelmatrix: models without intercept are not supported.');
+      expect(() => modelmatrix('y ~ x1 - 1', data)).to.throw(Error, 'modelmatrix: models without intercept are not supported.');
+      expect(() => modelmatrix('y ~ x3', data)).to.throw(Error, 'modelmatrix: variable "x3" must be a vector or a factor.');
+      expect(() => modelmatrix('y ~ group', data, 'poly')).to.throw(Error, 'modelmatrix: wrong value for "contrasts" parameter (must be "treatment", "sum" or "helmert").');
+      expect(() => modelmatrix('y ~ g', {...data, g: factor(['A', 'A'])})).to.throw(Error, 'modelmatrix: factor "g" must have at least two levels.');
+      expect(() => modelmatrix('y ~ x1 + x3', {...data, x3: vector([1, 2])})).to.throw(Error, 'modelmatrix: all variables must have the same number of values.');
+      expect(() => modelmatrix('z ~ x1', data)).to.throw(Error, 'modelmatrix: response "z" must be a vector with the same number of values as the variables.');
+
+      // treatment contrasts, first level is reference
+      const mm1 = modelmatrix('y ~ group', data);
+      expect(mm1.class).to.be.deep.equal(['modelmatrix']);
+      expect(mm1.y).to.be.deep.equal(data.y);
+      expect(mm1.colNames).to.be.deep.equal(['groupB', 'groupC']);
+      expect(Array.from(mm1.X.getcolumn(1).v)).to.be.deep.equal([0, 1, 0, 0, 1, 0, 0, 1, 0]);
+      expect(Array.from(mm1.X.getcolumn(2).v)).to.be.deep.equal([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+
+      // sum and helmert contrasts
+      const mm2 = modelmatrix('group', data, 'sum');
+      expect(mm2.y).to.be.null;
+      expect(mm2.colNames).to.be.deep.equal(['group1', 'group2']);
+      expect(Array.from(mm2.X.getcolumn(1).v.subarray(0, 3))).to.be.deep.equal([1, 0, -1]);
+      expect(Array.from(mm2.X.getcolumn(2).v.subarray(0, 3))).to.be.deep.equal([0, 1, -1]);
+
+      const mm3 = modelmatrix('y ~ group', data, {group: 'helmert'});
+      expect(Array.from(mm3.X.getcolumn(1).v.subarray(0, 3))).to.be.deep.equal([-1, 1, 0]);
+      expect(Array.from(mm3.X.getcolumn(2).v.subarray(0, 3))).to.be.deep.equal([-1, -1, 2]);
+
+      // interactions, terms are ordered by number of variables
+      const mm4 = modelmatrix('y ~ x2:group + x1 + x2 * group', data);
+      expect(mm4.colNames).to.be.deep.equal(['x1', 'x2', 'groupB', 'groupC', 'x2:groupB', 'x2:groupC']);
+      expect(mm4.terms.map(t => t.name)).to.be.deep.equal(['x1', 'x2', 'group', 'x2:group']);
+      expect(mm4.terms[3].columns).to.be.deep.equal([5, 6]);
+      expect(mm4.terms[3].vars).to.be.deep.equal(['x2', 'group']);
+      expect(mm4.X.getcolumn(5)).to.be.deep.equal(data.x2.mult(mm4.X.getcolumn(3)));
+
+      // coding does not depend on the contrasts, so fitted values are the same
+      const m1 = lmfit(mm1);
+      const m3 = lmfit(mm3);
+      expect(m1.colNames).to.be.deep.equal(mm1.colNames);
+      expect(m1.terms).to.be.deep.equal(mm1.terms);
+      expect(m3.fitted).to.be.deep.almost(m1.fitted);
+
+      // fitted values are group means
+      expect(m1.fitted.v[0]).to.be.almost((10 + 39 + 72) / 3);
+      expect(m1.fitted.v[1]).to.be.almost((19 + 55 + 80) / 3);
+
+      // predictions for new data with levels in different order and a subset of levels
+      const newdata = {
+         x1: vector([2, 3, 10]),
+         x2: vector([1, 4, 0]),
+         group: factor(['C', 'A', 'C'])
+      };
+      const m4 = lmfit(mm4);
+      expect(lmpredict(m4, newdata)).to.be.deep.almost(lmpredict(m4, matrix([
+         2, 3, 10, 1, 4, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 0], 3, 6)));
+      expect(lmpredict(m4, {...data, y: undefined})).to.be.deep.almost(m4.fitted);
+
+      // new design created from the new data has its own coding
+      expect(modelmatrix('x1 + x2 * group', newdata).colNames).to.be.deep.equal(['x1', 'x2', 'groupA', 'x2:groupA']);
+      expect(() => lmpredict(m4, {...newdata, group: factor(['D', 'A', 'C'])})).to.throw(Error,
+         'modelmatrix: factor "group" has level "D", which was not used to create the design.');
+      expect(() => lmpredict(m4, {...newdata, x1: factor(['D', 'A', 'C'])})).to.throw(Error,
+         'modelmatrix: variable "x1" must be a vector.');
+
+      // intervals for new data
+      const pi = lmpredict(m4, newdata, 'prediction');
+      expect(pi.ypred).to.be.deep.almost(lmpredict(m4, newdata));
+
+      // anova uses the terms from the design
+      const a = anova(m4, 2);
+      expect(a.rowNames).to.be.deep.equal(['x1', 'x2', 'group', 'x2:group', 'Residuals']);
+      expect(a.DoF).to.be.deep.equal(vector([1, 1, 2, 2, 2]));
+   });
+
+});
+
+
+describe('Tests for selection of terms in linear models.', function () {
+
+   // responses depend on the first and the third predictors
+   const n = 30;
+   let seed = 3;
+   const rand = () => (seed = seed * 16807 % 2147483647, seed / 2147483647 - 0.5);
+   const X = new Matrix(Float64Array.from({length: n * 6}, rand), n, 6);
+   const y = reshape(X.dot(vector([3, 0, -2, 0, 0, 0])), n).add(vector(Array.from({length: n}, () => 0.2 * rand())));
+   const m = lmfit(X, y);
+
+   // AIC computed using model with selected columns
+   const aic = (cols) => {
+      const rss = cols.length > 0 ? (v => v.stat.se * v.stat.se * v.stat.DoF)(lmfit(X.subset([], cols), y)) :
+         variance(y) * (n - 1);
+      return n * Math.log(rss / n) + 2 * (cols.length + 1);
+   };
+
+   it('tests for method "lmstepwise".', function () {
+
+      // errors
+      expect(() => lmstepwise({})).to.throw(Error, 'lmstepwise: parameter "m" must be object with "lm" model.');
+      expect(() => lmstepwise(m, 'up')).to.throw(Error, 'lmstepwise: parameter "direction" must be "forward", "backward" or "both".');
+      expect(() => lmstepwise(m, 'both', 'r2')).to.throw(Error, 'lmstepwise: parameter "criterion" must be "aic", "bic" or "p".');
+      expect(() => lmstepwise(m, 'both', 'p', [0.1, 0.05])).to.throw(Error,
+         'lmstepwise: parameter "param" must be an array with two significance levels, the first can not be larger than the second.');
+
+      // forward selection
+      const sf = lmstepwise(m, 'forward');
+      expect(sf.class).to.be.deep.equal(['lmselect']);
+      expect(sf.method).to.be.equal('forward');
+      expect(sf.criterion).to.be.equal('aic');
+      expect(sf.trace.action.slice(0, 3)).to.be.deep.equal(['start', 'add', 'add']);
+      expect(sf.trace.term.slice(0, 3)).to.be.deep.equal(['', 'X1', 'X3']);
+      expect(sf.trace.AIC.v[0]).to.be.almost(aic([]));
+      expect(sf.trace.AIC.v[1]).to.be.almost(aic([1]));
+      expect(sf.trace.AIC.v[2]).to.be.almost(aic([1, 3]));
+      expect(sf.trace.AIC.v.every((v, i) => i === 0 || v < sf.trace.AIC.v[i - 1])).to.be.true;
+      expect(sf.trace.npar.v[2]).to.be.equal(3);
+      expect(isNaN(sf.trace.p.v[0])).to.be.true;
+      expect(sf.selectedTerms.v[0]).to.be.equal(1);
+      expect(sf.selected.slice(0, 2)).to.be.deep.equal(['X1', 'X3']);
+      expect(sf.model.coeffs.estimate.length).to.be.equal(sf.selected.length + 1);
+
+      // backward selection starts from full model
+      const sb = lmstepwise(m, 'backward', 'bic');
+      expect(sb.trace.npar.v[0]).to.be.equal(7);
+      expect(sb.trace.action.slice(1).every(v => v === 'remove')).to.be.true;
+      expect(sb.trace.BIC.v[0]).to.be.almost(aic([1, 2, 3, 4, 5, 6]) + (Math.log(n) - 2) * 7);
+      expect(sb.selected).to.be.deep.equal(['X1', 'X3']);
+      expect(sb.model.fitted).to.be.deep.almost(lmfit(X.subset([], [1, 3]), y).fitted);
+
+      // selection based on p-values
+      const sp = lmstepwise(m, 'both', 'p');
+      expect(sp.selected).to.be.deep.equal(['X1', 'X3']);
+      expect(sp.trace.p.v[1] < 0.05 && sp.trace.p.v[2] < 0.05).to.be.true;
+      expect(sp.trace.p.v[2]).to.be.almost(anova(lmfit(X.subset([], 1), y), lmfit(X.subset([], [1, 3]), y)).p.v[1]);
+
+      // no terms can be selected
+      const s0 = lmstepwise(lmfit(X.subset([], [2, 4]), y), 'forward', 'p', [0.001, 0.001]);
+      expect(s0.selected).to.be.deep.equal([]);
+      expect(s0.model).to.be.null;
+   });
+
+   it('tests for method "lmbestsubset".', function () {
+
+      // errors
+      expect(() => lmbestsubset({})).to.throw(Error, 'lmbestsubset: parameter "m" must be object with "lm" model.');
+      expect(() => lmbestsubset(m, 'p')).to.throw(Error, 'lmbestsubset: parameter "criterion" must be "aic", "bic" or "r2adj".');
+      expect(() => lmbestsubset(m, 'bic', 7)).to.throw(Error, 'lmbestsubset: parameter "nmax" must be an integer between 1 and number of terms.');
+      const Xw = new Matrix(Float64Array.from({length: 20 * 16}, rand), 20, 16);
+      expect(() => lmbestsubset(lmfit(Xw, vector(Array.from({length: 20}, rand))))).to.throw(Error,
+         'lmbestsubset: number of terms is too large for exhaustive search (can not exceed 15).');
+
+      const s = lmbestsubset(m);
+      expect(s.method).to.be.equal('bestsubset');
+      expect(s.criterion).to.be.equal('bic');
+      expect(s.selected).to.be.deep.equal(['X1', 'X3']);
+      expect(s.subsets.nterms).to.be.deep.equal(index([1, 2, 3, 4, 5, 6]));
+      expect(s.subsets.terms[0]).to.be.deep.equal(['X1']);
+      expect(s.subsets.terms[5]).to.be.deep.equal(['X1', 'X2', 'X3', 'X4', 'X5', 'X6']);
+      expect(s.subsets.RSS.v.every((v, i) => i === 0 || v <= s.subsets.RSS.v[i - 1])).to.be.true;
+      expect(s.subsets.R2adj.v[5]).to.be.almost(m.stat.R2adj);
+
+      // best pair of predictors is found among all pairs
+      let best = Infinity;
+      for (let i = 1; i <= 6; i++) {
+         for (let j = i + 1; j <= 6; j++) {
+            best = Math.min(best, aic([i, j]));
+         }
+      }
+      expect(s.subsets.AIC.v[1]).to.be.almost(best);
+
+      // limited number of terms
+      const s2 = lmbestsubset(m, 'r2adj', 2);
+      expect(s2.subsets.nterms).to.be.deep.equal(index([1, 2]));
+      expect(s2.selected).to.be.deep.equal(['X1', 'X3']);
+   });
+
+   it('tests for selection of terms from design matrix.', function () {
+
+      const data = {
+         y: y.add(vector(Array.from({length: n}, (v, i) => i % 3 === 0 ? 1 : 0))),
+         x1: X.getcolumn(1),
+         x2: X.getcolumn(2),
+         x3: X.getcolumn(3),
+         g: factor(Array.from({length: n}, (v, i) => ['A', 'B', 'C'][i % 3]))
+      };
+
+      const mm = lmfit(modelmatrix('y ~ x1 + x3 + x2 * g', data));
+
+      // interaction can not be added before main effects
+      const s = lmstepwise(mm, 'forward');
+      expect(s.selected).to.be.deep.equal(['x1', 'x3', 'g']);
+      const sb = lmbestsubset(mm, 'aic');
+      expect(sb.selected).to.be.deep.equal(['x1', 'x3', 'g']);
+      expect(sb.subsets.terms.every(t => !t.includes('x2:g') || (t.includes('x2') && t.includes('g')))).to.be.true;
+
+      // final model can be used for new data
+      expect(s.model.colNames).to.be.deep.equal(['x1', 'x3', 'gB', 'gC']);
+      expect(s.model.design.formula).to.be.equal('y ~ x1 + x3 + g');
+      expect(s.model.terms[2].columns).to.be.deep.equal([3, 4]);
+      expect(lmpredict(s.model, data)).to.be.deep.almost(s.model.fitted);
+   });
+
+});
+
+
+describe('Tests for generalized linear models.', function () {
+
+   it('tests for method "glmfit" with poisson family.', function () {
+
+      // example from Dobson (1990), R: glm(counts ~ outcome + treatment, family = poisson())
+      const data = {
+         counts: vector([18, 17, 15, 20, 10, 20, 25, 13, 12]),
+         outcome: factor(['1', '2', '3', '1', '2', '3', '1', '2', '3']),
+         treatment: factor(['1', '1', '1', '2', '2', '2', '3', '3', '3'])
+      };
+
+      const m = glmfit(modelmatrix('counts ~ outcome + treatment', data), null, 'poisson');
+      expect(m.class).to.be.deep.equal(['glm']);
+      expect(m.family).to.be.equal('poisson');
+      expect(m.link).to.be.equal('log');
+      expect(m.colNames).to.be.deep.equal(['outcome2', 'outcome3', 'treatment2', 'treatment3']);
+
+      expect(m.coeffs.estimate).to.be.deep.almost(vector([3.044522, -0.454255, -0.292987, 0, 0]));
+      expect(m.coeffs.se).to.be.deep.almost(vector([0.1708987, 0.2021708, 0.1927423, 0.2, 0.2]));
+      expect(m.coeffs.zstat.v[1]).to.be.almost(-2.247);
+      expect(m.coeffs.p.v[1]).to.be.almost(0.0246, 0.0001);
+      expect(m.coeffs.lower.v[0]).to.be.almost(3.044522 - 1.959964 * 0.1708987);
+      expect(m.stat.deviance).to.be.almost(5.129141);
+      expect(m.stat.nullDeviance).to.be.almost(10.58145);
+      expect(m.stat.DoF).to.be.equal(4);
+      expect(m.stat.nullDoF).to.be.equal(8);
+      expect(m.stat.AIC).to.be.almost(56.76132);
+
+      // fitted values are expected counts
+      expect(glmpredict(m, data)).to.be.deep.almost(m.fitted);
+      expect(glmpredict(m, data, 'link')).to.be.deep.almost(m.fitted.apply(Math.log));
+      expect(m.fitted.v[0]).to.be.almost(21);
+
+      // errors
+      expect(() => glmfit(vector([1, 2, 3]), vector([1, -2, 3]), 'poisson')).to.throw(Error,
+         'glmfit: values of response for poisson family must be non-negative.');
+      expect(() => glmfit(vector([1, 2, 3]), vector([1, 2, 3]), 'poisson', 'logit')).to.throw(Error,
+         'glmfit: wrong value for "link" parameter (must be "logit" or "probit" for binomial family and "log" for poisson family).');
+      expect(() => glmfit(vector([1, 2, 3]), vector([1, 2, 3]), 'gamma')).to.throw(Error,
+         'glmfit: parameter "family" must be either "binomial" or "poisson".');
+   });
+
+   it('tests for method "glmfit" with binomial family.', function () {
+
+      const x = vector([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+      const y = vector([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]);
+      const X = reshape(x, 12, 1);
+
+      // errors
+      expect(() => glmfit(2, y)).to.throw(Error, 'glmfit: argument "X" must be a matrix or a vector.');
+      expect(() => glmfit(x, 2)).to.throw(Error, 'glmfit: argument "y" must be a vector.');
+      expect(() => glmfit(x, y.subset([1, 2]))).to.throw(Error, 'glmfit: arguments "X" and "y" must have the same number of objects.');
+      expect(() => glmfit(x, y.add(1))).to.throw(Error, 'glmfit: values of response for binomial family must be between 0 and 1.');
+      expect(() => glmfit(x, y, 'binomial', 'log')).to.throw(Error,
+         'glmfit: wrong value for "link" parameter (must be "logit" or "probit" for binomial family and "log" for poisson family).');
+      expect(() => glmfit(x, y, 'binomial', 'logit', Vector.zeros(12))).to.throw(Error,
+         'glmfit: argument "w" must be a vector with positive weight for every object.');
+
+      for (let link of ['logit', 'probit']) {
+         const m = glmfit(x, y, 'binomial', link);
+         expect(m.link).to.be.equal(link);
+
+         // the estimates are the solution of the score equations
+         const d = m.linear.apply(link === 'logit' ? (v => Math.exp(v) / Math.pow(1 + Math.exp(v), 2)) : dnorm);
+         const r = y.subtract(m.fitted).mult(d).divide(m.fitted.mult(m.fitted.apply(v => 1 - v)));
+         expect(sum(r)).to.be.almost(0);
+         expect(sum(r.mult(x))).to.be.almost(0);
+
+         // deviance of Bernoulli data is -2 * log-likelihood
+         expect(m.stat.deviance).to.be.almost(-2 * m.stat.logLik);
+         expect(m.stat.AIC).to.be.almost(m.stat.deviance + 4);
+         expect(m.stat.nullDeviance).to.be.almost(2 * 12 * Math.log(2));
+         expect(m.coeffs.p.v[1]).to.be.almost(2 * (1 - pnorm(Math.abs(m.coeffs.zstat.v[1]))));
+
+         // predictions are probabilities
+         const p = glmpredict(m, X);
+         expect(p).to.be.deep.almost(m.fitted);
+         expect(p.v.every(v => v > 0 && v < 1)).to.be.true;
+      }
+
+      // logistic regression for proportions with number of trials as weights gives the same
+      // estimates as for the individual outcomes
+      const xg = vector([1, 2, 3]);
+      const yg = vector([1 / 4, 2 / 4, 4 / 4]);
+      const wg = vector([4, 4, 4]);
+      const xi = vector([1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3]);
+      const yi = vector([1, 0, 0, 0, 1, 1, 0, 0, 1, 1, 1, 1]);
+      const mg = glmfit(xg, yg, 'binomial', 'logit', wg);
+      const mi = glmfit(xi, yi);
+      expect(mg.coeffs.estimate).to.be.deep.almost(mi.coeffs.estimate);
+      expect(mg.coeffs.se).to.be.deep.almost(mi.coeffs.se);
+      expect(mg.stat.deviance - mg.stat.nullDeviance).to.be.almost(mi.stat.deviance - mi.stat.nullDeviance);
+
+      // number of iterations and convergence
+      const m = glmfit(x, y);
+      expect(m.converged).to.be.true;
+      expect(m.iter).to.be.equal(4);
+      expect(glmfit(x, y, 'binomial', 'logit', null, 2).converged).to.be.false;
+      expect(glmfit(x, y, 'binomial', 'logit', null, 2).iter).to.be.equal(2);
+
+      // completely separated classes, the estimates grow until deviance is close to zero
+      const xs = vector([1, 2, 3, 4, 5, 6, 7, 8]);
+      const ys = vector([0, 0, 0, 0, 1, 1, 1, 1]);
+      const ms5 = glmfit(xs, ys, 'binomial', 'logit', null, 5);
+      expect(ms5.converged).to.be.false;
+      expect(ms5.iter).to.be.equal(5);
+      const ms = glmfit(xs, ys);
+      expect(ms.iter > 5).to.be.true;
+      expect(ms.coeffs.estimate.v[1] > ms5.coeffs.estimate.v[1]).to.be.true;
+      expect(ms.stat.deviance < 1e-6).to.be.true;
+
+      // errors for predictions
+      expect(() => glmpredict({}, X)).to.throw(Error, 'glmpredict: argument "m" must be object with "glm" model.');
+      expect(() => glmpredict(m, 2)).to.throw(Error, 'glmpredict: argument "X" must be a matrix or a vector.');
+      expect(() => glmpredict(m, matrix([1, 2], 1, 2))).to.throw(Error,
+         'glmpredict: number of columns in "X" does not match number of coefficients in model.');
+      expect(() => glmpredict(m, X, 'prob')).to.throw(Error, 'glmpredict: parameter "type" must be either "response" or "link".');
+   });
+
+});
+
+
+describe('Tests for penalized regression methods.', function () {
+
+   const n = 40;
+   const p = 8;
+   const X = new Matrix(Float64Array.from({length: n * p}, (v, i) => Math.sin(0.37 * (i + 1) * (i + 1))), n, p);
+   const y = reshape(X.dot(vector([3, -2, 0, 0, 1, 0, 0, 0])), n).add(vector(Array.from({length: n}, (v, i) => 0.1 * Math.cos(i * i))));
+   const [Xp, mX, sX] = prep_scale(X, true, true, true);
+   const yp = y.subtract(mean(y));
+
+   // coefficients for standardized predictors
+   const getb = (m, l) => m.coeffs.getcolumn(l).subset(Index.seq(2, p + 1)).mult(sX);
+
+   it('tests for method "enetfit".', function () {
+
+      // errors
+      expect(() => enetfit(y, y)).to.throw(Error, 'enetfit: argument "X" must be a matrix.');
+      expect(() => enetfit(X, X)).to.throw(Error, 'enetfit: argument "y" must be a vector.');
+      expect(() => enetfit(X, y.subset([1, 2, 3]))).to.throw(Error, 'enetfit: arguments "X" and "y" must have the same number of objects.');
+      expect(() => enetfit(X, y, 2)).to.throw(Error, 'enetfit: parameter "alpha" must be a number between 0 and 1.');
+      expect(() => enetfit(X, y, 1, 0)).to.throw(Error, 'enetfit: parameter "lambda" must be a number of values or a vector with positive values.');
+      expect(() => enetfit(X, y, 1, vector([1, -1]))).to.throw(Error, 'enetfit: parameter "lambda" must be a number of values or a vector with positive values.');
+
+      // lasso path
+      const m = enetfit(X, y);
+      expect(m.class).to.be.deep.equal(['enetmodel']);
+      expect(m.lambda.length).to.be.equal(100);
+      expect(m.coeffs.nrows).to.be.equal(p + 1);
+      expect(m.coeffs.ncols).to.be.equal(100);
+      expect(m.lambdaSelected).to.be.equal(m.lambda.v[99]);
+      expect(m.lambda.v[99] / m.lambda.v[0]).to.be.almost(0.0001);
+
+      // all coefficients are zero for the largest lambda and not zero after it
+      expect(m.df.v[0]).to.be.equal(0);
+      expect(m.df.v[1]).to.be.equal(1);
+      expect(m.R2.v[0]).to.be.almost(0);
+      expect(m.coeffs.v[0]).to.be.almost(mean(y));
+      expect(max(vector(Array.from({length: p}, (v, j) => Math.abs(sum(Xp.getcolumn(j + 1).mult(yp))) / n)))).to.be.almost(m.lambda.v[0]);
+
+      // KKT conditions for lasso
+      for (let l of [20, 50]) {
+         const b = getb(m, l);
+         const r = yp.subtract(reshape(Xp.dot(b), n));
+         for (let j = 0; j < p; j++) {
+            const g = sum(Xp.getcolumn(j + 1).mult(r)) / n;
+            if (b.v[j] === 0) {
+               expect(Math.abs(g) <= m.lambda.v[l - 1] + 1e-5).to.be.true;
+            } else {
+               expect(g).to.be.almost(m.lambda.v[l - 1] * Math.sign(b.v[j]), 1e-5);
+            }
+         }
+      }
+
+      // the smallest lambda gives coefficients close to least squares ones
+      expect(m.coeffs.getcolumn(100)).to.be.deep.almost(lmfit(X, y).coeffs.estimate, 0.005);
+      expect(m.R2.v[99]).to.be.almost(lmfit(X, y).stat.R2, 0.001);
+
+      // ridge regression has closed form solution
+      const lambda = vector([1, 0.1, 0.01]);
+      const mr = enetfit(X, y, 0, lambda);
+      expect(mr.lambda).to.be.deep.equal(lambda);
+      expect(Array.from(mr.df.v)).to.be.deep.equal([p, p, p]);
+      for (let l = 1; l <= 3; l++) {
+         const A = crossprod(Xp).divide(n).add(Matrix.eye(p).mult(lambda.v[l - 1]));
+         const b = reshape(A.inv().dot(crossprod(Xp, reshape(yp, n, 1)).divide(n)), p);
+         expect(getb(mr, l)).to.be.deep.almost(b, 0.001);
+      }
+
+      // elastic net — optimality conditions with both penalties
+      const me = enetfit(X, y, 0.5, vector([0.2, 0.05]));
+      const b = getb(me, 2);
+      const r = yp.subtract(reshape(Xp.dot(b), n));
+      for (let j = 0; j < p; j++) {
+         const g = sum(Xp.getcolumn(j + 1).mult(r)) / n - 0.025 * b.v[j];
+         if (b.v[j] === 0) {
+            expect(Math.abs(g) <= 0.025 + 1e-5).to.be.true;
+         } else {
+            expect(g).to.be.almost(0.025 * Math.sign(b.v[j]), 1e-5);
+         }
+      }
+
+      // lambda sequence is sorted
+      expect(enetfit(X, y, 1, vector([0.01, 0.1])).lambda).to.be.deep.equal(vector([0.1, 0.01]));
+
+      // more predictors than objects
+      const mw = enetfit(X.subset(Index.seq(1, 6), []), y.subset(Index.seq(1, 6)), 1, 20);
+      expect(mw.lambda.v[19] / mw.lambda.v[0]).to.be.almost(0.01);
+      expect(mw.df.v[19] <= 6).to.be.true;
+      expect(mw.coeffs.getcolumn(20).v.every(v => isFinite(v))).to.be.true;
+   });
+
+   it('tests for method "enetfit" with cross-validation.', function () {
+
+      const m = enetfit(X, y, 1, 50, true, ['ven', 5]);
+      expect(m.cv.class).to.be.deep.equal(['cvres']);
+      expect(m.cv.Ypred.nrows).to.be.equal(n);
+      expect(m.cv.Ypred.ncols).to.be.equal(50);
+      expect(m.cv.rmse.v[0]).to.be.almost(Math.sqrt(ssq(y.subtract(m.cv.Ypred.getcolumn(1))) / n));
+      expect(m.cv.rmse).to.be.deep.almost(m.cv.mse.apply(Math.sqrt));
+      expect(m.lambdaSelected).to.be.equal(m.cv.lambdaMin);
+      expect(m.cv.lambdaMin).to.be.equal(m.lambda.v[minind(m.cv.mse) - 1]);
+      expect(m.cv.lambda1se >= m.cv.lambdaMin).to.be.true;
+
+      // the selected lambda gives small error and keeps the three relevant predictors
+      expect(m.cv.rmse.v[minind(m.cv.mse) - 1] < 0.2).to.be.true;
+      const b = enetpredict(m, Matrix.eye(p)).subtract(enetpredict(m, Matrix.zeros(p, p)));
+      expect(b.v[0] > 2.5 && b.v[1] < -1.5 && b.v[4] > 0.5).to.be.true;
+
+      // cross-validation of local models with the same segments
+      const seg = index(Array.from({length: n}, (v, i) => i % 4 + 1));
+      const m2 = enetfit(X, y, 0.5, 20, true, seg);
+      expect(m2.cv.cvSegments).to.be.deep.equal(seg);
+      const ind = seg.which(v => v === 2);
+      const ml = enetfit(X.subset(seg.which(v => v !== 2), []), y.subset(seg.which(v => v !== 2)), 0.5, m2.lambda);
+      expect(m2.cv.Ypred.subset(ind, [])).to.be.deep.almost(enetpredict(ml, X.subset(ind, []), m2.lambda));
+   });
+
+   it('tests for method "enetpredict".', function () {
+
+      const m = enetfit(X, y, 1, 30);
+
+      // errors
+      expect(() => enetpredict({}, X)).to.throw(Error, 'enetpredict: argument "m" must be object with "enetmodel" model.');
+      expect(() => enetpredict(m, y)).to.throw(Error, 'enetpredict: argument "X" must be a matrix.');
+      expect(() => enetpredict(m, X.subset([], [1, 2]))).to.throw(Error, 'enetpredict: number of columns in "X" does not match number of coefficients in model.');
+      expect(() => enetpredict(m, X, 'a')).to.throw(Error, 'enetpredict: parameter "lambda" must be a number or a vector.');
+      expect(() => enetpredict(m, X, m.lambda.v[0] * 2)).to.throw(Error, 'enetpredict: parameter "lambda" must be within the range of values used to fit the model.');
+
+      // predictions for the selected lambda and for all lambda values
+      const Xr = cbind(Vector.ones(n), X);
+      expect(enetpredict(m, X)).to.be.deep.almost(reshape(Xr.dot(m.coeffs.getcolumn(30)), n));
+      expect(enetpredict(m, X, m.lambda.v[4])).to.be.deep.almost(reshape(Xr.dot(m.coeffs.getcolumn(5)), n));
+      expect(enetpredict(m, X, m.lambda)).to.be.deep.almost(Xr.dot(m.coeffs));
+
+      // coefficients for lambda between two values are interpolated
+      const l = 0.75 * m.lambda.v[9] + 0.25 * m.lambda.v[10];
+      const yp10 = enetpredict(m, X, m.lambda.v[9]);
+      const yp11 = enetpredict(m, X, m.lambda.v[10]);
+      expect(enetpredict(m, X, l)).to.be.deep.almost(yp10.mult(0.75).add(yp11.mult(0.25)));
+   });
+
+});
+
+
+describe('Tests for serialization of models.', function () {
+
+   it('tests for methods "serializeModel" and "deserializeModel".', function () {
+
+      const X = Matrix.rand(30, 8);
+      const Y = Matrix.rand(30, 2);
+      const Yv = Y.subset([], 1);
+
+      // add non-finite values to check that they are also restored
+      const mp = pcafit(X, 3, true, true);
+      mp.test = {a: NaN, b: -Infinity, c: undefined, d: [1, null, 'x']};
+
+      const c = factor(Array.from(Index.seq(1, 30).v).map(v => 'c' + (v % 3)));
+
+      const models = [
+         mp,
+         pcafit(X, 3, true, false, 5),
+         plsfit(X, Y, 3, true, true, 5),
+         pcrfit(X, Yv, 3, true, false, ['ven', 5]),
+         plsdafit(X, c, 2, true, false),
+         lmfit(X.subset([], [1, 2]), X.getcolumn(3)),
+         polyfit(X.getcolumn(1), X.getcolumn(2), 2)
+      ];
+
+      for (let m of models) {
+         const str = serializeModel(m);
+         const m2 = deserializeModel(str);
+         const m3 = deserializeModel(JSON.parse(str));
+
+         // restored models must have same structure and same classes of objects
+         expect(Object.keys(m2)).to.be.deep.equal(Object.keys(m));
+         for (let key of Object.keys(m)) {
+            if (m[key] && typeof(m[key]) === 'object') {
+               expect(m2[key].constructor).to.be.equal(m[key].constructor);
+            }
+         }
+
+         // values must be exactly the same
+         expect(serializeModel(m2)).to.be.equal(str);
+         expect(serializeModel(m3)).to.be.equal(str);
+      }
+
+      // check special values and factor
+      const m2 = deserializeModel(serializeModel(mp));
+      expect(m2.test.a).to.be.NaN;
+      expect(m2.test.b).to.be.equal(-Infinity);
+      expect(m2.test).to.have.property('c');
+      expect(m2.test.c).to.be.undefined;
+      expect(m2.test.d).to.be.deep.equal([1, null, 'x']);
+      expect(m2.P.v).to.be.deep.equal(mp.P.v);
+      expect(m2.P.nrows).to.be.equal(mp.P.nrows);
+      expect(m2.P.ncols).to.be.equal(mp.P.ncols);
+
+      const md = deserializeModel(serializeModel(models[4]));
+      expect(md.results.cal.classres.c1.cPred.v).to.be.deep.equal(models[4].results.cal.classres.c1.cPred.v);
+
+      // restored model gives the same predictions
+      const r1 = plspredict(models[2], X, Y);
+      const r2 = plspredict(deserializeModel(serializeModel(models[2])), X, Y);
+      expect(r2.Ypred.v).to.be.deep.equal(r1.Ypred.v);
+      expect(r2.rmse.v).to.be.deep.equal(r1.rmse.v);
+
+      // wrong input
+      expect(() => serializeModel(null)).to.throw(Error, 'serializeModel: parameter "m" must be an object with model.');
+      expect(() => deserializeModel('{"a": 1}')).to.throw(Error, 'deserializeModel: parameter "str" does not contain serialized model.');
+      expect(() => deserializeModel('{"format": "mdatools-model", "version": 100}')).to.throw(Error,
+         'deserializeModel: version of the format is not supported.');
+   });
+
 });